@@ -0,0 +1,151 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// --- Mock Airline Club server ---
+// Serves recorded game responses from JSON fixtures, so the analysis can run (and be tested) without a live account.
+// Point the bot at it with AIRLINE_CLUB_URL=http://localhost:<port>.
+//
+// Fixture layout (see mock/fixtures):
+//   login.json                   The one account that can log in: {username, password, airlineId}
+//   airports.json                GET /airports
+//   airplane-models.json         GET /airplane-models
+//   plan-link/<from>-<to>.json   POST /airlines/<airlineId>/plan-link, by origin and destination airport ID.
+//                                Pairs without a file answer 404, like a failed request.
+//   bases.json                   GET /airlines/<airlineId>/bases
+//   links.json                   GET /airlines/<airlineId>/links
+//   link-consumptions/<id>.json  GET /airlines/<airlineId>/link-consumptions/<linkId>, the link's weekly income
+//                                statements, latest first. Links without a file haven't flown a week yet.
+
+export const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const SESSION_COOKIE = 'mock-session';
+
+/**
+ * Reads a fixture file, or returns null if it doesn't exist.
+ */
+async function readFixture(fixturesDir, ...parts) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(fixturesDir, ...parts), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Reads the whole request body as a string.
+ */
+async function readBody(request) {
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+    }
+    return body;
+}
+
+/**
+ * Returns the airline ID of the session cookie, or null if the request isn't logged in.
+ */
+function getSessionAirlineId(request) {
+    const cookies = (request.headers.cookie || '').split(';').map(cookie => cookie.trim().split('='));
+    const session = cookies.find(([name]) => name === SESSION_COOKIE);
+    return session ? Number(session[1]) : null;
+}
+
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Answers one request from the fixtures.
+ */
+async function handleRequest(fixturesDir, request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'POST' && url.pathname === '/login') {
+        const account = await readFixture(fixturesDir, 'login.json');
+        const [scheme, encoded] = (request.headers.authorization || '').split(' ');
+        const credentials = scheme === 'Basic' ? Buffer.from(encoded || '', 'base64').toString('utf8') : '';
+        if (!account || credentials !== `${account.username}:${account.password}`) {
+            return sendJson(response, 401, { error: 'Invalid username or password' });
+        }
+        return sendJson(response, 200, { airlineIds: [account.airlineId] }, {
+            'Set-Cookie': `${SESSION_COOKIE}=${account.airlineId}; Path=/; HttpOnly`,
+        });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/airports') {
+        return sendJson(response, 200, await readFixture(fixturesDir, 'airports.json') || []);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/airplane-models') {
+        return sendJson(response, 200, await readFixture(fixturesDir, 'airplane-models.json') || []);
+    }
+
+    // Everything under /airlines/<airlineId> needs a session for that airline
+    const airlineMatch = url.pathname.match(/^\/airlines\/(\d+)\//);
+    if (airlineMatch && getSessionAirlineId(request) !== Number(airlineMatch[1])) {
+        return sendJson(response, 401, { error: 'Not logged in as this airline' });
+    }
+
+    if (request.method === 'GET' && url.pathname.match(/^\/airlines\/\d+\/(bases|links)$/)) {
+        const fixture = url.pathname.endsWith('/bases') ? 'bases.json' : 'links.json';
+        return sendJson(response, 200, await readFixture(fixturesDir, fixture) || []);
+    }
+
+    const consumptionMatch = url.pathname.match(/^\/airlines\/\d+\/link-consumptions\/(\d+)$/);
+    if (request.method === 'GET' && consumptionMatch) {
+        const cycles = await readFixture(fixturesDir, 'link-consumptions', `${consumptionMatch[1]}.json`) || [];
+        const cycleCount = parseInt(url.searchParams.get('cycleCount'), 10) || cycles.length;
+        return sendJson(response, 200, cycles.slice(0, cycleCount));
+    }
+
+    const planLinkMatch = url.pathname.match(/^\/airlines\/\d+\/plan-link$/);
+    if (request.method === 'POST' && planLinkMatch) {
+        const params = new URLSearchParams(await readBody(request));
+        const routeData = await readFixture(fixturesDir, 'plan-link', `${params.get('fromAirportId')}-${params.get('toAirportId')}.json`);
+        return routeData
+            ? sendJson(response, 200, routeData)
+            : sendJson(response, 404, { error: 'No recorded route data for this pair' });
+    }
+
+    return sendJson(response, 404, { error: `Not mocked: ${request.method} ${url.pathname}` });
+}
+
+/**
+ * Starts the mock server.
+ * @param {object} [options]
+ * @param {string} [options.fixturesDir] - Directory with the recorded responses (default: mock/fixtures).
+ * @param {number} [options.port] - Port to listen on (default: any free port).
+ * @returns {Promise<{url: string, requests: Array<{method: string, path: string}>, close: function(): Promise}>}
+ *   The server's base URL, a log of the requests it answered, and a function to stop it.
+ */
+export async function startMockServer(options = {}) {
+    const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    const requests = [];
+
+    const server = http.createServer((request, response) => {
+        requests.push({ method: request.method, path: request.url });
+        handleRequest(fixturesDir, request, response).catch(error => {
+            console.error('[MOCK] Failed to answer request:', error);
+            sendJson(response, 500, { error: error.message });
+        });
+    });
+
+    await new Promise(resolve => server.listen(options.port || 0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+// Run standalone: `npm run mock-server`, then start the bot with AIRLINE_CLUB_URL set to the printed URL
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.MOCK_SERVER_PORT, 10) || 9000;
+    const { url } = await startMockServer({ port });
+    console.log(`[MOCK] Serving fixtures from ${DEFAULT_FIXTURES_DIR} at ${url}`);
+}
@@ -1,45 +1,44 @@
 import axios from 'axios';
 import { wrapper as axiosCookieJarSupport } from 'axios-cookiejar-support';
 import { CookieJar } from 'tough-cookie';
+import { openRouteCache } from './routeCache.js';
+import { filterDestinations } from './routeFilter.js';
+import { findPlanelistEntry, findPlanelistModels, isExcludedEntry } from './planeMatcher.js';
+import { getScoringStrategy } from './scoring.js';
+import { summarizeCompetitors, estimateMarketShare, getCompetitorCapacity, getPassengerShare } from './competitors.js';
+import { optimizePrices, getDemandMultiplier } from './pricing.js';
+import { normalizeBaseEntry } from './bases.js';
+import { DEFAULT_COST_PROFILE } from './costProfiles.js';
+import { countAirframes } from './flightTime.js';
 
-const BASE_URL = 'https://www.airline-club.com';
+const DEFAULT_BASE_URL = 'https://www.airline-club.com';
 
-// --- Cost Calculation Constants from AIRPLANE_COST_CALCULATIONS.md ---
-const FUEL_UNIT_COST = 0.0043;
-const MAX_ASCEND_DISTANCE_1 = 180;
-const MAX_ASCEND_DISTANCE_2 = 250;
-const MAX_ASCEND_DISTANCE_3 = 1000;
-const ASCEND_FUEL_BURN_MULTIPLIER_1 = 32;
-const ASCEND_FUEL_BURN_MULTIPLIER_2 = 13;
-const ASCEND_FUEL_BURN_MULTIPLIER_3 = 2;
+/**
+ * Returns the game server to talk to: AIRLINE_CLUB_URL (e.g. a local mock server), or the live game.
+ */
+function getBaseUrl() {
+    return (process.env.AIRLINE_CLUB_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
 
-const CREW_UNIT_COST = 12;
-const BASE_INFLIGHT_COST = 20;
+// --- Cost Calculation Constants from AIRPLANE_COST_CALCULATIONS.md ---
+// The tunable ones (unit costs, multipliers, fee discounts) live in cost profiles, see costProfiles.js
 
 // Constants for our simulation
-const DEFAULT_LOAD_FACTOR = 1.0; // Per spec, "Assume 100% economy seats sold"
-const DEFAULT_QUALITY = 20; // (FIX) Changed from 60 to 20 to match game's service cost
-
-// From "Airport Fees (AFPF)" section
-const airplaneTypeMultiplierMap = {
-    "LIGHT": 1,
-    "SMALL": 1,
-    "REGIONAL": 3,
-    "MEDIUM": 8,
-    "LARGE": 12,
-    "X_LARGE": 15,
-    "JUMBO": 18,
-    "SUPERSONIC": 12,
-};
+const DEFAULT_LOAD_FACTOR = 1.0; // Per spec, "Assume 100% economy seats sold". Used when the route has no demand data
 
 // From "Service Supplies Cost (SSPF)" section
 const durationCostPerHourByStar = [0, 1, 4, 8, 13, 20]; // 0-star to 5-star
+
+// Link classes: how much cabin space a seat takes (in economy seats) and how much crew/service it uses
+const LINK_CLASSES = ['economy', 'business', 'first'];
+const classSpaceMultiplier = { economy: 1, business: 2.5, first: 6 };
+const classResourceMultiplier = { economy: 1, business: 2, first: 3 };
 // --- End Constants ---
 
 /**
  * Creates a new, sandboxed API client instance with its own cookie jar.
  */
-function createApiClient() {
+export function createApiClient() {
     const jar = new CookieJar();
     const client = axios.create({ jar });
     axiosCookieJarSupport(client);
@@ -54,7 +53,7 @@ export async function login(client, username, password) {
     const credentials = Buffer.from(`${username}:${password}`).toString('base64');
     console.log(`[API] Attempting login for ${username}...`);
     try {
-        const response = await client.post(`${BASE_URL}/login`, {}, {
+        const response = await client.post(`${getBaseUrl()}/login`, {}, {
             headers: { 'Authorization': `Basic ${credentials}` }
         });
         if (response.data && response.data.airlineIds && response.data.airlineIds.length > 0) {
@@ -75,7 +74,7 @@ export async function login(client, username, password) {
 export async function fetchAirports(client) {
     console.log('[API] Fetching global airport list...');
     try {
-        const response = await client.get(`${BASE_URL}/airports`);
+        const response = await client.get(`${getBaseUrl()}/airports`);
         console.log(`[API] Fetched ${response.data.length} airports.`);
         return response.data;
     } catch (error) {
@@ -90,7 +89,7 @@ export async function fetchAirports(client) {
 export async function fetchAirplaneModels(client) {
     console.log('[API] Fetching global airplane model list...');
     try {
-        const response = await client.get(`${BASE_URL}/airplane-models`);
+        const response = await client.get(`${getBaseUrl()}/airplane-models`);
         console.log(`[API] Fetched ${response.data.length} airplane models.`);
         const modelMap = new Map();
         for (const model of response.data) {
@@ -104,92 +103,317 @@ export async function fetchAirplaneModels(client) {
 }
 
 /**
- * Fetches route planning data between two airports.
+ * Fetches the bases of the logged-in airline, including which one is the headquarters and each base's level.
  */
-export async function fetchRouteData(client, airlineId, fromAirportId, toAirportId) {
+export async function fetchAirlineBases(client, airlineId) {
+    console.log(`[API] Fetching bases for airline ${airlineId}...`);
+    try {
+        const response = await client.get(`${getBaseUrl()}/airlines/${airlineId}/bases`);
+        console.log(`[API] Fetched ${response.data.length} bases.`);
+        return response.data;
+    } catch (error) {
+        console.error('[API] Failed to fetch airline bases:', error.message);
+        throw new Error('Could not fetch airline bases.');
+    }
+}
+
+/**
+ * Fetches the airplanes owned by the logged-in airline. Each airplane has its modelId, model name and age in weeks.
+ */
+export async function fetchAirlineAirplanes(client, airlineId) {
+    console.log(`[API] Fetching fleet for airline ${airlineId}...`);
+    try {
+        const response = await client.get(`${getBaseUrl()}/airlines/${airlineId}/airplanes`);
+        console.log(`[API] Fetched ${response.data.length} airplanes.`);
+        return response.data;
+    } catch (error) {
+        console.error('[API] Failed to fetch airline airplanes:', error.message);
+        throw new Error('Could not fetch airline fleet.');
+    }
+}
+
+/**
+ * Fetches the links the logged-in airline flies. Each link has its airports, distance, duration, weekly frequency,
+ * weekly capacity per class, the model flying it and its assigned airplanes.
+ */
+export async function fetchAirlineLinks(client, airlineId) {
+    console.log(`[API] Fetching links for airline ${airlineId}...`);
+    try {
+        const response = await client.get(`${getBaseUrl()}/airlines/${airlineId}/links`);
+        console.log(`[API] Fetched ${response.data.length} links.`);
+        return response.data;
+    } catch (error) {
+        console.error('[API] Failed to fetch airline links:', error.message);
+        throw new Error('Could not fetch airline links.');
+    }
+}
+
+/**
+ * Fetches the income statement of a link's latest week: seats sold, revenue and each cost line.
+ * Errors are thrown so callers can retry them.
+ * @returns {Promise<object|null>} The latest week, or null if the link hasn't flown a full week yet.
+ */
+export async function fetchLinkConsumption(client, airlineId, linkId) {
+    const response = await client.get(`${getBaseUrl()}/airlines/${airlineId}/link-consumptions/${linkId}`, { params: { cycleCount: 1 } });
+    return response.data[0] || null;
+}
+
+/**
+ * Posts a plan-link request. Unlike fetchRouteData, errors are thrown so callers can retry them.
+ */
+async function requestRouteData(client, airlineId, fromAirportId, toAirportId) {
     const params = new URLSearchParams();
     params.append('airlineId', airlineId);
     params.append('fromAirportId', fromAirportId);
     params.append('toAirportId', toAirportId);
 
+    const response = await client.post(
+        `${getBaseUrl()}/airlines/${airlineId}/plan-link`,
+        params,
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' } }
+    );
+    return response.data;
+}
+
+/**
+ * Fetches route planning data between two airports.
+ */
+export async function fetchRouteData(client, airlineId, fromAirportId, toAirportId) {
     try {
-        const response = await client.post(
-            `${BASE_URL}/airlines/${airlineId}/plan-link`,
-            params,
-            { headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' } }
-        );
-        return response.data;
+        return await requestRouteData(client, airlineId, fromAirportId, toAirportId);
     } catch (error) {
         console.error(`[API] Failed to fetch route data (${fromAirportId} -> ${toAirportId}):`, error.message);
         return null;
     }
 }
 
+// --- REQUEST SCHEDULER ---
+
+const MAX_REQUEST_INTERVAL_MS = 5000;
+const RETRY_BASE_DELAY_MS = 1000;
+// Number of consecutive successes before a throttled scheduler speeds back up
+const RECOVER_AFTER_SUCCESSES = 20;
+
+/**
+ * Checks whether the server is telling us to slow down (HTTP 429 or 5xx).
+ */
+function isThrottleError(error) {
+    const status = error.response && error.response.status;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Checks whether a failed request is worth retrying: throttling, server errors and network errors.
+ */
+function isTransientError(error) {
+    if (error.response) {
+        return isThrottleError(error);
+    }
+    // Request went out but no response came back: timeout, connection reset, DNS hiccup, ...
+    return Boolean(error.request);
+}
+
+/**
+ * Reads the Retry-After header of a throttled response, in milliseconds.
+ */
+function getRetryAfterMs(error) {
+    const header = error.response && error.response.headers && error.response.headers['retry-after'];
+    const seconds = parseFloat(header);
+    return Number.isFinite(seconds) ? seconds * 1000 : 0;
+}
+
+/**
+ * Creates a scheduler that runs requests with bounded concurrency.
+ * On HTTP 429/5xx it halves its concurrency and doubles the spacing between requests, then
+ * recovers gradually after a run of successes. Transient failures are retried with jittered
+ * exponential backoff; anything that still fails is rejected and counted in `stats.failures`.
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Max requests in flight (default: REQUEST_CONCURRENCY or 4).
+ * @param {number} [options.minIntervalMs] - Min spacing between request starts (default: REQUEST_MIN_INTERVAL_MS or 150).
+ * @param {number} [options.maxRetries] - Retries per request for transient errors (default: REQUEST_MAX_RETRIES or 3).
+ * @param {AbortSignal} [options.signal] - When aborted, queued requests are rejected at once, without waiting for their turn.
+ *   Requests already started finish their current attempt, then reject instead of retrying.
+ * @returns {{run: function(function(): Promise): Promise, stats: object}} The scheduler.
+ */
+export function createRequestScheduler(options = {}) {
+    const envInt = (name, fallback) => {
+        const value = parseInt(process.env[name], 10);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    const maxConcurrency = Math.max(1, options.concurrency ?? envInt('REQUEST_CONCURRENCY', 4));
+    const minIntervalMs = options.minIntervalMs ?? envInt('REQUEST_MIN_INTERVAL_MS', 150);
+    const maxRetries = options.maxRetries ?? envInt('REQUEST_MAX_RETRIES', 3);
+
+    let concurrency = maxConcurrency;
+    let intervalMs = minIntervalMs;
+    let active = 0;
+    let nextStartAt = 0;
+    let successStreak = 0;
+    const queue = [];
+    const stats = { requests: 0, retries: 0, throttled: 0, failures: 0 };
+    const { signal } = options;
+
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            for (const { reject } of queue.splice(0)) reject(signal.reason);
+        }, { once: true });
+    }
+
+    const waitForTurn = async () => {
+        const now = Date.now();
+        const startAt = Math.max(now, nextStartAt);
+        nextStartAt = startAt + intervalMs;
+        if (startAt > now) {
+            await delay(startAt - now);
+        }
+    };
+
+    const onThrottled = (error) => {
+        stats.throttled++;
+        successStreak = 0;
+        concurrency = Math.max(1, Math.floor(concurrency / 2));
+        intervalMs = Math.min(MAX_REQUEST_INTERVAL_MS, Math.max(intervalMs * 2, 100));
+        nextStartAt = Math.max(nextStartAt, Date.now() + getRetryAfterMs(error));
+        console.warn(`[API] Server is throttling (HTTP ${error.response.status}). Slowing down to ${concurrency} concurrent request(s), ${intervalMs}ms apart.`);
+    };
+
+    const onSuccess = () => {
+        successStreak++;
+        if (successStreak >= RECOVER_AFTER_SUCCESSES && (concurrency < maxConcurrency || intervalMs > minIntervalMs)) {
+            successStreak = 0;
+            concurrency = Math.min(maxConcurrency, concurrency + 1);
+            intervalMs = Math.max(minIntervalMs, Math.floor(intervalMs * 0.75));
+        }
+    };
+
+    const execute = async ({ task, resolve, reject }) => {
+        for (let attempt = 0; ; attempt++) {
+            await waitForTurn();
+            if (signal && signal.aborted) {
+                return reject(signal.reason);
+            }
+            stats.requests++;
+            try {
+                const result = await task();
+                onSuccess();
+                return resolve(result);
+            } catch (error) {
+                if (isThrottleError(error)) {
+                    onThrottled(error);
+                }
+                if (!isTransientError(error) || attempt >= maxRetries) {
+                    stats.failures++;
+                    return reject(error);
+                }
+                stats.retries++;
+                // Full jitter: wait somewhere between 0.5x and 1.5x of the exponential backoff
+                const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+                await delay(backoff * (0.5 + Math.random()));
+            }
+        }
+    };
+
+    const pump = () => {
+        while (active < concurrency && queue.length > 0) {
+            const job = queue.shift();
+            active++;
+            execute(job).finally(() => {
+                active--;
+                pump();
+            });
+        }
+    };
+
+    return {
+        /**
+         * Queues a request. Resolves with its result, or rejects once retries are exhausted.
+         */
+        run(task) {
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    return reject(signal.reason);
+                }
+                queue.push({ task, resolve, reject });
+                pump();
+            });
+        },
+        stats,
+    };
+}
+
 // --- REBUILT COST CALCULATION FUNCTIONS ---
 
 /**
  * 1. Calculates Fuel Cost per week
  */
-function calculateFuelCost(distance, fuelBurn, frequency, loadFactor) {
+function calculateFuelCost(distance, fuelBurn, frequency, loadFactor, profile) {
+    const { maxAscendDistance1: d1, maxAscendDistance2: d2, maxAscendDistance3: d3 } = profile;
     let ascend1 = 0, ascend2 = 0, ascend3 = 0, cruise = 0;
 
-    if (distance <= 360) {
-        ascend1 = (distance / 2) * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_1;
+    if (distance <= 2 * d1) {
+        ascend1 = (distance / 2) * fuelBurn * profile.ascendFuelBurnMultiplier1;
         cruise = (distance / 2) * fuelBurn; // descent is 1x fuelBurn
-    } else if (distance <= 500) {
-        ascend1 = 180 * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_1;
-        ascend2 = (distance / 2 - 180) * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_2;
+    } else if (distance <= 2 * d2) {
+        ascend1 = d1 * fuelBurn * profile.ascendFuelBurnMultiplier1;
+        ascend2 = (distance / 2 - d1) * fuelBurn * profile.ascendFuelBurnMultiplier2;
         cruise = (distance / 2) * fuelBurn; // descent
-    } else if (distance <= 2000) {
-        ascend1 = 180 * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_1;
-        ascend2 = 250 * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_2;
-        ascend3 = (distance / 2 - 180 - 250) * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_3;
+    } else if (distance <= 2 * d3) {
+        ascend1 = d1 * fuelBurn * profile.ascendFuelBurnMultiplier1;
+        ascend2 = d2 * fuelBurn * profile.ascendFuelBurnMultiplier2;
+        ascend3 = (distance / 2 - d1 - d2) * fuelBurn * profile.ascendFuelBurnMultiplier3;
         cruise = (distance / 2) * fuelBurn; // descent
-    } else { // distance > 2000
-        ascend1 = 180 * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_1;
-        ascend2 = 250 * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_2;
-        ascend3 = 1000 * fuelBurn * ASCEND_FUEL_BURN_MULTIPLIER_3;
-        cruise = (distance - 180 - 250 - 1000) * fuelBurn; // cruise + descent
+    } else {
+        ascend1 = d1 * fuelBurn * profile.ascendFuelBurnMultiplier1;
+        ascend2 = d2 * fuelBurn * profile.ascendFuelBurnMultiplier2;
+        ascend3 = d3 * fuelBurn * profile.ascendFuelBurnMultiplier3;
+        cruise = (distance - d1 - d2 - d3) * fuelBurn; // cruise + descent
     }
 
     const fuelUnitsPerFlight = ascend1 + ascend2 + ascend3 + cruise;
     const loadFactorMultiplier = 0.7 + 0.3 * loadFactor;
     
-    // --- (FIX 1) ---
-    // Removed * 2 multiplier. The formula seems to be for total weekly fuel burn,
-    // not one-way.
-    return fuelUnitsPerFlight * FUEL_UNIT_COST * frequency * loadFactorMultiplier;
+    // The formula is for the weekly fuel burn of one-way flights; there's no * 2 for the return
+    return fuelUnitsPerFlight * profile.fuelUnitCost * frequency * loadFactorMultiplier;
 }
 
 /**
  * 2. Calculates Crew Cost per week
  */
-function calculateCrewCost(capacity, durationMinutes, frequency) {
-    // 1.0 (economy) * capacity * (duration / 60) * 12
-    const costPerFlight = 1.0 * capacity * (durationMinutes / 60) * CREW_UNIT_COST;
+function calculateCrewCost(seats, durationMinutes, frequency, profile) {
+    // sum(class multiplier * class seats) * (duration / 60) * crew unit cost
+    const weightedSeats = LINK_CLASSES.reduce((sum, linkClass) => sum + classResourceMultiplier[linkClass] * seats[linkClass], 0);
+    const costPerFlight = weightedSeats * (durationMinutes / 60) * profile.crewUnitCost;
     
-    // --- (FIX 2) ---
-    // Removed * 2 multiplier. This formula seems to be for total weekly crew cost.
+    // Like fuel, this is already the weekly cost; there's no * 2 for the return
     return costPerFlight * frequency;
 }
 
 /**
  * 3. Calculates Airport Fees per week
  */
-function calculateAirportFees(capacity, airplaneType, fromAirport, toAirport, baseAirports, frequency) {
+function calculateAirportFees(capacity, airplaneType, fromAirport, toAirport, baseAirports, frequency, profile) {
     const baseSlotFees = [0, 50, 50, 80, 150, 250, 350, 500]; // 0-indexed for size
-    const typeMultiplier = airplaneTypeMultiplierMap[airplaneType] || 1;
+    const typeMultiplier = profile.airplaneTypeMultipliers[airplaneType] || 1;
+
+    const getBase = (airport) => baseAirports[airport.iata] ? normalizeBaseEntry(baseAirports[airport.iata]) : null;
 
     const getSlotFee = (airport) => {
         const baseFee = baseSlotFees[Math.min(airport.size, 7)];
-        // TODO: This doesn't account for 50% HQ discount, only 20% base
-        const discount = baseAirports[airport.iata] ? 0.8 : 1.0; 
+        const base = getBase(airport);
+        let discount = 1.0;
+        if (base) {
+            discount = base.hq ? profile.hqSlotFeeMultiplier : profile.baseSlotFeeMultiplier;
+        }
         return baseFee * typeMultiplier * discount;
     };
     
     const getLandingFee = (airport) => {
         const perSeatFee = airport.size <= 3 ? 3 : airport.size;
-        return capacity * perSeatFee;
+        const base = getBase(airport);
+        const discount = base && base.level
+            ? Math.min(profile.maxLandingFeeDiscount, base.level * profile.landingFeeDiscountPerBaseLevel)
+            : 0;
+        return capacity * perSeatFee * (1 - discount);
     };
 
     const fromSlotFee = getSlotFee(fromAirport);
@@ -214,51 +438,236 @@ function calculateDepreciation(price, lifespan) {
 /**
  * 5. Calculates Maintenance per week
  */
-function calculateMaintenance(capacity) {
-    // --- (FIX 3) ---
-    // Your game screenshots prove the multiplier is 100, not 150.
-    return capacity * 100;
+function calculateMaintenance(capacity, profile) {
+    return capacity * profile.maintenancePerSeat;
 }
 
 /**
  * 6. Calculates Service Supplies per week
  */
-function calculateServiceSupplies(durationMinutes, soldSeats, frequency) {
-    // --- (FIX 4) ---
-    // Changed DEFAULT_QUALITY to 20, which makes star = 1
-    const star = Math.floor(DEFAULT_QUALITY / 20);
-    const durationCost = durationCostPerHourByStar[Math.min(star, 5)]; // = 1
+function calculateServiceSupplies(durationMinutes, soldSeats, frequency, profile) {
+    // Every 20 quality points is a star
+    const star = Math.floor(profile.serviceQuality / 20);
+    const durationCost = durationCostPerHourByStar[Math.min(star, 5)];
     
-    const costPerPassenger = BASE_INFLIGHT_COST + (durationCost * durationMinutes / 60);
+    const costPerPassenger = profile.baseInflightCost + (durationCost * durationMinutes / 60);
     const roundtripCostPerPassenger = costPerPassenger * 2;
-    const totalPaxPerWeek = soldSeats * frequency;
-    
-    return roundtripCostPerPassenger * totalPaxPerWeek;
+
+    // Premium passengers use more supplies, by the class resource multiplier
+    return LINK_CLASSES.reduce((sum, linkClass) =>
+        sum + roundtripCostPerPassenger * classResourceMultiplier[linkClass] * soldSeats[linkClass] * frequency, 0);
+}
+
+/**
+ * Calculates the weekly costs of flying a plane on a route, by cost component.
+ * @param {object} flight - {distance, planeBaseStats, capacity, seats, soldSeats, loadFactor, durationMinutes, frequency,
+ *   airframes, fromAirport, toAirport, baseAirports}. `capacity` is the model's all-economy capacity; seats and soldSeats are per flight.
+ * @param {object} costProfile - The cost constants, see costProfiles.js.
+ * @returns {{fuel: number, crew: number, airportFees: number, depreciation: number, maintenance: number, serviceSupplies: number, total: number}}
+ */
+function calculateWeeklyCosts(flight, costProfile) {
+    const { distance, planeBaseStats, capacity, seats, soldSeats, loadFactor, durationMinutes, frequency, airframes, fromAirport, toAirport, baseAirports } = flight;
+    const totalSeats = LINK_CLASSES.reduce((sum, linkClass) => sum + seats[linkClass], 0);
+
+    const costs = {
+        fuel: calculateFuelCost(distance, planeBaseStats.fuelBurn, frequency, loadFactor, costProfile),
+        crew: calculateCrewCost(seats, durationMinutes, frequency, costProfile),
+        airportFees: calculateAirportFees(totalSeats, planeBaseStats.airplaneType, fromAirport, toAirport, baseAirports, frequency, costProfile),
+        depreciation: calculateDepreciation(planeBaseStats.price, planeBaseStats.lifespan) * airframes,
+        maintenance: calculateMaintenance(capacity, costProfile) * airframes,
+        serviceSupplies: calculateServiceSupplies(durationMinutes, soldSeats, frequency, costProfile),
+    };
+    costs.total = costs.fuel + costs.crew + costs.airportFees + costs.depreciation + costs.maintenance + costs.serviceSupplies;
+    return costs;
 }
 
 /**
- * Calculates the economy ticket price based on competitor rules.
+ * Calculates the ticket price of a class based on competitor rules:
+ * the lowest fare among competitors that sell the class, else the suggested price.
+ * @param {object} routeData - The plan-link response.
+ * @param {string} [linkClass] - "economy", "business" or "first".
+ * @returns {{price: number, source: string}} The price and where it came from ("competitors" or "suggested").
  */
-function getTicketPrice(routeData) {
-    const competitors = routeData.otherLinks;
-    if (competitors && competitors.length > 0) {
-        const competitorPrices = competitors.map(comp => comp.price.economy);
-        return Math.min(...competitorPrices);
+function getTicketPrice(routeData, linkClass = 'economy') {
+    const competitors = (routeData.otherLinks || []).filter(comp =>
+        comp.price && comp.price[linkClass] > 0 && (!comp.capacity || comp.capacity[linkClass] > 0));
+    if (competitors.length > 0) {
+        const competitorPrices = competitors.map(comp => comp.price[linkClass]);
+        return { price: Math.min(...competitorPrices), source: 'competitors' };
     } else {
-        return routeData.suggestedPrice.economy;
+        return { price: routeData.suggestedPrice[linkClass] || 0, source: 'suggested' };
+    }
+}
+
+/**
+ * Estimates the seats per flight we'd sell in each class, from the route's direct demand and the
+ * weekly capacity competitors already fly. Passengers competitors can't carry are ours; beyond that
+ * we win a share of the market in proportion to the capacity we add.
+ * With fares given, demand and our market share react to how our fare compares to the standard one (see pricing.js).
+ * @param {object} routeData - The plan-link response.
+ * @param {object} seats - Seats per flight in each class.
+ * @param {number} frequency - Flights per week.
+ * @param {object} [prices] - Our fare per class.
+ * @returns {object} Sold seats per flight in each class (fractional).
+ */
+function estimateSoldSeats(routeData, seats, frequency, prices = null) {
+    const soldSeats = {};
+    for (const linkClass of LINK_CLASSES) {
+        const ourCapacity = seats[linkClass] * frequency;
+        if (ourCapacity === 0) {
+            soldSeats[linkClass] = 0;
+            continue;
+        }
+
+        const competitorCapacity = getCompetitorCapacity(routeData, linkClass);
+        const price = prices ? prices[linkClass] : null;
+        const standardPrice = prices ? getTicketPrice(routeData, linkClass).price : null;
+        const demand = (routeData.directDemand[linkClass] || 0) * getDemandMultiplier(price, standardPrice);
+
+        const unservedDemand = Math.max(0, demand - competitorCapacity);
+        const marketShare = demand * getPassengerShare(ourCapacity, competitorCapacity, price, standardPrice);
+        const weeklyPassengers = Math.min(ourCapacity, Math.max(unservedDemand, marketShare));
+        soldSeats[linkClass] = weeklyPassengers / frequency;
+    }
+    return soldSeats;
+}
+
+/**
+ * Decides the weekly frequency and seats sold per flight for a plane on a route.
+ * With a fixed load factor the plane flies its max frequency. Otherwise the frequency is capped at the number
+ * of flights needed to carry the passengers we'd expect at max frequency, and sales are estimated from demand.
+ * @param {object} routeData - The plan-link response.
+ * @param {object} seats - Seats per flight in each class.
+ * @param {number} maxFrequency - The plane's max weekly frequency on this route.
+ * @param {number|null} loadFactorOverride - A fixed load factor (0-1) to assume instead of estimating from demand.
+ * @param {object} [prices] - Our fare per class, to estimate sales at with the price-aware demand model.
+ * @returns {{frequency: number, soldSeats: object, loadFactorSource: string}} The schedule and expected sales.
+ */
+function planFrequencyAndSales(routeData, seats, maxFrequency, loadFactorOverride, prices = null) {
+    const fixedLoadFactor = (loadFactor, loadFactorSource) => {
+        const soldSeats = {};
+        for (const linkClass of LINK_CLASSES) {
+            soldSeats[linkClass] = seats[linkClass] * loadFactor;
+        }
+        return { frequency: maxFrequency, soldSeats, loadFactorSource };
+    };
+
+    if (loadFactorOverride) {
+        return fixedLoadFactor(loadFactorOverride, 'override');
+    }
+    if (!routeData.directDemand) {
+        return fixedLoadFactor(DEFAULT_LOAD_FACTOR, 'default');
+    }
+
+    const seatsPerFlight = LINK_CLASSES.reduce((sum, linkClass) => sum + seats[linkClass], 0);
+    const soldAtMax = estimateSoldSeats(routeData, seats, maxFrequency, prices);
+    const weeklyPassengersAtMax = LINK_CLASSES.reduce((sum, linkClass) => sum + soldAtMax[linkClass], 0) * maxFrequency;
+    const frequency = Math.min(maxFrequency, Math.max(1, Math.ceil(weeklyPassengersAtMax / seatsPerFlight)));
+
+    return { frequency, soldSeats: estimateSoldSeats(routeData, seats, frequency, prices), loadFactorSource: 'demand' };
+}
+
+/**
+ * Works out the seats per class for a plane, from the cabin configuration of its planelist entry.
+ * Planes without a configuration, or whose configuration doesn't fit the cabin, are all-economy.
+ * @param {object|null} entry - The planelist entry for the plane.
+ * @param {number} capacity - The plane's all-economy capacity.
+ * @returns {{seats: object, configName: string|null}} Seats per class and the configuration used.
+ */
+function getCabinSeats(entry, capacity) {
+    const allEconomy = { seats: { economy: capacity, business: 0, first: 0 }, configName: null };
+    const config = entry && entry.cabinConfig;
+    if (!config) {
+        return allEconomy;
+    }
+
+    const seats = { economy: config.economy || 0, business: config.business || 0, first: config.first || 0 };
+    const space = LINK_CLASSES.reduce((sum, linkClass) => sum + classSpaceMultiplier[linkClass] * seats[linkClass], 0);
+    if (space > capacity) {
+        console.warn(`[WARN] Cabin configuration "${config.name}" needs ${space} seats of space but the plane only has ${capacity}. Using all-economy.`);
+        return allEconomy;
+    }
+    return { seats, configName: config.name };
+}
+
+/**
+ * Calculates the weekly schedule, sales, revenue and costs of flying a plane on a route at the given fares.
+ * @param {object} inputs - The route and plane: {routeData, plane, planeBaseStats, seats, configName, fromAirport, toAirport, baseAirports,
+ *   loadFactorOverride, costProfile}.
+ * @param {object} ticketPrices - {price, source} per class.
+ * @param {object} [salesPrices] - Fare per class to estimate sales at with the price-aware demand model (see pricing.js).
+ * @returns {object} The breakdown a scoring strategy scores.
+ */
+function calculatePlaneBreakdown(inputs, ticketPrices, salesPrices = null) {
+    const { routeData, plane, planeBaseStats, seats, configName, fromAirport, toAirport, baseAirports, loadFactorOverride, costProfile } = inputs;
+    const maxFrequency = plane.maxFrequency;
+    const C = plane.capacity;
+    const durationMinutes = plane.duration;
+
+    const totalSeats = LINK_CLASSES.reduce((sum, linkClass) => sum + seats[linkClass], 0);
+    const { frequency: F, soldSeats, loadFactorSource } = planFrequencyAndSales(routeData, seats, maxFrequency, loadFactorOverride, salesPrices);
+    const loadFactor = LINK_CLASSES.reduce((sum, linkClass) => sum + soldSeats[linkClass], 0) / totalSeats;
+    
+    // maxFrequency is the most the game allows on the route; one airframe only flies so many hours a week,
+    // and depreciation and maintenance are per airframe
+    const airframes = countAirframes(F, durationMinutes, planeBaseStats.turnaroundTime, costProfile.airframeWeeklyHours * 60);
+    const costs = calculateWeeklyCosts({
+        distance: routeData.distance, planeBaseStats, capacity: C, seats, soldSeats, loadFactor,
+        durationMinutes, frequency: F, airframes, fromAirport, toAirport, baseAirports,
+    }, costProfile);
+    const totalWeeklyCost = costs.total;
+    
+    // REVENUE = ticketPrice * F * soldSeats, summed over each class; soldSeats comes from the demand model or the load factor, not full capacity
+    const revenueByClass = {};
+    for (const linkClass of LINK_CLASSES) {
+        revenueByClass[linkClass] = ticketPrices[linkClass].price * F * soldSeats[linkClass];
     }
+    const REVENUE = revenueByClass.economy + revenueByClass.business + revenueByClass.first;
+    const PROFIT = REVENUE - totalWeeklyCost;
+
+    return {
+        frequency: F,
+        maxFrequency,
+        airframes,
+        planePrice: planeBaseStats.price,
+        capacity: totalSeats,
+        seats,
+        cabinConfig: configName,
+        durationMinutes,
+        ticketPrices,
+        soldSeats,
+        loadFactor,
+        loadFactorSource,
+        revenue: REVENUE,
+        revenueByClass,
+        costs,
+        profit: PROFIT,
+    };
 }
 
 /**
- * Analyzes a single route and returns the best profit-per-frequency.
+ * Analyzes a single route and returns the best score (total weekly profit by default),
+ * along with the full weekly revenue and cost breakdown for the plane that achieves it,
+ * the competing links on the route and our implied market share (see competitors.js).
+ * @param {object} [options]
+ * @param {string} [options.rankBy] - The scoring strategy to pick the best plane by, see scoring.js.
+ * @param {number} [options.loadFactor] - Assume this load factor (0-1) instead of estimating sales from demand.
+ * @param {boolean} [options.optimizePrices] - Sweep fares per class for the best score instead of matching the lowest competitor fare.
+ *   Ignored with a fixed load factor (commands reject that combination) or on routes without demand data.
+ * @param {boolean} [options.includeAlternatives] - Also return `alternatives`: the schedule, revenue and costs of every
+ *   viable plane that covers its flight costs, not just the best one (for fleet planning).
+ * @param {object} [options.costProfile] - The cost constants to use, from resolveCostProfile() (default: DEFAULT_COST_PROFILE).
  */
-export function analyzeRoute(routeData, userPlaneList, airplaneModelMap, airportMap, baseAirports, isDebug) {
+export function analyzeRoute(routeData, userPlaneList, airplaneModelMap, airportMap, baseAirports, isDebug, options = {}) {
     if (isDebug) {
         console.log(`\n[DEBUG] Analyzing route: ${routeData.fromAirportCode} -> ${routeData.toAirportCode} (Dist: ${routeData.distance}km)`);
     }
 
-    const userPlaneIds = new Set(userPlaneList.filter(p => p.modelId).map(p => p.modelId));
-    const userPlaneNames = new Set(userPlaneList.filter(p => p.modelName).map(p => p.modelName.trim().toLowerCase())); 
+    const activePlaneList = userPlaneList.filter(p => !isExcludedEntry(p));
+    const excludedPlaneIds = new Set(userPlaneList.filter(p => p.modelId && isExcludedEntry(p)).map(p => p.modelId));
+    const userPlaneIds = new Set(activePlaneList.filter(p => p.modelId).map(p => p.modelId));
+    // Entries with a model ID (e.g. from planelist_sync) only match that exact model, never by name
+    const userPlaneNames = new Set(activePlaneList.filter(p => !p.modelId && p.modelName).map(p => p.modelName.trim().toLowerCase())); 
 
     if (isDebug) {
          console.log(`  [DEBUG] Matching against ${userPlaneIds.size} IDs: [${[...userPlaneIds].join(', ')}]`);
@@ -266,6 +675,10 @@ export function analyzeRoute(routeData, userPlaneList, airplaneModelMap, airport
     }
 
     const viablePlanes = routeData.modelPlanLinkInfo.filter(model => {
+        if (excludedPlaneIds.has(model.modelId)) {
+            if (isDebug) console.log(`    [DEBUG] Skipping API plane "${model.modelName}" (ID: ${model.modelId}): excluded in planelist.`);
+            return false;
+        }
         const apiModelName = model.modelName ? model.modelName.trim().toLowerCase() : null;
         const idMatch = userPlaneIds.has(model.modelId);
 
@@ -295,10 +708,18 @@ export function analyzeRoute(routeData, userPlaneList, airplaneModelMap, airport
     if (isDebug) console.log(`  [DEBUG] Found ${viablePlanes.length} viable planes: ${viablePlanes.map(p => p.modelName).join(', ')}`);
 
     let bestPlaneForRoute = null;
+    let bestBreakdown = null;
     let maxScore = -Infinity;
-    const ticketPrice = getTicketPrice(routeData);
+    const alternatives = [];
+    const strategy = getScoringStrategy(options.rankBy);
+    const ticketPrices = {};
+    for (const linkClass of LINK_CLASSES) {
+        ticketPrices[linkClass] = getTicketPrice(routeData, linkClass);
+    }
+    // Sweeping fares needs the demand model; a fixed load factor would make the highest fare always win
+    const canOptimizePrices = Boolean(options.optimizePrices && !options.loadFactor && routeData.directDemand);
     
-    if (isDebug) console.log(`  [DEBUG] Using Ticket Price: $${ticketPrice}`);
+    if (isDebug) console.log(`  [DEBUG] Using Ticket Prices: ${LINK_CLASSES.map(c => `${c} $${ticketPrices[c].price} (from ${ticketPrices[c].source})`).join(', ')}`);
 
     const fromAirport = airportMap.get(routeData.fromAirportId);
     const toAirport = airportMap.get(routeData.toAirportId);
@@ -315,49 +736,85 @@ export function analyzeRoute(routeData, userPlaneList, airplaneModelMap, airport
             continue;
         }
 
-        const F = plane.maxFrequency;
+        const maxFrequency = plane.maxFrequency;
         const C = plane.capacity;
-        const durationMinutes = plane.duration; 
 
-        if (F === 0) {
+        if (maxFrequency === 0) {
             if (isDebug) console.log(`  [DEBUG] Skipping plane ${plane.modelName}: Frequency is 0.`);
             continue;
         }
 
-        const soldSeats = C; 
-        
-        const fuelCost = calculateFuelCost(routeData.distance, planeBaseStats.fuelBurn, F, DEFAULT_LOAD_FACTOR);
-        const crewCost = calculateCrewCost(C, durationMinutes, F);
-        const airportFees = calculateAirportFees(C, planeBaseStats.airplaneType, fromAirport, toAirport, baseAirports, F);
-        const depreciation = calculateDepreciation(planeBaseStats.price, planeBaseStats.lifespan);
-        const maintenance = calculateMaintenance(C);
-        const serviceSupplies = calculateServiceSupplies(durationMinutes, soldSeats, F);
-
-        const totalWeeklyCost = fuelCost + crewCost + airportFees + depreciation + maintenance + serviceSupplies;
-        
-        // Per spec: REVENUE = ticketPrice * F * C
-        const REVENUE = ticketPrice * F * C;
-        const PROFIT = REVENUE - totalWeeklyCost;
-        const SCORE = Math.round(PROFIT / F);
+        const planelistEntry = findPlanelistEntry(activePlaneList, plane.modelId, plane.modelName);
+        const { seats, configName } = getCabinSeats(planelistEntry, C);
+        const planeInputs = {
+            routeData, plane, planeBaseStats, seats, configName, fromAirport, toAirport, baseAirports,
+            loadFactorOverride: options.loadFactor,
+            costProfile: options.costProfile || DEFAULT_COST_PROFILE,
+        };
+        let breakdown;
+        let SCORE;
+        if (canOptimizePrices) {
+            const baselinePrices = Object.fromEntries(LINK_CLASSES.map(linkClass => [linkClass, ticketPrices[linkClass].price]));
+            const evaluate = (prices) => {
+                const candidateTicketPrices = {};
+                for (const linkClass of LINK_CLASSES) {
+                    candidateTicketPrices[linkClass] = prices[linkClass] === baselinePrices[linkClass]
+                        ? ticketPrices[linkClass]
+                        : { price: prices[linkClass], source: 'optimized' };
+                }
+                const candidate = calculatePlaneBreakdown(planeInputs, candidateTicketPrices, prices);
+                return { score: strategy.score(candidate), breakdown: candidate };
+            };
+            // The baseline is scored with the same price-aware demand model, so the two are comparable
+            const { result, initialResult } = optimizePrices(routeData, LINK_CLASSES.filter(linkClass => seats[linkClass] > 0), baselinePrices, evaluate);
+            breakdown = { ...result.breakdown, priceOptimization: { baselinePrices, baselineScore: initialResult.score } };
+            SCORE = result.score;
+        } else {
+            breakdown = calculatePlaneBreakdown(planeInputs, ticketPrices);
+            SCORE = strategy.score(breakdown);
+        }
+        const { frequency: F, loadFactor, loadFactorSource, costs } = breakdown;
 
         if (isDebug) {
-            console.log(`    [CALC] Plane: ${plane.modelName} (Freq: ${F}, Cap: ${C})`);
-            console.log(`      - Revenue (Ticket * F * C): $${Math.round(REVENUE).toLocaleString()}`);
+            console.log(`    [CALC] Plane: ${plane.modelName} (Freq: ${F}, Cap: ${C}, Seats Y/J/F: ${seats.economy}/${seats.business}/${seats.first}${configName ? `, Config: ${configName}` : ''})`);
+            console.log(`      - Load Factor: ${(loadFactor * 100).toFixed(1)}% (from ${loadFactorSource}), Freq: ${F}/${maxFrequency}`);
+            if (breakdown.priceOptimization) {
+                console.log(`      - Optimized Prices: ${LINK_CLASSES.filter(c => seats[c] > 0).map(c => `${c} $${breakdown.ticketPrices[c].price}`).join(', ')} (baseline score ${strategy.format(breakdown.priceOptimization.baselineScore)})`);
+            }
+            console.log(`      - Revenue (Ticket * F * Sold): $${Math.round(breakdown.revenue).toLocaleString()}`);
             console.log(`      - Costs (Weekly):`);
-            console.log(`        - Fuel:       $${Math.round(fuelCost).toLocaleString()}`);
-            console.log(`        - Crew:       $${Math.round(crewCost).toLocaleString()}`);
-            console.log(`        - Airport:    $${Math.round(airportFees).toLocaleString()}`);
-            console.log(`        - Deprec:     $${Math.round(depreciation).toLocaleString()}`);
-            console.log(`        - Maint:      $${Math.round(maintenance).toLocaleString()}`);
-            console.log(`        - Service:    $${Math.round(serviceSupplies).toLocaleString()}`);
-            console.log(`        - TOTAL COST: $${Math.round(totalWeeklyCost).toLocaleString()}`);
-            console.log(`      - Profit (Rev - Cost): $${Math.round(PROFIT).toLocaleString()}`);
-            console.log(`      - SCORE (Profit / F): $${SCORE.toLocaleString()}`);
+            console.log(`        - Fuel:       $${Math.round(costs.fuel).toLocaleString()}`);
+            console.log(`        - Crew:       $${Math.round(costs.crew).toLocaleString()}`);
+            console.log(`        - Airport:    $${Math.round(costs.airportFees).toLocaleString()}`);
+            console.log(`        - Deprec:     $${Math.round(costs.depreciation).toLocaleString()}`);
+            console.log(`        - Maint:      $${Math.round(costs.maintenance).toLocaleString()}`);
+            console.log(`        - Service:    $${Math.round(costs.serviceSupplies).toLocaleString()}`);
+            console.log(`        - TOTAL COST: $${Math.round(costs.total).toLocaleString()}`);
+            console.log(`      - Profit (Rev - Cost): $${Math.round(breakdown.profit).toLocaleString()}`);
+            console.log(`      - SCORE (${strategy.label}): ${strategy.format(SCORE)}`);
+        }
+
+        // Planes that don't cover their flight costs are never worth flying here; leaving them out keeps journals and run history small
+        const flightCosts = costs.total - costs.depreciation - costs.maintenance;
+        if (options.includeAlternatives && breakdown.revenue > flightCosts) {
+            alternatives.push({
+                modelId: plane.modelId,
+                planeName: plane.modelName,
+                score: SCORE,
+                frequency: breakdown.frequency,
+                maxFrequency: breakdown.maxFrequency,
+                airframes: breakdown.airframes,
+                durationMinutes: breakdown.durationMinutes,
+                revenue: breakdown.revenue,
+                costs: breakdown.costs,
+                profit: breakdown.profit,
+            });
         }
 
         if (SCORE > maxScore) {
             maxScore = SCORE;
             bestPlaneForRoute = plane;
+            bestBreakdown = breakdown;
         }
     }
 
@@ -367,16 +824,33 @@ export function analyzeRoute(routeData, userPlaneList, airplaneModelMap, airport
     }
 
     if (isDebug) {
-        console.log(`  [ANALYSIS] Best plane for route ${routeData.fromAirportCode} -> ${routeData.toAirportCode} is: ${bestPlaneForRoute.modelName} with score $${maxScore.toLocaleString()}`);
+        console.log(`  [ANALYSIS] Best plane for route ${routeData.fromAirportCode} -> ${routeData.toAirportCode} is: ${bestPlaneForRoute.modelName} with score ${strategy.format(maxScore)}`);
     } else if (maxScore > 0) {
-        console.log(`  [ANALYSIS] Route ${routeData.fromAirportCode} -> ${routeData.toAirportCode}: Found profit! Score: $${maxScore.toLocaleString()} (Plane: ${bestPlaneForRoute.modelName})`);
+        console.log(`  [ANALYSIS] Route ${routeData.fromAirportCode} -> ${routeData.toAirportCode}: Found profit! Score: ${strategy.format(maxScore)} (Plane: ${bestPlaneForRoute.modelName})`);
     }
 
+    const competitors = summarizeCompetitors(routeData);
+    // Our share at the fares we'd charge, as the sales estimate saw it
+    const marketShare = estimateMarketShare(
+        routeData,
+        bestBreakdown,
+        Object.fromEntries(LINK_CLASSES.map(linkClass => [linkClass, bestBreakdown.ticketPrices[linkClass].price])),
+        Object.fromEntries(LINK_CLASSES.map(linkClass => [linkClass, ticketPrices[linkClass].price]))
+    );
     return {
         fromAirportId: routeData.fromAirportId,
         toAirportId: routeData.toAirportId,
         score: maxScore,
+        scoreStrategy: strategy.name,
         planeName: bestPlaneForRoute.modelName,
+        modelId: bestPlaneForRoute.modelId,
+        distance: routeData.distance,
+        ticketPrice: bestBreakdown.ticketPrices.economy.price,
+        priceSource: bestBreakdown.ticketPrices.economy.source,
+        ...bestBreakdown,
+        competitors,
+        marketShare,
+        ...(options.includeAlternatives ? { alternatives } : {}),
     };
 }
 
@@ -385,10 +859,29 @@ export function analyzeRoute(routeData, userPlaneList, airplaneModelMap, airport
  */
 export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// How many processed destinations between checkpoint saves
+const CHECKPOINT_EVERY = 25;
+
 /**
  * Main analysis runner.
+ * Returns a Map of base IATA to `{ routes, failedCount }`, where `routes` are all scored routes, best first,
+ * and `failedCount` is the number of destinations whose route data could not be fetched.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Ignore cached plan-link responses and refetch everything.
+ * @param {object} [options.filters] - Destination pre-filter criteria, see filterDestinations().
+ * @param {number} [options.loadFactor] - Assume this load factor (0-1) instead of estimating sales from demand.
+ * @param {string} [options.rankBy] - The scoring strategy to rank routes by, see scoring.js.
+ * @param {boolean} [options.optimizePrices] - Sweep fares for the best score, see analyzeRoute().
+ * @param {boolean} [options.includeAlternatives] - Keep every viable plane's numbers per route, see analyzeRoute().
+ * @param {object} [options.costProfile] - The cost constants to use, see analyzeRoute().
+ * @param {AbortSignal} [options.signal] - Stops the analysis (with an error) when aborted.
+ * @param {object} [options.checkpoint] - Progress from an interrupted run, updated in place as the analysis goes.
+ *   It only holds the processed destination IDs and counts per base; the scored routes go to the journal.
+ * @param {function(object): Promise} [options.onCheckpoint] - Called with the checkpoint whenever it should be persisted.
+ * @param {object} [options.journal] - Where scored routes are appended before each checkpoint and read back on resume,
+ *   see the job queue's journal. Without it a resumed run has no routes for the destinations it had already processed.
  */
-export async function runAnalysis(username, password, baseAirports, userPlaneList, isDebug, testLimit, onProgress) {
+export async function runAnalysis(username, password, baseAirports, userPlaneList, isDebug, testLimit, onProgress, options = {}) {
     const client = createApiClient();
     
     await onProgress('Logging in...');
@@ -410,14 +903,59 @@ export async function runAnalysis(username, password, baseAirports, userPlaneLis
         airportsToScan = allAirports.slice(0, testLimit);
         console.log(`[ANALYSIS] Limiting scan to first ${airportsToScan.length} airports.`);
     }
-    const totalToScan = airportsToScan.length;
-    
+
+    // No plane in the planelist can reach beyond this, so longer routes aren't worth a request
+    const planelistModels = findPlanelistModels(userPlaneList, airplaneModelMap);
+    const maxRange = planelistModels.length > 0 ? Math.max(...planelistModels.map(model => model.range || 0)) : null;
+    if (maxRange) {
+        console.log(`[ANALYSIS] Longest range in planelist: ${maxRange}km (${planelistModels.length} matching models).`);
+    } else {
+        console.warn('[WARN] Could not match the planelist to any airplane model. Range pre-filter is disabled.');
+    }
+    const filterCriteria = { ...options.filters, maxRange };
+
+    const { signal } = options;
+    const checkpoint = options.checkpoint || {};
+    checkpoint.completedBases = checkpoint.completedBases || {};
+    const saveCheckpoint = async () => {
+        if (options.onCheckpoint) await options.onCheckpoint(checkpoint);
+    };
+    const throwIfCancelled = () => {
+        if (signal && signal.aborted) throw new Error('Analysis cancelled.');
+    };
+
+    const { journal } = options;
+    // Reads back the routes journaled for a base. A destination processed again after a restart is journaled twice; the last one counts.
+    const readJournaledRoutes = async (baseIata, processedIds = null) => {
+        const routes = new Map();
+        for (const { toAirportId, route } of journal ? await journal.read(baseIata) : []) {
+            if (!processedIds || processedIds.has(toAirportId)) {
+                routes.set(toAirportId, route);
+            }
+        }
+        return [...routes.values()].filter(Boolean);
+    };
+
+    const scheduler = createRequestScheduler({ signal });
     const allResults = new Map();
     const baseIatas = Object.keys(baseAirports);
     let baseIndex = 1;
 
     for (const baseIata of baseIatas) {
-        const fromAirportId = baseAirports[baseIata];
+        throwIfCancelled();
+
+        const completedBase = checkpoint.completedBases[baseIata];
+        if (completedBase) {
+            console.log(`[ANALYSIS] Base ${baseIata} already completed in a previous session. Skipping.`);
+            // Checkpoints written before the journal existed hold the routes themselves
+            const routes = completedBase.routes || await readJournaledRoutes(baseIata);
+            routes.sort((a, b) => b.score - a.score);
+            allResults.set(baseIata, { routes, failedCount: completedBase.failedCount });
+            baseIndex++;
+            continue;
+        }
+
+        const fromAirportId = normalizeBaseEntry(baseAirports[baseIata]).airportId;
         const fromAirport = airportIdLookup.get(fromAirportId);
         
         if (!fromAirport) {
@@ -426,23 +964,77 @@ export async function runAnalysis(username, password, baseAirports, userPlaneLis
             continue;
         }
 
+        // Pick up where an interrupted run left off on this base, if anything
+        if (!checkpoint.currentBase || checkpoint.currentBase.iata !== baseIata) {
+            checkpoint.currentBase = { iata: baseIata, processedIds: [], failedCount: 0 };
+        }
+        const baseCheckpoint = checkpoint.currentBase;
+        const processedIds = new Set(baseCheckpoint.processedIds);
+        const routeScores = baseCheckpoint.routeScores || await readJournaledRoutes(baseIata, processedIds);
+        delete baseCheckpoint.routeScores;
+
+        const { kept: candidates, skipped } = filterDestinations(
+            fromAirport,
+            airportsToScan.filter(destAirport => destAirport.id !== fromAirportId),
+            filterCriteria
+        );
+        const totalToScan = candidates.length;
+        const skippedSummary = Object.entries(skipped).filter(([, count]) => count > 0).map(([reason, count]) => `${reason}: ${count}`);
+        if (skippedSummary.length > 0) {
+            console.log(`[ANALYSIS] Pre-filter skipped destinations from ${baseIata} (${skippedSummary.join(', ')}).`);
+        }
+
         console.log(`[ANALYSIS] === Starting analysis for base: ${baseIata} (${fromAirport.city}) ===`);
         const baseProgress = `(Base ${baseIndex}/${baseIatas.length})`;
-        await onProgress(`Analyzing routes from ${baseIata} ${baseProgress}... (0/${totalToScan})`);
+        const verb = processedIds.size > 0 ? 'Resuming' : 'Analyzing';
+        await onProgress(`${verb} routes from ${baseIata} ${baseProgress}... (${processedIds.size}/${totalToScan})`);
         
-        let routeScores = [];
-        let processedCount = 0;
+        let processedCount = processedIds.size;
+        let cacheHits = 0;
+        let failedCount = baseCheckpoint.failedCount;
+        const routeCache = await openRouteCache(airlineId, fromAirportId);
+
+        // Destinations processed since the last checkpoint. They are only marked processed once journaled,
+        // so a restart never skips a destination whose route was lost. Those without a viable route are journaled
+        // too, so they replace whatever an earlier session journaled for them.
+        let unsaved = [];
+        const journalUnsaved = async () => {
+            const batch = unsaved;
+            unsaved = [];
+            if (journal && batch.length > 0) {
+                await journal.append(baseIata, batch.map(({ toAirportId, route }) => ({ toAirportId, route })));
+            }
+            return batch;
+        };
+        const saveBaseProgress = async () => {
+            const batch = await journalUnsaved();
+            baseCheckpoint.processedIds.push(...batch.map(entry => entry.toAirportId));
+            baseCheckpoint.failedCount += batch.filter(entry => entry.failed).length;
+            await saveCheckpoint();
+        };
 
-        for (const destAirport of airportsToScan) {
+        const processDestination = async (destAirport) => {
             const toAirportId = destAirport.id;
+            if (signal && signal.aborted) return;
+
+            let routeData = options.refresh ? null : routeCache.get(toAirportId);
+            let failed = false;
 
-            if (fromAirportId === toAirportId) {
-                processedCount++;
-                continue;
+            if (routeData) {
+                cacheHits++;
+            } else {
+                try {
+                    routeData = await scheduler.run(() => requestRouteData(client, airlineId, fromAirportId, toAirportId));
+                    await routeCache.set(toAirportId, routeData);
+                } catch (error) {
+                    if (signal && signal.aborted) return;
+                    console.error(`[API] Giving up on route data (${baseIata} -> ${destAirport.iata}):`, error.message);
+                    failedCount++;
+                    failed = true;
+                }
             }
-            
-            const routeData = await fetchRouteData(client, airlineId, fromAirportId, toAirportId);
-            
+
+            let route = null;
             if (routeData) {
                 const analysis = analyzeRoute(
                     routeData, 
@@ -450,7 +1042,14 @@ export async function runAnalysis(username, password, baseAirports, userPlaneLis
                     airplaneModelMap, 
                     airportIdLookup,
                     baseAirports,
-                    isDebug
+                    isDebug,
+                    {
+                        loadFactor: options.loadFactor,
+                        rankBy: options.rankBy,
+                        optimizePrices: options.optimizePrices,
+                        includeAlternatives: options.includeAlternatives,
+                        costProfile: options.costProfile,
+                    }
                 );
                 
                 if (analysis) {
@@ -459,45 +1058,335 @@ export async function runAnalysis(username, password, baseAirports, userPlaneLis
                     analysis.toIata = destAirport.iata;
                     analysis.toCity = destAirport.city;
                     routeScores.push(analysis);
+                    route = analysis;
                 }
             }
             
             processedCount++;
+            unsaved.push({ toAirportId, route, failed });
+
+            if (processedCount % CHECKPOINT_EVERY === 0) {
+                await saveBaseProgress();
+            }
             if (processedCount % 50 === 0) { 
                 await onProgress(`Analyzing routes from ${baseIata} ${baseProgress}... (${processedCount}/${totalToScan})`);
             }
+        };
+
+        const destinations = candidates.filter(destAirport => !processedIds.has(destAirport.id));
+        // The scheduler bounds how many of these actually hit the API at once
+        await Promise.all(destinations.map(processDestination));
+        throwIfCancelled();
 
-            await delay(150);
+        await routeCache.flush();
+        if (cacheHits > 0) {
+            console.log(`[ANALYSIS] ${cacheHits} route(s) from ${baseIata} were served from cache.`);
+        }
+
+        if (failedCount > 0) {
+            await onProgress(`⚠️ ${failedCount} route(s) from ${baseIata} could not be fetched after retries. Results for this base are incomplete.`);
         }
 
         routeScores.sort((a, b) => b.score - a.score);
-        allResults.set(baseIata, routeScores.slice(0, 10));
+        allResults.set(baseIata, { routes: routeScores, failedCount });
+
+        await journalUnsaved();
+        checkpoint.completedBases[baseIata] = { routeCount: routeScores.length, failedCount };
+        checkpoint.currentBase = null;
+        await saveCheckpoint();
         
-        console.log(`[ANALYSIS] === Completed base ${baseIata}. Found ${routeScores.length} viable routes. Top 10 saved. ===`);
+        console.log(`[ANALYSIS] === Completed base ${baseIata}. Found ${routeScores.length} viable routes. ===`);
         baseIndex++;
     }
     
-    console.log('[ANALYSIS] All bases complete.');
+    const { requests, retries, throttled, failures } = scheduler.stats;
+    console.log(`[ANALYSIS] All bases complete. Requests: ${requests}, retries: ${retries}, throttled: ${throttled}, failed: ${failures}.`);
     return allResults;
 }
 
 /**
- * Standalone helper to find an airport by IATA.
+ * Logs in and analyzes the routes between pairs of airports that are not necessarily bases, such as two
+ * destinations of a base a rotation could fly between. Uses the plan-link cache and request scheduler like runAnalysis().
+ * @param {Array<{fromAirportId: number, toAirportId: number}>} pairs - The routes to analyze.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Ignore cached plan-link responses and refetch everything.
+ * @param {string} [options.rankBy] - The scoring strategy to pick the best plane by, see scoring.js.
+ * @param {object} [options.costProfile] - The cost constants to use, see analyzeRoute().
+ * @param {AbortSignal} [options.signal] - Stops the analysis (with an error) when aborted.
+ * @returns {Promise<{routes: Array<object>, failedCount: number}>} The analyses from analyzeRoute() with airport names,
+ *   for the pairs some plane in the planelist can fly, and the number of pairs whose route data could not be fetched.
  */
-export async function getAirportByIata(iata) {
-    const client = createApiClient(); 
-    console.log(`[API] Fetching airport by IATA: ${iata}`);
-    try {
-        const allAirports = await fetchAirports(client);
-        const airport = allAirports.find(a => a.iata.toUpperCase() === iata.toUpperCase()) || null;
-        if (airport) {
-            console.log(`[API] Found ${iata}: ${airport.name} (ID: ${airport.id})`);
-        } else {
-            console.warn(`[API] Could not find airport with IATA: ${iata}`);
+export async function analyzeConnections(username, password, pairs, baseAirports, userPlaneList, options = {}) {
+    const client = createApiClient();
+    const airlineId = await login(client, username, password);
+    const airportIdLookup = new Map((await fetchAirports(client)).map(airport => [airport.id, airport]));
+    const airplaneModelMap = await fetchAirplaneModels(client);
+
+    const { signal } = options;
+    const scheduler = createRequestScheduler({ signal });
+    const isDebug = process.env.DEBUG_LOGGING === 'true';
+    const routeCaches = new Map();
+    const routes = [];
+    let failedCount = 0;
+
+    const analyzePair = async ({ fromAirportId, toAirportId }) => {
+        const fromAirport = airportIdLookup.get(fromAirportId);
+        const toAirport = airportIdLookup.get(toAirportId);
+        if (!fromAirport || !toAirport) return;
+
+        if (!routeCaches.has(fromAirportId)) {
+            routeCaches.set(fromAirportId, openRouteCache(airlineId, fromAirportId));
         }
-        return airport;
-    } catch (error) {
-        console.error("[API] Failed to get airport by IATA:", error);
+        const routeCache = await routeCaches.get(fromAirportId);
+
+        let routeData = options.refresh ? null : routeCache.get(toAirportId);
+        if (!routeData) {
+            try {
+                routeData = await scheduler.run(() => requestRouteData(client, airlineId, fromAirportId, toAirportId));
+                await routeCache.set(toAirportId, routeData);
+            } catch (error) {
+                if (signal && signal.aborted) return;
+                console.error(`[API] Giving up on route data (${fromAirport.iata} -> ${toAirport.iata}):`, error.message);
+                failedCount++;
+                return;
+            }
+        }
+
+        const analysis = analyzeRoute(routeData, userPlaneList, airplaneModelMap, airportIdLookup, baseAirports, isDebug, {
+            rankBy: options.rankBy,
+            costProfile: options.costProfile,
+        });
+        if (analysis) {
+            analysis.fromIata = fromAirport.iata;
+            analysis.fromCity = fromAirport.city;
+            analysis.toIata = toAirport.iata;
+            analysis.toCity = toAirport.city;
+            routes.push(analysis);
+        }
+    };
+
+    await Promise.all(pairs.map(analyzePair));
+    if (signal && signal.aborted) throw new Error('Analysis cancelled.');
+    for (const routeCache of routeCaches.values()) {
+        await (await routeCache).flush();
+    }
+
+    console.log(`[ANALYSIS] Analyzed ${pairs.length} connection(s): ${routes.length} flyable, ${failedCount} failed.`);
+    return { routes, failedCount };
+}
+
+/**
+ * Logs in and loads the plan-link data of one specific route, using the plan-link cache like runAnalysis().
+ * @returns {Promise<object>} The route data with the airports and model stats needed to analyze it.
+ * @throws {Error} If an airport doesn't exist or the route data can't be fetched.
+ */
+async function loadSingleRoute(username, password, fromIata, toIata, options = {}) {
+    const client = createApiClient();
+    const airlineId = await login(client, username, password);
+    const allAirports = await fetchAirports(client);
+    const airplaneModelMap = await fetchAirplaneModels(client);
+
+    const findAirport = (iata) => allAirports.find(a => a.iata.toUpperCase() === iata.toUpperCase());
+    const fromAirport = findAirport(fromIata);
+    const toAirport = findAirport(toIata);
+    if (!fromAirport || !toAirport) {
+        throw new Error(`Could not find an airport with IATA code ${fromAirport ? toIata : fromIata}.`);
+    }
+
+    const airportIdLookup = new Map(allAirports.map(airport => [airport.id, airport]));
+    const routeCache = await openRouteCache(airlineId, fromAirport.id);
+
+    let routeData = options.refresh ? null : routeCache.get(toAirport.id);
+    if (!routeData) {
+        routeData = await fetchRouteData(client, airlineId, fromAirport.id, toAirport.id);
+        if (!routeData) {
+            throw new Error(`Could not fetch route data for ${fromAirport.iata} -> ${toAirport.iata}.`);
+        }
+        await routeCache.set(toAirport.id, routeData);
+        await routeCache.flush();
+    }
+
+    return { routeData, fromAirport, toAirport, airplaneModelMap, airportIdLookup };
+}
+
+/**
+ * Logs in and analyzes one specific route, for a detailed look at its numbers.
+ * Uses the plan-link cache like runAnalysis().
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Ignore the cached plan-link response.
+ * @param {number} [options.loadFactor] - Assume this load factor (0-1) instead of estimating sales from demand.
+ * @param {string} [options.rankBy] - The scoring strategy to pick the best plane by, see scoring.js.
+ * @param {boolean} [options.optimizePrices] - Sweep fares for the best score, see analyzeRoute().
+ * @param {object} [options.costProfile] - The cost constants to use, see analyzeRoute().
+ * @returns {Promise<object|null>} The analysis from analyzeRoute() with airport names, or null if no plane in the planelist can fly it.
+ */
+export async function analyzeSingleRoute(username, password, fromIata, toIata, baseAirports, userPlaneList, options = {}) {
+    const { routeData, fromAirport, toAirport, airplaneModelMap, airportIdLookup } =
+        await loadSingleRoute(username, password, fromIata, toIata, options);
+
+    const isDebug = process.env.DEBUG_LOGGING === 'true';
+    const analysis = analyzeRoute(routeData, userPlaneList, airplaneModelMap, airportIdLookup, baseAirports, isDebug, {
+        loadFactor: options.loadFactor,
+        rankBy: options.rankBy,
+        optimizePrices: options.optimizePrices,
+        costProfile: options.costProfile,
+    });
+    if (!analysis) {
         return null;
     }
+
+    analysis.fromIata = fromAirport.iata;
+    analysis.fromCity = fromAirport.city;
+    analysis.toIata = toAirport.iata;
+    analysis.toCity = toAirport.city;
+    return analysis;
+}
+
+/**
+ * Logs in and reports who flies one specific route, and our implied market share if we entered it
+ * with the best plane from the planelist.
+ * @param {object} [options] - Same as analyzeSingleRoute().
+ * @returns {Promise<{fromIata: string, fromCity: string, toIata: string, toCity: string, competitors: Array, analysis: object|null}>}
+ *   analysis is null if no plane in the planelist can fly the route.
+ */
+export async function getRouteCompetition(username, password, fromIata, toIata, baseAirports, userPlaneList, options = {}) {
+    const { routeData, fromAirport, toAirport, airplaneModelMap, airportIdLookup } =
+        await loadSingleRoute(username, password, fromIata, toIata, options);
+
+    const isDebug = process.env.DEBUG_LOGGING === 'true';
+    const analysis = analyzeRoute(routeData, userPlaneList, airplaneModelMap, airportIdLookup, baseAirports, isDebug, {
+        loadFactor: options.loadFactor,
+        rankBy: options.rankBy,
+        optimizePrices: options.optimizePrices,
+        costProfile: options.costProfile,
+    });
+
+    return {
+        fromIata: fromAirport.iata,
+        fromCity: fromAirport.city,
+        toIata: toAirport.iata,
+        toCity: toAirport.city,
+        competitors: analysis ? analysis.competitors : summarizeCompetitors(routeData),
+        analysis,
+    };
+}
+
+// Cost lines of the game's link income statement, by the cost component they match
+const CONSUMPTION_COST_FIELDS = {
+    fuel: 'fuelCost',
+    crew: 'crewCost',
+    airportFees: 'airportFees',
+    depreciation: 'depreciation',
+    maintenance: 'maintenanceCost',
+    serviceSupplies: 'inflightCost',
+};
+
+/**
+ * Predicts the weekly costs of an existing link from what it actually flew: its frequency, cabin and seats sold.
+ * Airframes are assumed to fly only this link, so their depreciation and maintenance count in full.
+ * @param {object} link - A link from fetchAirlineLinks().
+ * @param {object} consumption - The link's week from fetchLinkConsumption().
+ * @param {object} planeBaseStats - The link's model from fetchAirplaneModels().
+ * @param {object} fromAirport - The origin airport.
+ * @param {object} toAirport - The destination airport.
+ * @param {object} baseAirports - Our bases, keyed by IATA code.
+ * @param {object} [costProfile] - The cost constants to use (default: DEFAULT_COST_PROFILE).
+ * @returns {object} The costs by component, like analyzeRoute()'s `costs`.
+ */
+export function predictLinkCosts(link, consumption, planeBaseStats, fromAirport, toAirport, baseAirports, costProfile = DEFAULT_COST_PROFILE) {
+    const frequency = link.frequency;
+    const seats = {};
+    const soldSeats = {};
+    for (const linkClass of LINK_CLASSES) {
+        seats[linkClass] = ((link.capacity && link.capacity[linkClass]) || 0) / frequency;
+        soldSeats[linkClass] = ((consumption.soldSeats && consumption.soldSeats[linkClass]) || 0) / frequency;
+    }
+    const totalSeats = LINK_CLASSES.reduce((sum, linkClass) => sum + seats[linkClass], 0);
+    const loadFactor = totalSeats > 0 ? LINK_CLASSES.reduce((sum, linkClass) => sum + soldSeats[linkClass], 0) / totalSeats : 0;
+
+    return calculateWeeklyCosts({
+        distance: link.distance,
+        planeBaseStats,
+        capacity: planeBaseStats.capacity,
+        seats,
+        soldSeats,
+        loadFactor,
+        durationMinutes: link.duration,
+        frequency,
+        airframes: Array.isArray(link.assignedAirplanes) && link.assignedAirplanes.length > 0 ? link.assignedAirplanes.length : 1,
+        fromAirport,
+        toAirport,
+        baseAirports,
+    }, costProfile);
+}
+
+/**
+ * Logs in and compares the predicted weekly costs of every link the airline flies with its latest income statement.
+ * Links that haven't flown a full week yet, or whose model or airports are unknown, are skipped.
+ * @param {object} [options]
+ * @param {object} [options.costProfile] - The cost constants to predict with, see analyzeRoute().
+ * @param {function(string): Promise} [options.onProgress] - Called with progress messages.
+ * @param {AbortSignal} [options.signal] - Stops fetching (with an error) when aborted.
+ * @returns {Promise<{samples: Array<{link: object, actual: object, predicted: object}>, skippedCount: number, failedCount: number}>}
+ *   One sample per link: its route and model, and the actual and predicted costs by component (see predictLinkCosts()).
+ */
+export async function loadLinkCostSamples(username, password, options = {}) {
+    const onProgress = options.onProgress || (async () => {});
+    const client = createApiClient();
+    const airlineId = await login(client, username, password);
+
+    await onProgress('Fetching airports, airplane models and bases...');
+    const airportIdLookup = new Map((await fetchAirports(client)).map(airport => [airport.id, airport]));
+    const airplaneModelMap = await fetchAirplaneModels(client);
+    // Fee discounts depend on our bases as they are in the game, whatever the baselist says
+    const baseAirports = {};
+    for (const base of await fetchAirlineBases(client, airlineId)) {
+        const airport = airportIdLookup.get(base.airportId);
+        if (airport) baseAirports[airport.iata] = { airportId: base.airportId, hq: Boolean(base.headquarter), level: base.scale || null };
+    }
+
+    const links = await fetchAirlineLinks(client, airlineId);
+    await onProgress(`Fetching the latest income statement of ${links.length} links...`);
+
+    const { signal } = options;
+    const scheduler = createRequestScheduler({ signal });
+    const samples = [];
+    let skippedCount = 0;
+    let failedCount = 0;
+    await Promise.all(links.map(async (link) => {
+        let consumption;
+        try {
+            consumption = await scheduler.run(() => fetchLinkConsumption(client, airlineId, link.id));
+        } catch (error) {
+            if (signal && signal.aborted) return;
+            console.error(`[API] Giving up on link ${link.id} (${link.fromAirportCode} -> ${link.toAirportCode}):`, error.message);
+            failedCount++;
+            return;
+        }
+
+        const planeBaseStats = airplaneModelMap.get(link.modelId);
+        const fromAirport = airportIdLookup.get(link.fromAirportId);
+        const toAirport = airportIdLookup.get(link.toAirportId);
+        if (!consumption || !planeBaseStats || !fromAirport || !toAirport || !link.frequency) {
+            skippedCount++;
+            return;
+        }
+
+        // Costs may be reported as negative amounts on the income statement
+        const actual = {};
+        for (const [component, field] of Object.entries(CONSUMPTION_COST_FIELDS)) {
+            actual[component] = Math.abs(consumption[field] || 0);
+        }
+        actual.total = Object.keys(CONSUMPTION_COST_FIELDS).reduce((sum, component) => sum + actual[component], 0);
+
+        samples.push({
+            link: { id: link.id, fromIata: fromAirport.iata, toIata: toAirport.iata, modelName: planeBaseStats.name, frequency: link.frequency },
+            actual,
+            predicted: predictLinkCosts(link, consumption, planeBaseStats, fromAirport, toAirport, baseAirports, options.costProfile),
+        });
+    }));
+    if (signal && signal.aborted) throw new Error('Calibration cancelled.');
+
+    console.log(`[ANALYSIS] Compared ${samples.length} links (${skippedCount} skipped, ${failedCount} failed).`);
+    return { samples, skippedCount, failedCount };
 }
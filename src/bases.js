@@ -0,0 +1,14 @@
+// --- Baselist entries ---
+// Shared by the state store, which normalizes entries on load, and the analysis, which reads their discounts.
+
+/**
+ * Normalizes a baselist entry. Older state files stored just the airport ID.
+ * @param {number|object} entry - The stored entry.
+ * @returns {{airportId: number, hq: boolean, level: number|null}} The entry.
+ */
+export function normalizeBaseEntry(entry) {
+    if (typeof entry === 'number') {
+        return { airportId: entry, hq: false, level: null };
+    }
+    return { hq: false, level: null, ...entry };
+}
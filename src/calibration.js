@@ -0,0 +1,109 @@
+// --- Cost model calibration ---
+// Compares the costs the model predicts for the airline's existing links with what the game actually charged,
+// per cost component. Components that scale with a single cost profile constant (e.g. fuel with the fuel unit
+// cost) also get a fitted value for that constant, so the profile can be corrected with /routeadmin.
+
+import { getCostParameterValue } from './costProfiles.js';
+
+/**
+ * The cost components, in income statement order. `parameter` is the cost profile constant the component is
+ * proportional to, if there is exactly one.
+ */
+export const COST_COMPONENTS = [
+    { key: 'fuel', label: 'Fuel', parameter: 'fuelUnitCost' },
+    { key: 'crew', label: 'Crew', parameter: 'crewUnitCost' },
+    { key: 'airportFees', label: 'Airport fees', parameter: null },
+    { key: 'depreciation', label: 'Depreciation', parameter: null },
+    { key: 'maintenance', label: 'Maintenance', parameter: 'maintenancePerSeat' },
+    { key: 'serviceSupplies', label: 'Service supplies', parameter: null },
+];
+
+// Fitted constants within this fraction of the current value aren't worth changing
+const MIN_SUGGESTED_CHANGE = 0.01;
+const SIGNIFICANT_DIGITS = 3;
+
+/**
+ * Summarizes the prediction errors of one cost component over the samples.
+ * @param {Array<{actual: object, predicted: object}>} samples - Samples from loadLinkCostSamples().
+ * @param {string} component - The component key, or "total".
+ * @returns {{count: number, actualTotal: number, predictedTotal: number, bias: number, meanAbsoluteError: number, fitRatio: number|null}}
+ *   bias is the total error relative to the actual total (positive when the model overestimates); meanAbsoluteError
+ *   is the average error per link relative to its actual cost, over links where it was charged; fitRatio is the
+ *   least-squares factor to scale predictions by to match (null without predictions).
+ */
+export function summarizeComponent(samples, component) {
+    let actualTotal = 0;
+    let predictedTotal = 0;
+    let absoluteErrorSum = 0;
+    let count = 0;
+    let crossProduct = 0;
+    let predictedSquares = 0;
+
+    for (const { actual, predicted } of samples) {
+        const actualValue = actual[component];
+        const predictedValue = predicted[component];
+        actualTotal += actualValue;
+        predictedTotal += predictedValue;
+        crossProduct += actualValue * predictedValue;
+        predictedSquares += predictedValue * predictedValue;
+        if (actualValue > 0) {
+            absoluteErrorSum += Math.abs(predictedValue - actualValue) / actualValue;
+            count++;
+        }
+    }
+
+    return {
+        count,
+        actualTotal,
+        predictedTotal,
+        bias: actualTotal > 0 ? (predictedTotal - actualTotal) / actualTotal : 0,
+        meanAbsoluteError: count > 0 ? absoluteErrorSum / count : 0,
+        fitRatio: predictedSquares > 0 ? crossProduct / predictedSquares : null,
+    };
+}
+
+/**
+ * Rounds a fitted constant to a few significant digits, so it reads like the hand-picked ones.
+ */
+function roundSignificant(value) {
+    if (value === 0) return 0;
+    const magnitude = Math.pow(10, SIGNIFICANT_DIGITS - 1 - Math.floor(Math.log10(Math.abs(value))));
+    return Math.round(value * magnitude) / magnitude;
+}
+
+/**
+ * Calibrates the cost model against the samples.
+ * @param {Array<object>} samples - Samples from loadLinkCostSamples(), predicted with `profile`.
+ * @param {object} profile - The resolved cost profile the predictions were made with.
+ * @returns {{components: Array<object>, total: object, suggestions: Array<{parameter: string, label: string, current: number, suggested: number}>}}
+ *   Per component its summary (see summarizeComponent()) with `key` and `label`, the summary of the total costs,
+ *   and fitted values for the constants that are off by more than 1%.
+ */
+export function calibrateCostModel(samples, profile) {
+    const components = COST_COMPONENTS.map(component => ({ ...component, ...summarizeComponent(samples, component.key) }));
+    const suggestions = [];
+    for (const component of components) {
+        if (!component.parameter || component.fitRatio === null || component.count === 0) continue;
+        if (Math.abs(component.fitRatio - 1) < MIN_SUGGESTED_CHANGE) continue;
+        const current = getCostParameterValue(profile, component.parameter);
+        suggestions.push({ parameter: component.parameter, label: component.label, current, suggested: roundSignificant(current * component.fitRatio) });
+    }
+
+    return {
+        components,
+        total: summarizeComponent(samples, 'total'),
+        suggestions,
+    };
+}
+
+/**
+ * Finds the links whose total costs the model gets most wrong.
+ * @returns {Array<{link: object, error: number}>} Up to `limit` links with their total cost error relative to the actual total.
+ */
+export function findWorstLinks(samples, limit = 5) {
+    return samples
+        .filter(({ actual }) => actual.total > 0)
+        .map(({ link, actual, predicted }) => ({ link, error: (predicted.total - actual.total) / actual.total }))
+        .sort((a, b) => Math.abs(b.error) - Math.abs(a.error))
+        .slice(0, limit);
+}
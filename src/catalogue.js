@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDataDir, writeJsonAtomic } from './stateStore.js';
+import { createApiClient, fetchAirports, fetchAirplaneModels } from './airlineClient.js';
+
+// --- Airport and airplane model catalogue ---
+// Both lists are the same for every account, so they're fetched once, kept in memory and on disk,
+// and refreshed in the background. Autocomplete must answer within 3 seconds and can't wait for the API.
+
+const DEFAULT_REFRESH_HOURS = 24;
+const MAX_CHOICES = 25;
+
+let catalogue = null;
+let refreshPromise = null;
+let refreshTimer = null;
+
+/**
+ * Path of the catalogue file: <DATA_DIR>/cache/catalogue.json
+ */
+function getCataloguePath() {
+    return path.join(getDataDir(), 'cache', 'catalogue.json');
+}
+
+/**
+ * Returns how often the catalogue is refreshed in milliseconds, from CATALOGUE_REFRESH_HOURS in .env.
+ */
+function getRefreshIntervalMs() {
+    const hours = parseFloat(process.env.CATALOGUE_REFRESH_HOURS);
+    return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_REFRESH_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Fetches both lists from the game and saves them. Concurrent calls share one request.
+ */
+function refreshCatalogue() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const client = createApiClient();
+            const airports = await fetchAirports(client);
+            const models = [...(await fetchAirplaneModels(client)).values()];
+            catalogue = { fetchedAt: Date.now(), airports, models };
+            await writeJsonAtomic(getCataloguePath(), catalogue);
+            console.log(`[CATALOGUE] Refreshed: ${airports.length} airports, ${models.length} airplane models.`);
+            return catalogue;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * Returns the catalogue. A stale catalogue is returned as-is while a refresh runs in the background;
+ * only a missing one is waited for.
+ * @returns {Promise<{fetchedAt: number, airports: Array<object>, models: Array<object>}>}
+ */
+export async function getCatalogue() {
+    if (!catalogue) {
+        try {
+            catalogue = JSON.parse(await fs.readFile(getCataloguePath(), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`[CATALOGUE] Ignoring unreadable catalogue file: ${error.message}`);
+            }
+            return refreshCatalogue();
+        }
+    }
+
+    if (Date.now() - catalogue.fetchedAt > getRefreshIntervalMs()) {
+        refreshCatalogue().catch(error => console.error('[CATALOGUE] Background refresh failed:', error.message));
+    }
+    return catalogue;
+}
+
+/**
+ * Loads the catalogue and refreshes it periodically. Called once when the bot is ready.
+ * The refresh timer starts even if the first load fails, so the catalogue recovers once the game is reachable.
+ */
+export async function initCatalogue() {
+    if (!refreshTimer) {
+        refreshTimer = setInterval(() => {
+            refreshCatalogue().catch(error => console.error('[CATALOGUE] Scheduled refresh failed:', error.message));
+        }, getRefreshIntervalMs());
+        refreshTimer.unref();
+    }
+    await getCatalogue();
+}
+
+/**
+ * Finds an airport by IATA code.
+ * @returns {Promise<object|null>} The airport, or null if there is none (or the catalogue can't be loaded).
+ */
+export async function getAirportByIata(iata) {
+    try {
+        const { airports } = await getCatalogue();
+        const airport = airports.find(a => a.iata && a.iata.toUpperCase() === iata.toUpperCase()) || null;
+        if (!airport) {
+            console.warn(`[CATALOGUE] Could not find airport with IATA: ${iata}`);
+        }
+        return airport;
+    } catch (error) {
+        console.error('[CATALOGUE] Failed to get airport by IATA:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Ranks items against a query: exact code matches first, then prefixes, then anything containing it.
+ * @param {Array<object>} items - The items to search.
+ * @param {string} query - What the user typed so far.
+ * @param {function(object): string} getCode - The item's short code (IATA or model ID).
+ * @param {function(object): Array<string>} getTexts - Other fields to search in.
+ */
+function search(items, query, getCode, getTexts) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+        return items.slice(0, MAX_CHOICES);
+    }
+
+    const ranked = [];
+    for (const item of items) {
+        const code = String(getCode(item) ?? '').toLowerCase();
+        const texts = getTexts(item).filter(Boolean).map(text => String(text).toLowerCase());
+        let rank;
+        if (code === needle) rank = 0;
+        else if (code.startsWith(needle) || texts.some(text => text.startsWith(needle))) rank = 1;
+        else if (texts.some(text => text.includes(needle))) rank = 2;
+        else continue;
+        ranked.push({ item, rank });
+    }
+
+    return ranked
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, MAX_CHOICES)
+        .map(({ item }) => item);
+}
+
+/**
+ * Searches airports by IATA code, city or name.
+ * @returns {Promise<Array<object>>} Up to 25 airports, best matches first.
+ */
+export async function searchAirports(query) {
+    const { airports } = await getCatalogue();
+    return search(airports, query, airport => airport.iata, airport => [airport.city, airport.name]);
+}
+
+/**
+ * Searches airplane models by name, manufacturer or ID.
+ * @returns {Promise<Array<object>>} Up to 25 models, best matches first.
+ */
+export async function searchAirplaneModels(query) {
+    const { models } = await getCatalogue();
+    return search(models, query, model => model.id, model => [model.name, model.manufacturer, model.family]);
+}
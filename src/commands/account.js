@@ -0,0 +1,133 @@
+import { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } from 'discord.js';
+import { loadState, saveState, getAccountError } from '../stateStore.js';
+import { isEncryptionConfigured } from '../credentials.js';
+import { createApiClient, login } from '../airlineClient.js';
+
+export const ACCOUNT_ADD_MODAL_ID = 'routefinder:account_add';
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('account_add')
+        .setDescription('Add or update a game account (opens a form for the credentials)'))
+    .addSubcommand(sub => sub
+        .setName('account_list')
+        .setDescription('List the game accounts available to `run`'))
+    .addSubcommand(sub => sub
+        .setName('account_remove')
+        .setDescription('Remove a game account')
+        .addStringOption(opt => opt.setName('name').setDescription('The name of the account to remove').setRequired(true)))
+    .addSubcommand(sub => sub
+        .setName('account_test')
+        .setDescription('Log in with a game account and report its airline ID')
+        .addStringOption(opt => opt.setName('name').setDescription('The name of the account to test').setRequired(true)));
+
+/**
+ * Builds the modal used to collect account credentials, so the password never shows up in the command log.
+ */
+function buildAccountModal() {
+    const nameInput = new TextInputBuilder()
+        .setCustomId('name')
+        .setLabel('Account name (used with run account:)')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(32)
+        .setRequired(true);
+    const usernameInput = new TextInputBuilder()
+        .setCustomId('username')
+        .setLabel('Airline Club username or email')
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true);
+    const passwordInput = new TextInputBuilder()
+        .setCustomId('password')
+        .setLabel('Airline Club password')
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true);
+
+    return new ModalBuilder()
+        .setCustomId(ACCOUNT_ADD_MODAL_ID)
+        .setTitle('Add Airline Club Account')
+        .addComponents(
+            new ActionRowBuilder().addComponents(nameInput),
+            new ActionRowBuilder().addComponents(usernameInput),
+            new ActionRowBuilder().addComponents(passwordInput)
+        );
+}
+
+export async function execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'account_add') {
+        if (!isEncryptionConfigured()) {
+            return interaction.reply({ content: 'Error: `STATE_ENCRYPTION_KEY` is not set in `.env`. Passwords cannot be stored securely.', flags: 64 });
+        }
+        return interaction.showModal(buildAccountModal());
+    }
+
+    const state = await loadState();
+
+    if (subcommand === 'account_list') {
+        const names = Object.keys(state.accounts);
+        if (names.length === 0) {
+            return interaction.reply({ content: 'No accounts have been added yet. Add one with `/routefinder account_add`.', flags: 64 });
+        }
+
+        const accountListString = names.map(name => {
+            const account = state.accounts[name];
+            return `• ${name} (${account.username})${account.decryptError ? ' ⚠️ password could not be decrypted' : ''}`;
+        }).join('\n');
+        return interaction.reply({ content: `**Accounts:**\n${accountListString}`, flags: 64 });
+
+    } else if (subcommand === 'account_remove') {
+        const name = interaction.options.getString('name');
+
+        if (!state.accounts[name]) {
+            return interaction.reply({ content: `Account "${name}" does not exist.`, flags: 64 });
+        }
+
+        delete state.accounts[name];
+        await saveState(state);
+
+        return interaction.reply({ content: `Removed account "${name}".`, flags: 64 });
+
+    } else if (subcommand === 'account_test') {
+        await interaction.deferReply({ flags: 64 });
+        const name = interaction.options.getString('name');
+        const account = state.accounts[name];
+
+        if (!account) {
+            return interaction.editReply(`Account "${name}" does not exist.`);
+        }
+        const accountError = getAccountError(name, account);
+        if (accountError) {
+            return interaction.editReply(`❌ ${accountError}`);
+        }
+
+        try {
+            const airlineId = await login(createApiClient(), account.username, account.password);
+            return interaction.editReply(`✅ Login successful for "${name}". Airline ID: ${airlineId}`);
+        } catch (error) {
+            return interaction.editReply(`❌ Login failed for "${name}": ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Handles the submitted account_add modal.
+ */
+export async function handleModalSubmit(interaction) {
+    const name = interaction.fields.getTextInputValue('name').trim();
+    const username = interaction.fields.getTextInputValue('username').trim();
+    const password = interaction.fields.getTextInputValue('password');
+
+    if (!name) {
+        return interaction.reply({ content: 'Account name cannot be empty.', flags: 64 });
+    }
+
+    const state = await loadState();
+    const isUpdate = Boolean(state.accounts[name]);
+
+    state.accounts[name] = { username, password };
+    await saveState(state);
+
+    console.log(`[INFO] ${interaction.user.tag} ${isUpdate ? 'updated' : 'added'} account "${name}".`);
+    return interaction.reply({ content: `${isUpdate ? 'Updated' : 'Added'} account "${name}" (${username}). Test it with \`/routefinder account_test name:${name}\`.`, flags: 64 });
+}
@@ -1,31 +1,71 @@
-import { loadState, saveState } from '../stateStore.js';
-import { getAirportByIata } from '../airlineClient.js';
+import { loadState, saveState, getInteractionWorkspace, getAccountError } from '../stateStore.js';
+import { createApiClient, login, fetchAirlineBases } from '../airlineClient.js';
+import { getAirportByIata } from '../catalogue.js';
 
 export const subcommands = (builder) =>
     builder.addSubcommand(sub => sub
         .setName('baselist_add')
         .setDescription('Add a base airport by its IATA code')
-        .addStringOption(opt => opt.setName('iata').setDescription('The 3-letter IATA code (e.g., IST)').setRequired(true)))
+        .addStringOption(opt => opt.setName('iata').setDescription('The 3-letter IATA code (e.g., IST)').setRequired(true).setAutocomplete(true))
+        .addBooleanOption(opt => opt.setName('hq').setDescription('Whether this base is your headquarters'))
+        .addIntegerOption(opt => opt.setName('level').setDescription('The base level').setMinValue(1)))
     .addSubcommand(sub => sub
         .setName('baselist_delete')
         .setDescription('Remove a base airport by its IATA code')
         .addStringOption(opt => opt.setName('iata').setDescription('The 3-letter IATA code (e.g., IST)').setRequired(true)))
     .addSubcommand(sub => sub
         .setName('baselist_view')
-        .setDescription('View all airports currently in your baselist'));
+        .setDescription('View all airports currently in your baselist'))
+    .addSubcommand(sub => sub
+        .setName('baselist_edit')
+        .setDescription('Set whether a base is your headquarters and its level')
+        .addStringOption(opt => opt.setName('iata').setDescription('The 3-letter IATA code (e.g., IST)').setRequired(true))
+        .addBooleanOption(opt => opt.setName('hq').setDescription('Whether this base is your headquarters'))
+        .addIntegerOption(opt => opt.setName('level').setDescription('The base level').setMinValue(1)))
+    .addSubcommand(sub => sub
+        .setName('baselist_sync')
+        .setDescription('Update HQ and base levels of your baselist from your airline in the game')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true)));
+
+/**
+ * Applies hq/level options to a baselist entry. Only one base can be the headquarters.
+ */
+function applyBaseOptions(workspace, entry, hq, level) {
+    if (hq !== null) {
+        if (hq) {
+            for (const other of Object.values(workspace.baseAirports)) {
+                other.hq = false;
+            }
+        }
+        entry.hq = hq;
+    }
+    if (level !== null) {
+        entry.level = level;
+    }
+}
+
+/**
+ * Formats the HQ flag and level of a baselist entry, e.g. " • HQ • Level 3".
+ */
+function formatBaseAttributes(entry) {
+    return `${entry.hq ? ' • HQ' : ''}${entry.level ? ` • Level ${entry.level}` : ''}`;
+}
 
 export async function execute(interaction) {
     const subcommand = interaction.options.getSubcommand();
     const state = await loadState();
+    const workspace = getInteractionWorkspace(state, interaction);
 
     if (subcommand === 'baselist_view') {
-        const iatas = Object.keys(state.baseAirports);
+        const iatas = Object.keys(workspace.baseAirports);
         if (iatas.length === 0) {
             // --- (FIX) Using flags: 64 instead of ephemeral: true ---
             return interaction.reply({ content: 'Your baselist is currently empty.', flags: 64 });
         }
         
-        const baseListString = iatas.map(iata => `• ${iata} (ID: ${state.baseAirports[iata]})`).join('\n');
+        const baseListString = iatas
+            .map(iata => `• ${iata} (ID: ${workspace.baseAirports[iata].airportId})${formatBaseAttributes(workspace.baseAirports[iata])}`)
+            .join('\n');
         
         // --- (FIX) Using flags: 64 instead of ephemeral: true ---
         return interaction.reply({ content: `**Current Baselist:**\n${baseListString}`, flags: 64 });
@@ -35,7 +75,7 @@ export async function execute(interaction) {
         await interaction.deferReply({ flags: 64 });
         const iata = interaction.options.getString('iata').toUpperCase();
         
-        if (state.baseAirports[iata]) {
+        if (workspace.baseAirports[iata]) {
             return interaction.editReply(`Airport ${iata} is already in your baselist.`);
         }
 
@@ -45,10 +85,12 @@ export async function execute(interaction) {
                 return interaction.editReply(`Could not find an airport with IATA code ${iata}.`);
             }
             
-            state.baseAirports[iata] = airport.id;
+            const entry = { airportId: airport.id, hq: false, level: null };
+            workspace.baseAirports[iata] = entry;
+            applyBaseOptions(workspace, entry, interaction.options.getBoolean('hq'), interaction.options.getInteger('level'));
             await saveState(state);
             
-            return interaction.editReply(`Added ${iata} (${airport.name}, ${airport.city}) to your baselist.`);
+            return interaction.editReply(`Added ${iata} (${airport.name}, ${airport.city})${formatBaseAttributes(entry)} to your baselist.`);
 
         } catch (error) {
             console.error('Error in baselist add:', error);
@@ -58,15 +100,77 @@ export async function execute(interaction) {
     } else if (subcommand === 'baselist_delete') {
         const iata = interaction.options.getString('iata').toUpperCase();
 
-        if (!state.baseAirports[iata]) {
+        if (!workspace.baseAirports[iata]) {
             // --- (FIX) Using flags: 64 instead of ephemeral: true ---
             return interaction.reply({ content: `Airport ${iata} is not in your baselist.`, flags: 64 });
         }
         
-        delete state.baseAirports[iata];
+        delete workspace.baseAirports[iata];
         await saveState(state);
         
         // --- (FIX) Using flags: 64 instead of ephemeral: true ---
         return interaction.reply({ content: `Removed ${iata} from your baselist.`, flags: 64 });
+
+    } else if (subcommand === 'baselist_edit') {
+        const iata = interaction.options.getString('iata').toUpperCase();
+        const entry = workspace.baseAirports[iata];
+
+        if (!entry) {
+            return interaction.reply({ content: `Airport ${iata} is not in your baselist.`, flags: 64 });
+        }
+
+        const hq = interaction.options.getBoolean('hq');
+        const level = interaction.options.getInteger('level');
+        if (hq === null && level === null) {
+            return interaction.reply({ content: 'Give `hq` and/or `level` to change.', flags: 64 });
+        }
+
+        applyBaseOptions(workspace, entry, hq, level);
+        await saveState(state);
+        return interaction.reply({ content: `Updated ${iata}:${formatBaseAttributes(entry) || ' regular base'}.`, flags: 64 });
+
+    } else if (subcommand === 'baselist_sync') {
+        await interaction.deferReply({ flags: 64 });
+        const accountName = interaction.options.getString('account');
+        const account = state.accounts[accountName];
+
+        if (!account) {
+            return interaction.editReply(`Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`);
+        }
+        const accountError = getAccountError(accountName, account);
+        if (accountError) {
+            return interaction.editReply(`Error: ${accountError}`);
+        }
+
+        try {
+            const client = createApiClient();
+            const airlineId = await login(client, account.username, account.password);
+            const gameBases = await fetchAirlineBases(client, airlineId);
+
+            const updated = [];
+            const notInList = [];
+            for (const gameBase of gameBases) {
+                const iata = Object.keys(workspace.baseAirports)
+                    .find(code => workspace.baseAirports[code].airportId === gameBase.airportId);
+                if (!iata) {
+                    notInList.push(gameBase.airportCode || `ID ${gameBase.airportId}`);
+                    continue;
+                }
+                const entry = workspace.baseAirports[iata];
+                entry.hq = Boolean(gameBase.headquarter);
+                entry.level = gameBase.scale || null;
+                updated.push(`• ${iata}${formatBaseAttributes(entry)}`);
+            }
+            await saveState(state);
+
+            const lines = [`Synced ${updated.length} base(s) from the game:`, ...updated];
+            if (notInList.length > 0) {
+                lines.push(`\nGame bases not in your baselist: ${notInList.join(', ')}. Add them with \`/routefinder baselist_add\`.`);
+            }
+            return interaction.editReply(lines.join('\n'));
+        } catch (error) {
+            console.error('Error in baselist sync:', error);
+            return interaction.editReply(`Error: ${error.message}`);
+        }
     }
 }
@@ -0,0 +1,39 @@
+import { loadState, getInteractionWorkspace } from '../stateStore.js';
+import { getAirportByIata } from '../catalogue.js';
+import { purgeRouteCache } from '../routeCache.js';
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('cache_purge')
+        .setDescription('Delete cached route data so the next run refetches it')
+        .addStringOption(opt => opt.setName('base').setDescription('Only purge routes from this IATA code (default: purge everything)')));
+
+export async function execute(interaction) {
+    await interaction.deferReply({ flags: 64 });
+    const baseOption = interaction.options.getString('base');
+
+    if (!baseOption) {
+        const removed = await purgeRouteCache();
+        return interaction.editReply(`Purged the entire route cache (${removed} file(s)).`);
+    }
+
+    const iata = baseOption.toUpperCase();
+    const state = await loadState();
+    const workspace = getInteractionWorkspace(state, interaction);
+
+    const base = workspace.baseAirports[iata];
+    let airportId = base && base.airportId;
+    if (!airportId) {
+        const airport = await getAirportByIata(iata);
+        if (!airport) {
+            return interaction.editReply(`Could not find an airport with IATA code ${iata}.`);
+        }
+        airportId = airport.id;
+    }
+
+    const removed = await purgeRouteCache(airportId);
+    if (removed === 0) {
+        return interaction.editReply(`No cached routes found for ${iata}.`);
+    }
+    return interaction.editReply(`Purged cached routes from ${iata} (${removed} file(s)).`);
+}
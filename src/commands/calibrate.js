@@ -0,0 +1,137 @@
+import { EmbedBuilder } from 'discord.js';
+import { loadState, getAccountError } from '../stateStore.js';
+import { loadLinkCostSamples } from '../airlineClient.js';
+import { resolveCostProfile } from '../costProfiles.js';
+import { calibrateCostModel, findWorstLinks } from '../calibration.js';
+import { registerJobRunner, enqueueJob, getQueuePosition } from '../jobQueue.js';
+import { validateCostProfile } from './run.js';
+
+export const CALIBRATION_JOB_TYPE = 'calibration';
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('calibrate')
+        .setDescription('Compare predicted costs with the actual income statements of an airline\'s links')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account whose links to compare').setRequired(true))
+        .addStringOption(opt => opt.setName('cost_profile').setDescription('The cost profile to check (default: the active profile)').setAutocomplete(true)));
+
+/**
+ * Builds the calibration report embed.
+ * @param {object} profile - The resolved cost profile the predictions were made with.
+ * @param {object} calibration - The result of calibrateCostModel().
+ * @param {object} sampleSet - The result of loadLinkCostSamples().
+ */
+export function buildCalibrationEmbed(profile, calibration, { samples, skippedCount, failedCount }) {
+    const { components, total, suggestions } = calibration;
+    const rows = [...components, { label: 'Total', ...total }].map(row =>
+        `${row.label.padEnd(16)} ${formatMoney(row.predictedTotal).padStart(12)} ${formatMoney(row.actualTotal).padStart(12)} ${formatPercent(row.bias).padStart(7)} ${(row.meanAbsoluteError * 100).toFixed(1).padStart(5)}%`);
+    const table = [`${'Component'.padEnd(16)} ${'Predicted'.padStart(12)} ${'Actual'.padStart(12)} ${'Bias'.padStart(7)} ${'MAE'.padStart(6)}`, ...rows].join('\n');
+
+    const notes = [];
+    if (skippedCount > 0) notes.push(`${skippedCount} link(s) skipped: no full week flown yet, or unknown model or airports.`);
+    if (failedCount > 0) notes.push(`⚠️ ${failedCount} link(s) could not be fetched.`);
+
+    const embed = new EmbedBuilder()
+        .setColor(Math.abs(total.bias) <= 0.05 ? 0x2ECC71 : 0xE67E22)
+        .setTitle(`Cost Calibration: ${profile.name}`)
+        .setDescription([
+            `Weekly costs of ${samples.length} links, predicted vs. the latest income statements.`,
+            `\`\`\`\n${table}\n\`\`\``,
+            ...notes,
+        ].join('\n'))
+        .setFooter({ text: 'Bias: total error (positive = overestimated) • MAE: mean absolute error per link' })
+        .setTimestamp();
+
+    if (suggestions.length > 0) {
+        const lines = suggestions.map(({ parameter, label, current, suggested }) =>
+            `${label}: \`${parameter}\` ${current} → **${suggested}**\n\`/routeadmin cost_profile_set profile:${profile.name} parameter:${parameter} value:${suggested}\``);
+        embed.addFields({ name: 'Suggested Constants', value: lines.join('\n').slice(0, 1024) });
+    } else {
+        embed.addFields({ name: 'Suggested Constants', value: 'The fitted constants are within 1% of the current ones.' });
+    }
+
+    const worstLinks = findWorstLinks(samples);
+    if (worstLinks.length > 0) {
+        embed.addFields({
+            name: 'Furthest Off',
+            value: worstLinks.map(({ link, error }) =>
+                `\`${link.fromIata} → ${link.toIata}\` ${link.modelName} ${link.frequency}/week: ${formatPercent(error)}`).join('\n').slice(0, 1024),
+        });
+    }
+    return embed;
+}
+
+/**
+ * Executes a queued calibration job: fetches the latest income statement of every link, then compares it with the
+ * predicted costs. It goes through the job queue like the analyses, so only one job hits the game API at a time.
+ */
+async function runCalibrationJob(job, { signal, send, reportProgress }) {
+    const { accountName, costProfile } = job.params;
+
+    const state = await loadState();
+    const account = state.accounts[accountName];
+    if (!account) {
+        throw new Error(`Account "${accountName}" not found.`);
+    }
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        throw new Error(accountError);
+    }
+
+    const profile = resolveCostProfile(state, costProfile);
+    await send(job.resumed
+        ? `🔁 Resuming cost calibration \`${job.id}\` after a restart...`
+        : `📏 Comparing cost profile **${profile.name}** with the links of "${accountName}" (\`${job.id}\`)...`);
+
+    const onProgress = async (message) => {
+        console.log(`[COSTS] ${message}`);
+        await reportProgress(message);
+    };
+    const sampleSet = await loadLinkCostSamples(account.username, account.password, { costProfile: profile, onProgress, signal });
+    if (sampleSet.samples.length === 0) {
+        await send(`No links of "${accountName}" have flown a full week yet, so there is nothing to compare.`);
+        return;
+    }
+
+    const calibration = calibrateCostModel(sampleSet.samples, profile);
+    console.log(`[COSTS] Calibrated cost profile "${profile.name}" against ${sampleSet.samples.length} links: total bias ${formatPercent(calibration.total.bias)}.`);
+    await send({ embeds: [buildCalibrationEmbed(profile, calibration, sampleSet)] });
+}
+
+registerJobRunner(CALIBRATION_JOB_TYPE, runCalibrationJob);
+
+export async function execute(interaction) {
+    await interaction.deferReply({ flags: 64 });
+
+    const accountName = interaction.options.getString('account');
+    const costProfile = interaction.options.getString('cost_profile');
+
+    const state = await loadState();
+    const account = state.accounts[accountName];
+    if (!account) {
+        return interaction.editReply(`Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`);
+    }
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        return interaction.editReply(`Error: ${accountError}`);
+    }
+    const costProfileName = costProfile ? costProfile.trim().toLowerCase() : null;
+    const costProfileError = validateCostProfile(state, { costProfile: costProfileName });
+    if (costProfileError) {
+        return interaction.editReply(costProfileError);
+    }
+
+    const job = await enqueueJob({
+        type: CALIBRATION_JOB_TYPE,
+        ownerId: interaction.user.id,
+        channelId: interaction.channelId,
+        params: { accountName, costProfile: costProfileName },
+    });
+
+    const position = getQueuePosition(job.id);
+    const queueNote = position > 1 ? ` It is #${position} in the queue.` : '';
+    return interaction.editReply(`Queued cost calibration \`${job.id}\` for "${accountName}".${queueNote} Check on it with \`/routefinder run_status id:${job.id}\`.`);
+}
@@ -0,0 +1,138 @@
+import { EmbedBuilder } from 'discord.js';
+import { loadState, getInteractionWorkspace, getAccountError } from '../stateStore.js';
+import { getRouteCompetition } from '../airlineClient.js';
+import { resolveCostProfile } from '../costProfiles.js';
+
+// Competitors shown in the report; a route rarely has more
+const MAX_COMPETITORS = 10;
+
+const classLabels = { economy: 'Y', business: 'J', first: 'F' };
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('competitors')
+        .setDescription('Show who flies a route, their prices and capacity, and the market share you would get')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true))
+        .addStringOption(opt => opt.setName('from').setDescription('Origin IATA code (e.g., IST)').setRequired(true).setAutocomplete(true))
+        .addStringOption(opt => opt.setName('to').setDescription('Destination IATA code (e.g., LHR)').setRequired(true).setAutocomplete(true))
+        .addStringOption(opt => opt.setName('cost_profile').setDescription('The cost model constants to use (default: the active profile)').setAutocomplete(true)));
+
+/**
+ * Formats a value per class as "Y 280 / J 850", leaving out classes the competitor doesn't sell.
+ */
+function formatPerClass(competitor, format) {
+    return Object.keys(classLabels)
+        .filter(linkClass => competitor.capacity[linkClass] > 0 || competitor.prices[linkClass] > 0)
+        .map(linkClass => `${classLabels[linkClass]} ${format(linkClass)}`)
+        .join(' / ');
+}
+
+/**
+ * Formats one competitor from summarizeCompetitors() over two lines.
+ */
+function formatCompetitor(competitor) {
+    const details = [
+        competitor.frequency !== null ? `${competitor.frequency}/week` : null,
+        competitor.aircraft,
+        competitor.quality !== null ? `quality ${competitor.quality}` : null,
+    ].filter(Boolean);
+
+    return [
+        `**${competitor.airlineName}**${details.length > 0 ? ` • ${details.join(' • ')}` : ''}`,
+        `Prices: ${formatPerClass(competitor, linkClass => formatMoney(competitor.prices[linkClass]))} • Seats/week: ${formatPerClass(competitor, linkClass => competitor.capacity[linkClass].toLocaleString())}`,
+    ].join('\n');
+}
+
+/**
+ * Formats our implied market share per class from an analysis, for the classes we'd sell.
+ */
+export function formatMarketShare(analysis) {
+    return Object.keys(classLabels)
+        .filter(linkClass => analysis.seats[linkClass] > 0)
+        .map(linkClass => {
+            const { capacityShare, passengerShare } = analysis.marketShare[linkClass];
+            const passengerText = passengerShare !== null ? `, ${formatPercent(passengerShare)} of demand` : '';
+            return `${classLabels[linkClass]}: ${formatPercent(capacityShare)} of seats${passengerText} at ${formatMoney(analysis.ticketPrices[linkClass].price)}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Formats a one-line competition summary of a scored route, e.g. "2 airlines, lowest Y fare $280".
+ */
+export function formatCompetitionSummary(route) {
+    const competitors = route.competitors || [];
+    if (competitors.length === 0) {
+        return 'no competitors';
+    }
+    const fares = competitors.map(competitor => competitor.prices.economy).filter(price => price > 0);
+    const names = competitors.slice(0, 3).map(competitor => competitor.airlineName).join(', ');
+    const more = competitors.length > 3 ? ` +${competitors.length - 3}` : '';
+    return `${names}${more}${fares.length > 0 ? ` • lowest Y ${formatMoney(Math.min(...fares))}` : ''} • our seat share ${formatPercent(route.marketShare.economy.capacityShare)}`;
+}
+
+/**
+ * Builds the competitor report embed of a route.
+ * @param {object} report - A report from getRouteCompetition().
+ */
+export function buildCompetitorsEmbed(report) {
+    const { competitors, analysis } = report;
+    const embed = new EmbedBuilder()
+        .setColor(0xE67E22)
+        .setTitle(`Competitors on ${report.fromIata} (${report.fromCity}) → ${report.toIata} (${report.toCity})`)
+        .setDescription(competitors.length > 0
+            ? competitors.slice(0, MAX_COMPETITORS).map(formatCompetitor).join('\n\n').slice(0, 4096)
+            : 'Nobody flies this route yet.')
+        .setTimestamp();
+
+    if (competitors.length > MAX_COMPETITORS) {
+        embed.setFooter({ text: `Showing the ${MAX_COMPETITORS} biggest of ${competitors.length} competitors.` });
+    }
+    embed.addFields({
+        name: 'If You Entered',
+        value: analysis
+            ? `With ${analysis.planeName} at ${analysis.frequency}/week:\n${formatMarketShare(analysis)}`
+            : 'None of the planes in your planelist can fly this route.',
+    });
+    return embed;
+}
+
+export async function execute(interaction) {
+    await interaction.deferReply({ flags: 64 });
+
+    const accountName = interaction.options.getString('account');
+    const fromIata = interaction.options.getString('from').toUpperCase();
+    const toIata = interaction.options.getString('to').toUpperCase();
+    const costProfile = interaction.options.getString('cost_profile');
+
+    const state = await loadState();
+    const workspace = getInteractionWorkspace(state, interaction);
+
+    const account = state.accounts[accountName];
+    if (!account) {
+        return interaction.editReply(`Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`);
+    }
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        return interaction.editReply(`Error: ${accountError}`);
+    }
+
+    try {
+        const profile = resolveCostProfile(state, costProfile ? costProfile.trim().toLowerCase() : null);
+        const report = await getRouteCompetition(
+            account.username,
+            account.password,
+            fromIata,
+            toIata,
+            workspace.baseAirports,
+            workspace.planeList,
+            { costProfile: profile }
+        );
+        return interaction.editReply({ embeds: [buildCompetitorsEmbed(report)] });
+    } catch (error) {
+        console.error('Error in competitors report:', error);
+        return interaction.editReply(`Error: ${error.message}`);
+    }
+}
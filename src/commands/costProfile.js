@@ -0,0 +1,133 @@
+import { EmbedBuilder } from 'discord.js';
+import { loadState, saveState } from '../stateStore.js';
+import {
+    COST_PARAMETERS,
+    DEFAULT_COST_PROFILE,
+    DEFAULT_COST_PROFILE_NAME,
+    getCostParameter,
+    getCostParameterValue,
+    getActiveCostProfileName,
+    listCostProfileNames,
+    normalizeCostProfileName,
+    resolveCostProfile,
+} from '../costProfiles.js';
+
+const parameterChoices = () => COST_PARAMETERS.map(parameter => ({ name: parameter.label, value: parameter.key }));
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('cost_profile_list')
+        .setDescription('List the cost profiles and which one runs use by default'))
+    .addSubcommand(sub => sub
+        .setName('cost_profile_show')
+        .setDescription('Show every cost constant of a profile')
+        .addStringOption(opt => opt.setName('profile').setDescription('The profile name (default: the active profile)').setAutocomplete(true)))
+    .addSubcommand(sub => sub
+        .setName('cost_profile_set')
+        .setDescription('Set a cost constant in a profile, creating the profile if needed')
+        .addStringOption(opt => opt.setName('profile').setDescription('The profile name, e.g. "patch-2024-06"').setRequired(true).setAutocomplete(true))
+        .addStringOption(opt => opt.setName('parameter').setDescription('The constant to set').setRequired(true).addChoices(...parameterChoices()))
+        .addNumberOption(opt => opt.setName('value').setDescription('The new value').setRequired(true)))
+    .addSubcommand(sub => sub
+        .setName('cost_profile_reset')
+        .setDescription('Reset a constant to its default, or delete a whole profile')
+        .addStringOption(opt => opt.setName('profile').setDescription('The profile name').setRequired(true).setAutocomplete(true))
+        .addStringOption(opt => opt.setName('parameter').setDescription('The constant to reset (default: all of them)').addChoices(...parameterChoices())))
+    .addSubcommand(sub => sub
+        .setName('cost_profile_activate')
+        .setDescription('Use a profile for every run that does not pick one')
+        .addStringOption(opt => opt.setName('profile').setDescription('The profile name').setRequired(true).setAutocomplete(true)));
+
+/**
+ * Builds an embed with every constant of a profile, marking the ones it overrides.
+ */
+function buildProfileEmbed(state, profileName) {
+    const profile = resolveCostProfile(state, profileName);
+    const overrides = (state.costProfiles || {})[profileName] || {};
+    const lines = COST_PARAMETERS.map(({ key, label }) => {
+        const value = getCostParameterValue(profile, key);
+        return key in overrides
+            ? `${label}: **${value}** (default ${getCostParameterValue(DEFAULT_COST_PROFILE, key)})`
+            : `${label}: ${value}`;
+    });
+    const active = getActiveCostProfileName(state) === profileName ? ' • Active' : '';
+    return new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(`Cost Profile: ${profileName}`)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `${Object.keys(overrides).length} overridden constant(s) in bold${active}` });
+}
+
+export async function execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const state = await loadState();
+    state.costProfiles = state.costProfiles || {};
+
+    if (subcommand === 'cost_profile_list') {
+        const active = getActiveCostProfileName(state);
+        const lines = listCostProfileNames(state).map(name => {
+            const overrideCount = Object.keys(state.costProfiles[name] || {}).length;
+            return `• **${name}**${name === active ? ' (active)' : ''}: ${overrideCount} overridden constant(s)`;
+        });
+        return interaction.reply({ content: `**Cost Profiles:**\n${lines.join('\n')}`, flags: 64 });
+    }
+
+    const profileOption = interaction.options.getString('profile');
+    const profileName = profileOption ? normalizeCostProfileName(profileOption) : getActiveCostProfileName(state);
+    if (!profileName) {
+        return interaction.reply({ content: 'Error: Profile names are 1-32 letters, digits, dashes or underscores.', flags: 64 });
+    }
+    const exists = listCostProfileNames(state).includes(profileName);
+    if (!exists && subcommand !== 'cost_profile_set') {
+        return interaction.reply({ content: `Error: Cost profile "${profileName}" not found. Create it with \`/routeadmin cost_profile_set\`.`, flags: 64 });
+    }
+
+    if (subcommand === 'cost_profile_show') {
+        return interaction.reply({ embeds: [buildProfileEmbed(state, profileName)], flags: 64 });
+
+    } else if (subcommand === 'cost_profile_set') {
+        const parameter = getCostParameter(interaction.options.getString('parameter'));
+        const value = interaction.options.getNumber('value');
+        if (value < parameter.min || (parameter.max !== undefined && value > parameter.max)) {
+            const range = parameter.max !== undefined ? `between ${parameter.min} and ${parameter.max}` : `at least ${parameter.min}`;
+            return interaction.reply({ content: `Error: ${parameter.label} must be ${range}.`, flags: 64 });
+        }
+
+        const previous = getCostParameterValue(exists ? resolveCostProfile(state, profileName) : DEFAULT_COST_PROFILE, parameter.key);
+        state.costProfiles[profileName] = { ...state.costProfiles[profileName], [parameter.key]: value };
+        await saveState(state);
+        console.log(`[COSTS] ${interaction.user.tag} set ${parameter.key} = ${value} in cost profile "${profileName}".`);
+        const created = exists ? '' : ` Created profile **${profileName}**; use it with \`cost_profile:${profileName}\` on a run, or make it the default with \`/routeadmin cost_profile_activate\`.`;
+        return interaction.reply({ content: `Set ${parameter.label} to **${value}** (was ${previous}) in **${profileName}**.${created}`, flags: 64 });
+
+    } else if (subcommand === 'cost_profile_reset') {
+        const parameterKey = interaction.options.getString('parameter');
+        if (parameterKey) {
+            const parameter = getCostParameter(parameterKey);
+            const overrides = { ...state.costProfiles[profileName] };
+            delete overrides[parameterKey];
+            state.costProfiles[profileName] = overrides;
+            await saveState(state);
+            console.log(`[COSTS] ${interaction.user.tag} reset ${parameterKey} in cost profile "${profileName}".`);
+            return interaction.reply({ content: `Reset ${parameter.label} in **${profileName}** to ${getCostParameterValue(DEFAULT_COST_PROFILE, parameterKey)}.`, flags: 64 });
+        }
+
+        delete state.costProfiles[profileName];
+        // Runs that relied on a deleted profile fall back to the default one
+        if (state.activeCostProfile === profileName) delete state.activeCostProfile;
+        await saveState(state);
+        console.log(`[COSTS] ${interaction.user.tag} reset cost profile "${profileName}".`);
+        return interaction.reply({
+            content: profileName === DEFAULT_COST_PROFILE_NAME
+                ? 'Reset every constant of the **default** profile.'
+                : `Deleted cost profile **${profileName}**.`,
+            flags: 64,
+        });
+
+    } else if (subcommand === 'cost_profile_activate') {
+        state.activeCostProfile = profileName;
+        await saveState(state);
+        console.log(`[COSTS] ${interaction.user.tag} activated cost profile "${profileName}".`);
+        return interaction.reply({ content: `Runs that don't pick a cost profile now use **${profileName}**.`, flags: 64 });
+    }
+}
@@ -0,0 +1,235 @@
+import { EmbedBuilder } from 'discord.js';
+import { loadState, getWorkspace, getWorkspaceKey, getAccountError } from '../stateStore.js';
+import { runAnalysis } from '../airlineClient.js';
+import { resolveCostProfile } from '../costProfiles.js';
+import { getCatalogue } from '../catalogue.js';
+import { planFleet } from '../fleetPlanner.js';
+import { registerJobRunner, enqueueJob, getQueuePosition } from '../jobQueue.js';
+import { validateWorkspace, validateCostProfile } from './run.js';
+
+export const FLEET_JOB_TYPE = 'fleet';
+
+// Legs listed per base assignment before "+N more"
+const LEGS_LISTED = 4;
+// Discord allows 25 embed fields
+const MAX_MODEL_FIELDS = 25;
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('plan_fleet')
+        .setDescription('Assign the airframes you own to routes across all bases for the most total profit')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true))
+        .addIntegerOption(opt => opt.setName('hours').setDescription('Weekly flight hours per airframe (default: the cost profile\'s flight hours per airframe)').setMinValue(1).setMaxValue(168))
+        .addBooleanOption(opt => opt.setName('refresh').setDescription('Ignore cached route data and fetch everything fresh (default: false)'))
+        .addStringOption(opt => opt.setName('cost_profile').setDescription('The cost model constants to use (default: the active profile)').setAutocomplete(true)));
+
+/**
+ * Formats the airframes of one model flying from one base, e.g. "IST x2: LHR 14/wk, FRA 12/wk • $123,456/week".
+ */
+function formatBaseAssignment(baseIata, rotations) {
+    const frequencies = new Map();
+    for (const { legs } of rotations) {
+        for (const leg of legs) {
+            frequencies.set(leg.route.toIata, (frequencies.get(leg.route.toIata) || 0) + leg.frequency);
+        }
+    }
+    const legTexts = [...frequencies.entries()].slice(0, LEGS_LISTED).map(([toIata, frequency]) => `${toIata} ${frequency}/wk`);
+    const more = frequencies.size > LEGS_LISTED ? ` +${frequencies.size - LEGS_LISTED} more` : '';
+    const profit = rotations.reduce((sum, rotation) => sum + rotation.profit, 0);
+    return `**${baseIata}** x${rotations.length}: ${legTexts.join(', ')}${more} • ${formatMoney(profit)}/week`;
+}
+
+/**
+ * Formats what buying one more airframe of a model would earn.
+ */
+function formatNextAirframe(model) {
+    const next = model.nextAirframe;
+    if (!next || next.rotation.profit <= 0) {
+        return 'One more: would not cover its ownership costs.';
+    }
+    const payback = model.price ? ` (pays back its ${formatMoney(model.price)} price in ${Math.ceil(model.price / next.rotation.profit)} weeks)` : '';
+    return `One more: ${formatMoney(next.rotation.profit)}/week from ${next.baseIata}${payback}`;
+}
+
+/**
+ * Builds the fleet plan embed.
+ * @param {object} job - The fleet job.
+ * @param {object} plan - The plan from planFleet().
+ */
+export function buildFleetEmbed(job, plan) {
+    const owned = plan.models.reduce((sum, model) => sum + model.owned, 0);
+    const assigned = plan.models.reduce((sum, model) => sum + model.assignments.length, 0);
+    // Owned models first, then the best ones to buy
+    const models = [...plan.models].sort((a, b) =>
+        b.owned - a.owned || (b.nextAirframe ? b.nextAirframe.rotation.profit : -Infinity) - (a.nextAirframe ? a.nextAirframe.rotation.profit : -Infinity));
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle('Fleet Plan')
+        .setDescription([
+            `Weekly profit of the assigned airframes: **${formatMoney(plan.totalProfit)}**`,
+            `${assigned} of ${owned} owned airframes assigned.${owned === 0 ? ' Sync your fleet with `/routefinder planelist_sync` to plan the planes you own.' : ''}`,
+        ].join('\n'))
+        .setFooter({ text: `Plan ${job.id} • A route is flown by one model; each airframe flies round trips from one base` })
+        .setTimestamp();
+
+    for (const model of models.slice(0, MAX_MODEL_FIELDS)) {
+        const rotationsByBase = new Map();
+        for (const { baseIata, rotation } of model.assignments) {
+            if (!rotationsByBase.has(baseIata)) rotationsByBase.set(baseIata, []);
+            rotationsByBase.get(baseIata).push(rotation);
+        }
+        const lines = [...rotationsByBase.entries()].map(([baseIata, rotations]) => formatBaseAssignment(baseIata, rotations));
+        if (model.unused > 0) {
+            lines.push(`Unused: ${model.unused} (no route left that covers their flight costs)`);
+        }
+        lines.push(formatNextAirframe(model));
+
+        embed.addFields({
+            name: `${model.modelName} • ${model.assignments.length} of ${model.owned} assigned`,
+            value: lines.join('\n').slice(0, 1024),
+        });
+    }
+    return embed;
+}
+
+/**
+ * Executes a queued fleet job: scores every route with every plane in the planelist, then assigns the owned airframes.
+ */
+async function runFleetJob(job, { signal, send, reportProgress, saveCheckpoint, journal }) {
+    const { accountName, baseAirports, planeList, ownedCounts, budgetHours, refresh, testLimit, costProfile } = job.params;
+    const isDebug = process.env.DEBUG_LOGGING === 'true';
+
+    const state = await loadState();
+    const account = state.accounts[accountName];
+    if (!account) {
+        throw new Error(`Account "${accountName}" not found.`);
+    }
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        throw new Error(accountError);
+    }
+
+    const profile = resolveCostProfile(state, costProfile);
+    const profileNote = costProfile ? ` Using cost profile **${profile.name}**.` : '';
+
+    await send(job.resumed
+        ? `🔁 Resuming fleet plan \`${job.id}\` after a restart...${profileNote}`
+        : `🗺️ Planning your fleet (\`${job.id}\`). Scoring every route with every plane first; this may take a long time.${profileNote}`);
+
+    const onProgress = async (message) => {
+        console.log(`[PLAN] ${message}`);
+        await reportProgress(message);
+        await send(message);
+    };
+
+    const results = await runAnalysis(
+        account.username,
+        account.password,
+        baseAirports,
+        planeList,
+        isDebug,
+        testLimit,
+        onProgress,
+        { refresh, rankBy: 'weekly_profit', costProfile: profile, includeAlternatives: true, signal, checkpoint: job.checkpoint, onCheckpoint: saveCheckpoint, journal }
+    );
+
+    const routesByBase = new Map([...results.entries()].map(([baseIata, { routes }]) => [baseIata, routes]));
+    // Owned models that can't fly anything profitably still show up, as unused
+    const modelNames = new Map(planeList.filter(entry => entry.modelId && ownedCounts[entry.modelId]).map(entry => [entry.modelId, entry.modelName]));
+    for (const routes of routesByBase.values()) {
+        for (const route of routes) {
+            for (const alternative of route.alternatives || []) modelNames.set(alternative.modelId, alternative.planeName);
+        }
+    }
+    if (modelNames.size === 0) {
+        await send('None of the planes in your planelist can fly any route from your bases.');
+        return;
+    }
+
+    // Prices and turnaround times come from the catalogue; the plan works without them
+    let catalogueModels = new Map();
+    try {
+        catalogueModels = new Map((await getCatalogue()).models.map(model => [model.id, model]));
+    } catch (error) {
+        console.warn(`[PLAN] Airplane model catalogue unavailable, planning without prices: ${error.message}`);
+    }
+
+    const models = [...modelNames.entries()].map(([modelId, modelName]) => {
+        const catalogueModel = catalogueModels.get(modelId) || {};
+        return {
+            modelId,
+            modelName,
+            owned: ownedCounts[modelId] || 0,
+            price: catalogueModel.price,
+            turnaroundMinutes: catalogueModel.turnaroundTime,
+        };
+    });
+    // The analysis counted the airframes a route needs at the profile's weekly flight hours, so plan with the same
+    const plan = planFleet(routesByBase, models, { budgetMinutes: (budgetHours || profile.airframeWeeklyHours) * 60 });
+    console.log(`[PLAN] Fleet plan ${job.id}: ${formatMoney(plan.totalProfit)}/week.`);
+    await send({ embeds: [buildFleetEmbed(job, plan)] });
+}
+
+registerJobRunner(FLEET_JOB_TYPE, runFleetJob);
+
+export async function execute(interaction) {
+    const accountName = interaction.options.getString('account');
+    const costProfile = interaction.options.getString('cost_profile');
+
+    const state = await loadState();
+    const workspaceKey = getWorkspaceKey(interaction.user.id, interaction.guildId);
+    const workspace = getWorkspace(state, workspaceKey);
+
+    if (!state.accounts[accountName]) {
+        return interaction.reply({ content: `Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`, flags: 64 });
+    }
+    const accountError = getAccountError(accountName, state.accounts[accountName]);
+    if (accountError) {
+        return interaction.reply({ content: `Error: ${accountError}`, flags: 64 });
+    }
+    const workspaceError = validateWorkspace(workspace);
+    if (workspaceError) {
+        return interaction.reply({ content: workspaceError, flags: 64 });
+    }
+    const costProfileName = costProfile ? costProfile.trim().toLowerCase() : null;
+    const costProfileError = validateCostProfile(state, { costProfile: costProfileName });
+    if (costProfileError) {
+        return interaction.reply({ content: costProfileError, flags: 64 });
+    }
+
+    // Owned counts come from planelist_sync; entries added by hand own nothing yet
+    const ownedCounts = {};
+    for (const entry of workspace.planeList) {
+        if (entry.modelId && entry.ownedCount) ownedCounts[entry.modelId] = entry.ownedCount;
+    }
+
+    const job = await enqueueJob({
+        type: FLEET_JOB_TYPE,
+        ownerId: interaction.user.id,
+        channelId: interaction.channelId,
+        params: {
+            accountName,
+            workspaceKey,
+            baseAirports: structuredClone(workspace.baseAirports),
+            planeList: structuredClone(workspace.planeList),
+            ownedCounts,
+            budgetHours: interaction.options.getInteger('hours'),
+            refresh: interaction.options.getBoolean('refresh') ?? false,
+            costProfile: costProfileName,
+            testLimit: parseInt(process.env.TEST_AIRPORT_LIMIT, 10) || 0,
+        },
+    });
+
+    const position = getQueuePosition(job.id);
+    const queueNote = position > 1 ? ` It is #${position} in the queue.` : '';
+    const syncNote = Object.keys(ownedCounts).length === 0
+        ? ' Your planelist has no owned counts yet, so it will only show what buying each model would earn. Run `/routefinder planelist_sync` first to plan the planes you own.'
+        : '';
+    return interaction.reply({
+        content: `Queued fleet plan \`${job.id}\`.${queueNote} Check on it with \`/routefinder run_status id:${job.id}\`.${syncNote}`,
+        flags: 64,
+    });
+}
@@ -0,0 +1,78 @@
+import { EmbedBuilder } from 'discord.js';
+import { getWorkspaceKey } from '../stateStore.js';
+import { listRuns, loadRun, loadPreviousRun, diffRuns } from '../runHistory.js';
+import { getScoringStrategy } from '../scoring.js';
+import { EXPORT_FORMATS } from '../resultExport.js';
+import { buildExportMessage } from './run.js';
+import { formatChanges, truncateField } from './results.js';
+
+const RUNS_LISTED = 10;
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('history')
+        .setDescription('List past runs of a base, or show one of them and what changed since the run before')
+        .addStringOption(opt => opt.setName('base').setDescription('The base IATA code (e.g., IST)').setRequired(true).setAutocomplete(true))
+        .addStringOption(opt => opt.setName('id').setDescription('A run ID from the list, to show its top routes and changes'))
+        .addStringOption(opt => opt.setName('format').setDescription('Download every scored route of the run (needs id)')
+            .addChoices(
+                { name: 'CSV file', value: EXPORT_FORMATS.CSV },
+                { name: 'JSON file', value: EXPORT_FORMATS.JSON },
+            )));
+
+export async function execute(interaction) {
+    const baseIata = interaction.options.getString('base').toUpperCase();
+    const id = interaction.options.getString('id');
+    const format = interaction.options.getString('format');
+    const workspaceKey = getWorkspaceKey(interaction.user.id, interaction.guildId);
+
+    if (format && !id) {
+        return interaction.reply({ content: 'Give the `id` of the run to download. List past runs by leaving out `id` and `format`.', flags: 64 });
+    }
+
+    if (!id) {
+        const runs = await listRuns(workspaceKey, baseIata);
+        if (runs.length === 0) {
+            return interaction.reply({ content: `No past runs of ${baseIata} yet.`, flags: 64 });
+        }
+
+        const lines = runs.slice(0, RUNS_LISTED).map(run => {
+            const strategy = getScoringStrategy(run.rankBy);
+            const top = run.topRoute ? `best: ${run.topRoute.toIata} (${run.topRoute.toCity}) ${strategy.format(run.topRoute.score)}` : 'no routes';
+            return `\`${run.jobId}\` • <t:${Math.floor(run.finishedAt / 1000)}:f> • ${run.routeCount} routes • ${top}`;
+        });
+        return interaction.reply({
+            content: `**Past Runs of ${baseIata}:**\n${lines.join('\n')}\n\nShow one with \`/routefinder history base:${baseIata} id:<run ID>\`.`,
+            flags: 64,
+        });
+    }
+
+    const run = await loadRun(workspaceKey, baseIata, id);
+    if (!run) {
+        return interaction.reply({ content: `Run \`${id}\` of ${baseIata} not found. It may be older than the history keeps.`, flags: 64 });
+    }
+
+    if (format) {
+        const results = new Map([[baseIata, { routes: run.routes, failedCount: run.failedCount }]]);
+        return interaction.reply({ ...buildExportMessage(run.jobId, results, format), flags: 64 });
+    }
+
+    const strategy = getScoringStrategy(run.rankBy);
+    const routes = run.routes.slice(0, 10);
+    const previous = await loadPreviousRun(workspaceKey, baseIata, id);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(`Run ${run.jobId}: Top ${routes.length} Routes from ${baseIata}`)
+        .setDescription(routes.length > 0
+            ? routes.map(route => `\`${route.fromIata} (${route.fromCity}) - ${route.toIata} (${route.toCity})\` - **${strategy.format(route.score)}**`).join('\n')
+            : 'No profitable routes found.')
+        .addFields({
+            name: previous ? `Changes since run ${previous.jobId}` : 'Changes',
+            value: previous ? truncateField(formatChanges(diffRuns(previous, run), strategy)) : 'This is the oldest stored run of this base.',
+        })
+        .setFooter({ text: `Ranked by: ${strategy.label} • ${run.routes.length} routes scored` })
+        .setTimestamp(run.finishedAt);
+
+    return interaction.reply({ embeds: [embed], flags: 64 });
+}
@@ -1,30 +1,142 @@
-import { loadState, saveState } from '../stateStore.js';
+import { loadState, saveState, getInteractionWorkspace, getAccountError } from '../stateStore.js';
+import { createApiClient, login, fetchAirlineAirplanes } from '../airlineClient.js';
+import { PLANE_STATUS } from '../planeMatcher.js';
 
 export const subcommands = (builder) => 
     builder.addSubcommand(sub => sub
         .setName('planelist_add')
         .setDescription('Add a plane to your list by name or ID')
-        .addStringOption(opt => opt.setName('plane').setDescription('The model name or model ID').setRequired(true)))
+        .addStringOption(opt => opt.setName('plane').setDescription('The model name or model ID').setRequired(true).setAutocomplete(true)))
     .addSubcommand(sub => sub
         .setName('planelist_delete')
         .setDescription('Remove a plane from your list by name or ID')
         .addStringOption(opt => opt.setName('plane').setDescription('The model name or model ID to remove').setRequired(true)))
     .addSubcommand(sub => sub
         .setName('planelist_view')
-        .setDescription('View all planes currently in your list'));
+        .setDescription('View all planes currently in your list'))
+    .addSubcommand(sub => sub
+        .setName('planelist_edit')
+        .setDescription('Set the cabin configuration (seats per class) for a plane in your list')
+        .addStringOption(opt => opt.setName('plane').setDescription('The model name or model ID, as stored in your list').setRequired(true))
+        .addStringOption(opt => opt.setName('config_name').setDescription('A name for this cabin configuration (e.g., long-haul)'))
+        .addIntegerOption(opt => opt.setName('economy').setDescription('Economy seats').setMinValue(0))
+        .addIntegerOption(opt => opt.setName('business').setDescription('Business seats (each takes the space of 2.5 economy seats)').setMinValue(0))
+        .addIntegerOption(opt => opt.setName('first').setDescription('First class seats (each takes the space of 6 economy seats)').setMinValue(0))
+        .addBooleanOption(opt => opt.setName('clear_config').setDescription('Remove the cabin configuration and go back to all-economy'))
+        .addStringOption(opt => opt.setName('status').setDescription('Exclude this plane from analysis, or mark it as a planned purchase')
+            .addChoices(
+                { name: 'Active', value: PLANE_STATUS.ACTIVE },
+                { name: 'Excluded', value: PLANE_STATUS.EXCLUDED },
+                { name: 'Planned purchase', value: PLANE_STATUS.PLANNED },
+            )))
+    .addSubcommand(sub => sub
+        .setName('planelist_sync')
+        .setDescription('Replace owned planes in your list with the fleet of your airline in the game')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true)));
+
+/**
+ * Finds a planelist entry by model ID or stored name.
+ */
+function findEntry(planeList, planeIdentifier) {
+    if (!isNaN(planeIdentifier)) {
+        const modelId = parseInt(planeIdentifier, 10);
+        return planeList.find(p => p.modelId === modelId) || null;
+    }
+    const normalizedName = planeIdentifier.trim().toLowerCase();
+    return planeList.find(p => p.modelName === normalizedName) || null;
+}
+
+/**
+ * Formats a cabin configuration as "name (Y/J/F)".
+ */
+function formatCabinConfig(config) {
+    return `${config.name} (Y${config.economy}/J${config.business}/F${config.first})`;
+}
+
+/**
+ * Formats the fleet and override details of a planelist entry, e.g. " • Owned: 3 (avg. 52 weeks old) • Planned purchase".
+ */
+function formatEntryDetails(entry) {
+    const details = [];
+    if (entry.synced) {
+        details.push(`Owned: ${entry.ownedCount}${entry.ownedCount > 0 ? ` (avg. ${entry.averageAgeWeeks} weeks old)` : ''}`);
+    }
+    if (entry.status === PLANE_STATUS.EXCLUDED) details.push('Excluded');
+    if (entry.status === PLANE_STATUS.PLANNED) details.push('Planned purchase');
+    if (entry.cabinConfig) details.push(`Cabin: ${formatCabinConfig(entry.cabinConfig)}`);
+    return details.map(detail => ` • ${detail}`).join('');
+}
+
+/**
+ * Groups owned airplanes by model into counts and average ages.
+ * @param {Array<object>} airplanes - Airplanes from fetchAirlineAirplanes().
+ * @returns {Map<number, {modelName: string, ownedCount: number, averageAgeWeeks: number}>}
+ */
+function summarizeFleet(airplanes) {
+    const fleet = new Map();
+    for (const airplane of airplanes) {
+        const model = fleet.get(airplane.modelId) || { modelName: airplane.name, ownedCount: 0, totalAge: 0 };
+        model.ownedCount++;
+        model.totalAge += airplane.age || 0;
+        fleet.set(airplane.modelId, model);
+    }
+    return new Map([...fleet.entries()].map(([modelId, { modelName, ownedCount, totalAge }]) =>
+        [modelId, { modelName, ownedCount, averageAgeWeeks: Math.round(totalAge / ownedCount) }]));
+}
+
+/**
+ * Merges the owned fleet into the planelist. Synced entries keep their status and cabin config;
+ * synced models that are no longer owned are dropped unless they have one of those overrides.
+ * Manually added entries are left alone.
+ * @returns {{added: number, updated: number, removed: number}}
+ */
+function mergeFleet(workspace, fleet) {
+    const counts = { added: 0, updated: 0, removed: 0 };
+
+    for (const [modelId, model] of fleet.entries()) {
+        const entry = workspace.planeList.find(p => p.modelId === modelId);
+        const fleetFields = {
+            synced: true,
+            ownedCount: model.ownedCount,
+            averageAgeWeeks: model.averageAgeWeeks,
+        };
+        if (entry) {
+            Object.assign(entry, fleetFields);
+            counts.updated++;
+        } else {
+            workspace.planeList.push({ modelId, modelName: model.modelName.trim().toLowerCase(), ...fleetFields });
+            counts.added++;
+        }
+    }
+
+    workspace.planeList = workspace.planeList.filter(entry => {
+        if (!entry.synced || fleet.has(entry.modelId)) return true;
+        const hasOverride = (entry.status && entry.status !== PLANE_STATUS.ACTIVE) || entry.cabinConfig;
+        if (hasOverride) {
+            entry.ownedCount = 0;
+            entry.averageAgeWeeks = null;
+            return true;
+        }
+        counts.removed++;
+        return false;
+    });
+
+    return counts;
+}
 
 export async function execute(interaction) {
     const subcommand = interaction.options.getSubcommand();
     const state = await loadState();
+    const workspace = getInteractionWorkspace(state, interaction);
 
     if (subcommand === 'planelist_view') {
-        if (!state.planeList || state.planeList.length === 0) {
+        if (!workspace.planeList || workspace.planeList.length === 0) {
             // --- (FIX) Using flags: 64 instead of ephemeral: true ---
             return interaction.reply({ content: 'Your planelist is currently empty.', flags: 64 });
         }
         
-        const planeListString = state.planeList
-            .map(p => `• ${p.modelName || 'Unknown Name'} (ID: ${p.modelId || 'Unknown ID'})`)
+        const planeListString = workspace.planeList
+            .map(p => `• ${p.modelName || 'Unknown Name'} (ID: ${p.modelId || 'Unknown ID'})${formatEntryDetails(p)}`)
             .join('\n');
         
         // --- (FIX) Using flags: 64 instead of ephemeral: true ---
@@ -39,41 +151,41 @@ export async function execute(interaction) {
         if (isId) {
             const modelId = parseInt(planeIdentifier, 10);
             entry = { modelId: modelId, modelName: null };
-            if (state.planeList.some(p => p.modelId === entry.modelId)) {
+            if (workspace.planeList.some(p => p.modelId === entry.modelId)) {
                 // --- (FIX) Using flags: 64 instead of ephemeral: true ---
                 return interaction.reply({ content: `Plane with ID ${entry.modelId} is already in the list.`, flags: 64 });
             }
-            state.planeList.push(entry);
+            workspace.planeList.push(entry);
             addedMsg = `Added plane with ID: ${entry.modelId}`;
         } else {
             const normalizedName = planeIdentifier.trim().toLowerCase();
             entry = { modelId: null, modelName: normalizedName };
-            if (state.planeList.some(p => p.modelName === entry.modelName)) {
+            if (workspace.planeList.some(p => p.modelName === entry.modelName)) {
                 // --- (FIX) Using flags: 64 instead of ephemeral: true ---
                 return interaction.reply({ content: `Plane with name "${normalizedName}" is already in the list.`, flags: 64 });
             }
-            state.planeList.push(entry);
+            workspace.planeList.push(entry);
             addedMsg = `Added plane with name: "${planeIdentifier}" (stored as: ${normalizedName})`;
         }
         
         await saveState(state);
         // --- (FIX) Using flags: 64 instead of ephemeral: true ---
-        return interaction.reply({ content: `${addedMsg}. Your planelist now has ${state.planeList.length} entries.`, flags: 64 });
+        return interaction.reply({ content: `${addedMsg}. Your planelist now has ${workspace.planeList.length} entries.`, flags: 64 });
 
     } else if (subcommand === 'planelist_delete') {
         const planeIdentifier = interaction.options.getString('plane');
         const isId = !isNaN(planeIdentifier);
-        const originalLength = state.planeList.length;
+        const originalLength = workspace.planeList.length;
 
         if (isId) {
             const modelId = parseInt(planeIdentifier, 10);
-            state.planeList = state.planeList.filter(p => p.modelId !== modelId);
+            workspace.planeList = workspace.planeList.filter(p => p.modelId !== modelId);
         } else {
             const normalizedName = planeIdentifier.trim().toLowerCase();
-            state.planeList = state.planeList.filter(p => p.modelName !== normalizedName);
+            workspace.planeList = workspace.planeList.filter(p => p.modelName !== normalizedName);
         }
 
-        if (state.planeList.length === originalLength) {
+        if (workspace.planeList.length === originalLength) {
             // --- (FIX) Using flags: 64 instead of ephemeral: true ---
             return interaction.reply({ content: `Could not find plane "${planeIdentifier}" in the list.`, flags: 64 });
         }
@@ -81,5 +193,75 @@ export async function execute(interaction) {
         await saveState(state);
         // --- (FIX) Using flags: 64 instead of ephemeral: true ---
         return interaction.reply({ content: `Removed "${planeIdentifier}" from the list.`, flags: 64 });
+    } else if (subcommand === 'planelist_edit') {
+        const planeIdentifier = interaction.options.getString('plane');
+        const entry = findEntry(workspace.planeList, planeIdentifier);
+
+        if (!entry) {
+            return interaction.reply({ content: `Could not find plane "${planeIdentifier}" in the list.`, flags: 64 });
+        }
+
+        const messages = [];
+        const status = interaction.options.getString('status');
+        if (status) {
+            entry.status = status;
+            messages.push({
+                [PLANE_STATUS.ACTIVE]: `"${planeIdentifier}" is active again.`,
+                [PLANE_STATUS.EXCLUDED]: `"${planeIdentifier}" is now excluded from analysis.`,
+                [PLANE_STATUS.PLANNED]: `"${planeIdentifier}" is now marked as a planned purchase.`,
+            }[status]);
+        }
+
+        const economy = interaction.options.getInteger('economy') ?? 0;
+        const business = interaction.options.getInteger('business') ?? 0;
+        const first = interaction.options.getInteger('first') ?? 0;
+
+        if (interaction.options.getBoolean('clear_config')) {
+            delete entry.cabinConfig;
+            messages.push(`Removed the cabin configuration from "${planeIdentifier}". It will be analyzed as all-economy.`);
+        } else if (economy + business + first > 0) {
+            const name = (interaction.options.getString('config_name') || 'custom').trim();
+            entry.cabinConfig = { name, economy, business, first };
+            // Seat space is checked against each model's capacity when the analysis runs
+            messages.push(`Set cabin configuration ${formatCabinConfig(entry.cabinConfig)} for "${planeIdentifier}".`);
+        }
+
+        if (messages.length === 0) {
+            return interaction.reply({ content: 'Give a `status`, at least one of `economy`, `business` or `first` seats, or use `clear_config`.', flags: 64 });
+        }
+
+        await saveState(state);
+        return interaction.reply({ content: messages.join('\n'), flags: 64 });
+
+    } else if (subcommand === 'planelist_sync') {
+        await interaction.deferReply({ flags: 64 });
+        const accountName = interaction.options.getString('account');
+        const account = state.accounts[accountName];
+
+        if (!account) {
+            return interaction.editReply(`Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`);
+        }
+        const accountError = getAccountError(accountName, account);
+        if (accountError) {
+            return interaction.editReply(`Error: ${accountError}`);
+        }
+
+        try {
+            const client = createApiClient();
+            const airlineId = await login(client, account.username, account.password);
+            const fleet = summarizeFleet(await fetchAirlineAirplanes(client, airlineId));
+            const { added, updated, removed } = mergeFleet(workspace, fleet);
+            await saveState(state);
+
+            console.log(`[PLANELIST] Synced ${fleet.size} owned models for ${accountName}: ${added} added, ${updated} updated, ${removed} removed.`);
+            const nameEntries = workspace.planeList.filter(p => !p.modelId).length;
+            const nameNote = nameEntries > 0
+                ? `\n${nameEntries} entry(s) added by name still match every model containing that name. Remove them with \`/routefinder planelist_delete\` to only analyze your fleet.`
+                : '';
+            return interaction.editReply(`Synced ${fleet.size} owned model(s): ${added} added, ${updated} updated, ${removed} no longer owned and removed.${nameNote}`);
+        } catch (error) {
+            console.error('Error in planelist sync:', error);
+            return interaction.editReply(`Error: ${error.message}`);
+        }
     }
 }
@@ -0,0 +1,227 @@
+import { EmbedBuilder } from 'discord.js';
+import { loadState, getWorkspace, getWorkspaceKey, getAccountError } from '../stateStore.js';
+import { runAnalysis } from '../airlineClient.js';
+import { resolveCostProfile } from '../costProfiles.js';
+import { getCatalogue } from '../catalogue.js';
+import { recommendPlanes, buildRecommendationPlaneList, RECOMMENDATION_SORTS, MAX_RECOMMENDED_AIRFRAMES } from '../planeRecommender.js';
+import { registerJobRunner, enqueueJob, getQueuePosition } from '../jobQueue.js';
+import { validateWorkspace, validateCostProfile } from './run.js';
+
+export const RECOMMEND_JOB_TYPE = 'recommend';
+
+// Models shown in the embed, one field each
+const MODELS_LISTED = 10;
+// Bases listed per model before "+N more"
+const BASES_LISTED = 3;
+const AIRPLANE_TYPES = ['LIGHT', 'SMALL', 'REGIONAL', 'MEDIUM', 'LARGE', 'X_LARGE', 'JUMBO', 'SUPERSONIC'];
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('recommend_planes')
+        .setDescription('Rank airplane models to buy by payback period or profit potential from your bases')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true))
+        .addStringOption(opt => opt.setName('manufacturer').setDescription('Only models from this manufacturer (e.g., Airbus)'))
+        .addStringOption(opt => opt.setName('type').setDescription('Only models of this airplane type')
+            .addChoices(...AIRPLANE_TYPES.map(type => ({ name: type, value: type }))))
+        .addIntegerOption(opt => opt.setName('budget').setDescription('The most one airframe may cost').setMinValue(1))
+        .addStringOption(opt => opt.setName('sort').setDescription('How to rank the models (default: payback period)')
+            .addChoices(
+                { name: 'Payback period', value: RECOMMENDATION_SORTS.PAYBACK },
+                { name: 'Total profit potential', value: RECOMMENDATION_SORTS.PROFIT },
+            ))
+        .addBooleanOption(opt => opt.setName('refresh').setDescription('Ignore cached route data and fetch everything fresh (default: false)'))
+        .addStringOption(opt => opt.setName('cost_profile').setDescription('The cost model constants to use (default: the active profile)').setAutocomplete(true)));
+
+/**
+ * Describes the filters of a recommendation job, e.g. "Airbus, MEDIUM, up to $60,000,000".
+ */
+function formatFilters({ manufacturer, airplaneType, maxPrice }) {
+    const parts = [];
+    if (manufacturer) parts.push(manufacturer);
+    if (airplaneType) parts.push(airplaneType);
+    if (maxPrice) parts.push(`up to ${formatMoney(maxPrice)}`);
+    return parts.length > 0 ? parts.join(', ') : 'all models';
+}
+
+/**
+ * Formats where the airframes of a recommendation fly, e.g. "IST x2 (LHR, FRA), ESB x1 (ATH)".
+ */
+function formatBases(airframes) {
+    const byBase = new Map();
+    for (const { baseIata, rotation } of airframes) {
+        if (!byBase.has(baseIata)) byBase.set(baseIata, { count: 0, destinations: new Set() });
+        const base = byBase.get(baseIata);
+        base.count++;
+        for (const leg of rotation.legs) base.destinations.add(leg.route.toIata);
+    }
+    const texts = [...byBase.entries()].slice(0, BASES_LISTED).map(([baseIata, { count, destinations }]) =>
+        `${baseIata} x${count} (${[...destinations].slice(0, 4).join(', ')}${destinations.size > 4 ? '…' : ''})`);
+    const more = byBase.size > BASES_LISTED ? ` +${byBase.size - BASES_LISTED} more` : '';
+    return `${texts.join(', ')}${more}`;
+}
+
+/**
+ * Builds the recommendation embed.
+ * @param {object} job - The recommendation job.
+ * @param {Array<object>} recommendations - Ranked models from recommendPlanes().
+ * @param {number} evaluatedCount - How many models were evaluated.
+ */
+export function buildRecommendationEmbed(job, recommendations, evaluatedCount) {
+    const { filters, sortBy } = job.params;
+    const ranking = sortBy === RECOMMENDATION_SORTS.PROFIT ? 'total profit potential' : 'payback period';
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle('Plane Recommendations')
+        .setDescription([
+            `Ranked by ${ranking} • ${formatFilters(filters)}`,
+            `${recommendations.length} of ${evaluatedCount} models can fly profitably from your bases.`,
+        ].join('\n'))
+        .setFooter({ text: `Plan ${job.id} • Each model is valued on its own, up to ${MAX_RECOMMENDED_AIRFRAMES} airframes while each one pays for itself` })
+        .setTimestamp();
+
+    recommendations.slice(0, MODELS_LISTED).forEach((recommendation, index) => {
+        const details = [recommendation.manufacturer, recommendation.airplaneType, recommendation.price ? formatMoney(recommendation.price) : null].filter(Boolean);
+        const payback = recommendation.paybackWeeks ? `pays back in **${recommendation.paybackWeeks} weeks**` : 'price unknown';
+        const count = recommendation.airframes.length;
+        embed.addFields({
+            name: `#${index + 1} ${recommendation.modelName}${details.length > 0 ? ` (${details.join(', ')})` : ''}`,
+            value: [
+                `First airframe: ${formatMoney(recommendation.firstAirframeProfit)}/week from ${recommendation.airframes[0].baseIata}, ${payback}`,
+                `Potential: ${count} airframe${count === 1 ? '' : 's'} earning ${formatMoney(recommendation.profit)}/week • ${formatBases(recommendation.airframes)}`,
+            ].join('\n').slice(0, 1024),
+        });
+    });
+    return embed;
+}
+
+/**
+ * Executes a queued recommendation job: scores every route with every candidate model, then ranks the models.
+ */
+async function runRecommendJob(job, { signal, send, reportProgress, saveCheckpoint, journal }) {
+    const { accountName, baseAirports, planeList, sortBy, refresh, testLimit, costProfile } = job.params;
+    const isDebug = process.env.DEBUG_LOGGING === 'true';
+
+    const state = await loadState();
+    const account = state.accounts[accountName];
+    if (!account) {
+        throw new Error(`Account "${accountName}" not found.`);
+    }
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        throw new Error(accountError);
+    }
+
+    const profile = resolveCostProfile(state, costProfile);
+    const profileNote = costProfile ? ` Using cost profile **${profile.name}**.` : '';
+
+    // Prices and turnaround times come from the catalogue; load it before spending hours on the analysis
+    const modelIds = new Set(planeList.map(entry => entry.modelId));
+    let catalogueModels;
+    try {
+        ({ models: catalogueModels } = await getCatalogue());
+    } catch (error) {
+        throw new Error(`The airplane model list is not available right now, so models can't be priced: ${error.message}`);
+    }
+
+    await send(job.resumed
+        ? `🔁 Resuming plane recommendations \`${job.id}\` after a restart...${profileNote}`
+        : `🛒 Evaluating ${planeList.length} airplane models against your bases (\`${job.id}\`). This may take a long time.${profileNote}`);
+
+    const onProgress = async (message) => {
+        console.log(`[PLAN] ${message}`);
+        await reportProgress(message);
+        await send(message);
+    };
+
+    const results = await runAnalysis(
+        account.username,
+        account.password,
+        baseAirports,
+        planeList,
+        isDebug,
+        testLimit,
+        onProgress,
+        { refresh, rankBy: 'weekly_profit', costProfile: profile, includeAlternatives: true, signal, checkpoint: job.checkpoint, onCheckpoint: saveCheckpoint, journal }
+    );
+    const routesByBase = new Map([...results.entries()].map(([baseIata, { routes }]) => [baseIata, routes]));
+
+    // The models evaluated are the ones queued
+    const recommendations = recommendPlanes(routesByBase, catalogueModels.filter(model => modelIds.has(model.id)), {
+        sortBy,
+        budgetMinutes: profile.airframeWeeklyHours * 60,
+    });
+    console.log(`[PLAN] Plane recommendations ${job.id}: ${recommendations.length} of ${modelIds.size} models are profitable.`);
+    await send({ embeds: [buildRecommendationEmbed(job, recommendations, modelIds.size)] });
+}
+
+registerJobRunner(RECOMMEND_JOB_TYPE, runRecommendJob);
+
+export async function execute(interaction) {
+    await interaction.deferReply({ flags: 64 });
+
+    const accountName = interaction.options.getString('account');
+    const filters = {
+        manufacturer: interaction.options.getString('manufacturer'),
+        airplaneType: interaction.options.getString('type'),
+        maxPrice: interaction.options.getInteger('budget'),
+    };
+    const costProfile = interaction.options.getString('cost_profile');
+
+    const state = await loadState();
+    const workspaceKey = getWorkspaceKey(interaction.user.id, interaction.guildId);
+    const workspace = getWorkspace(state, workspaceKey);
+
+    if (!state.accounts[accountName]) {
+        return interaction.editReply(`Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`);
+    }
+    const accountError = getAccountError(accountName, state.accounts[accountName]);
+    if (accountError) {
+        return interaction.editReply(`Error: ${accountError}`);
+    }
+    // The planes come from the catalogue, so an empty planelist is fine
+    const workspaceError = validateWorkspace(workspace, { requirePlanes: false });
+    if (workspaceError) {
+        return interaction.editReply(workspaceError);
+    }
+    const costProfileName = costProfile ? costProfile.trim().toLowerCase() : null;
+    const costProfileError = validateCostProfile(state, { costProfile: costProfileName });
+    if (costProfileError) {
+        return interaction.editReply(costProfileError);
+    }
+
+    let catalogueModels;
+    try {
+        ({ models: catalogueModels } = await getCatalogue());
+    } catch (error) {
+        console.error('[PLAN] Failed to load the airplane model catalogue:', error.message);
+        return interaction.editReply('Error: The airplane model list is not available right now. Try again in a minute.');
+    }
+
+    const planeList = buildRecommendationPlaneList(catalogueModels, workspace.planeList, filters);
+    if (planeList.length === 0) {
+        return interaction.editReply(`Error: No airplane model matches ${formatFilters(filters)}.`);
+    }
+
+    const job = await enqueueJob({
+        type: RECOMMEND_JOB_TYPE,
+        ownerId: interaction.user.id,
+        channelId: interaction.channelId,
+        params: {
+            accountName,
+            workspaceKey,
+            baseAirports: structuredClone(workspace.baseAirports),
+            planeList,
+            filters,
+            sortBy: interaction.options.getString('sort') || RECOMMENDATION_SORTS.PAYBACK,
+            refresh: interaction.options.getBoolean('refresh') ?? false,
+            costProfile: costProfileName,
+            testLimit: parseInt(process.env.TEST_AIRPORT_LIMIT, 10) || 0,
+        },
+    });
+
+    const position = getQueuePosition(job.id);
+    const queueNote = position > 1 ? ` It is #${position} in the queue.` : '';
+    return interaction.editReply(`Queued plane recommendations \`${job.id}\` for ${planeList.length} models (${formatFilters(filters)}).${queueNote} Check on it with \`/routefinder run_status id:${job.id}\`.`);
+}
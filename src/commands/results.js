@@ -0,0 +1,227 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
+import { getJob } from '../jobQueue.js';
+import { loadRun, loadPreviousRun, diffRuns } from '../runHistory.js';
+import { getScoringStrategy } from '../scoring.js';
+import { buildRouteDetailEmbed } from './route.js';
+import { formatCompetitionSummary } from './competitors.js';
+
+// --- Interactive results message ---
+// A finished run posts one message for all bases. Buttons page through the ranked routes, re-sort them and
+// show a route's breakdown; a select menu switches bases. The view's state lives in the component custom IDs
+// (routefinder:results:<action>:<runId>:<base>:<sort>:<page or route index>) and the routes are read from
+// the run history, so the buttons keep working after a restart.
+
+export const RESULTS_COMPONENT_ID = 'results';
+
+const CUSTOM_ID_PREFIX = `routefinder:${RESULTS_COMPONENT_ID}`;
+const PAGE_SIZE = 10;
+// Details buttons go 5 to a row, below the base menu and the navigation row
+const DETAILS_PER_ROW = 5;
+// Parsed runs kept in memory, so paging doesn't re-read the history file on every click
+const MAX_CACHED_RUNS = 10;
+
+const SORTS = {
+    score: { label: 'Score', compare: (a, b) => b.score - a.score },
+    distance: { label: 'Distance', compare: (a, b) => b.distance - a.distance },
+    plane: { label: 'Plane', compare: (a, b) => a.planeName.localeCompare(b.planeName) || b.score - a.score },
+};
+const DEFAULT_SORT = 'score';
+
+const runCache = new Map();
+
+const formatRoute = (route) => `\`${route.fromIata}-${route.toIata}\` (${route.toCity})`;
+
+/**
+ * Formats the changes between two runs of a base (see diffRuns()), one line per change.
+ * @param {object} changes - Changes from diffRuns().
+ * @param {object} strategy - The scoring strategy of the newer run, used to format scores.
+ * @returns {string} The formatted changes, or a note that nothing changed.
+ */
+export function formatChanges(changes, strategy) {
+    const lines = [
+        ...changes.added.map(({ route, previousRank }) =>
+            `🆕 ${formatRoute(route)} ${previousRank ? `climbed from #${previousRank}` : 'is new'}`),
+        ...changes.dropped.map(({ route, currentRank }) =>
+            `❌ ${formatRoute(route)} ${currentRank ? `fell to #${currentRank}` : 'is no longer viable'}`),
+        ...changes.swings.map(({ route, previousRoute, changePercent }) => {
+            const priceNote = route.ticketPrice !== previousRoute.ticketPrice
+                ? `, economy fare $${previousRoute.ticketPrice} → $${route.ticketPrice}`
+                : '';
+            return `${changePercent > 0 ? '📈' : '📉'} ${formatRoute(route)} ${strategy.format(previousRoute.score)} → ${strategy.format(route.score)} (${changePercent > 0 ? '+' : ''}${Math.round(changePercent)}%${priceNote})`;
+        }),
+    ];
+    if (!changes.comparable) {
+        lines.push('Score changes not compared: the previous run was ranked differently.');
+    }
+    return lines.length > 0 ? lines.join('\n') : 'No changes in the top routes.';
+}
+
+/**
+ * Fits text into an embed field, cutting it at a line break if it's too long.
+ */
+export function truncateField(text, maxLength = 1024) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength - 2);
+    return `${cut.slice(0, cut.lastIndexOf('\n'))}\n…`;
+}
+
+/**
+ * Returns the workspace a run's results are filed under in the run history.
+ */
+export function getRunWorkspaceKey(job) {
+    // Jobs queued before run history existed don't have a workspace key
+    return job.params.workspaceKey || job.ownerId;
+}
+
+/**
+ * Loads a run of a base from the history, through a small in-memory cache.
+ */
+async function loadCachedRun(workspaceKey, baseIata, jobId) {
+    const key = `${workspaceKey}/${baseIata}/${jobId}`;
+    if (!runCache.has(key)) {
+        const run = await loadRun(workspaceKey, baseIata, jobId);
+        if (!run) return null;
+        const previous = await loadPreviousRun(workspaceKey, baseIata, jobId);
+        run.changes = previous ? diffRuns(previous, run) : null;
+
+        runCache.set(key, run);
+        if (runCache.size > MAX_CACHED_RUNS) {
+            runCache.delete(runCache.keys().next().value);
+        }
+    }
+    return runCache.get(key);
+}
+
+/**
+ * Returns a run's routes in the given sort order. Sorting by score keeps the stored order.
+ */
+function sortRoutes(routes, sort) {
+    return sort === DEFAULT_SORT ? routes : [...routes].sort(SORTS[sort].compare);
+}
+
+const buildCustomId = (...parts) => [CUSTOM_ID_PREFIX, ...parts].join(':');
+
+/**
+ * Builds the results message for one base of a run: a page of routes and the components to navigate them.
+ * @param {object} job - The finished analysis job.
+ * @param {string} baseIata - The base to show.
+ * @param {string} [sort] - A key of SORTS.
+ * @param {number} [page] - Zero-based page number.
+ * @returns {Promise<object|null>} Message options, or null if the run isn't in the history.
+ */
+export async function buildResultsMessage(job, baseIata, sort = DEFAULT_SORT, page = 0) {
+    const run = await loadCachedRun(getRunWorkspaceKey(job), baseIata, job.id);
+    if (!run) return null;
+
+    const strategy = getScoringStrategy(run.rankBy);
+    const routes = sortRoutes(run.routes, sort);
+    const pageCount = Math.max(1, Math.ceil(routes.length / PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const firstIndex = currentPage * PAGE_SIZE;
+    const pageRoutes = routes.slice(firstIndex, firstIndex + PAGE_SIZE);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(`Routes from ${baseIata} (${routes.length} scored)`)
+        .setDescription(pageRoutes.length > 0
+            ? pageRoutes.map((route, i) =>
+                `**${firstIndex + i + 1}.** \`${route.fromIata} - ${route.toIata} (${route.toCity})\` - **${strategy.format(route.score)}** • ${route.planeName} • ${route.distance.toLocaleString()}km`
+            ).join('\n')
+            : 'No profitable routes found matching your criteria.')
+        .setFooter({
+            text: [
+                `Page ${currentPage + 1}/${pageCount} • Sorted by ${SORTS[sort].label.toLowerCase()} • Ranked by: ${strategy.label} • Run ${job.id}`,
+                run.failedCount > 0 ? `⚠️ ${run.failedCount} route(s) could not be fetched, so these results are incomplete.` : null,
+            ].filter(Boolean).join('\n'),
+        })
+        .setTimestamp(run.finishedAt);
+    if (job.params.showCompetitors && pageRoutes.length > 0) {
+        embed.addFields({
+            name: 'Competition',
+            value: truncateField(pageRoutes.map((route, i) => `**${firstIndex + i + 1}.** ${route.toIata}: ${formatCompetitionSummary(route)}`).join('\n')),
+        });
+    }
+    if (run.changes && currentPage === 0) {
+        embed.addFields({ name: 'Changes since last run', value: truncateField(formatChanges(run.changes, strategy)) });
+    }
+
+    const components = [];
+    // Bases missing from the airport list are skipped and have no results
+    const baseIatas = Object.keys(job.checkpoint.completedBases || job.params.baseAirports);
+    if (baseIatas.length > 1) {
+        components.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(buildCustomId('base', job.id, sort))
+                .setPlaceholder('Switch base')
+                // Select menus hold at most 25 options
+                .addOptions(baseIatas.slice(0, 25).map(iata => ({ label: iata, value: iata, default: iata === baseIata })))
+        ));
+    }
+
+    components.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('page', job.id, baseIata, sort, currentPage - 1))
+            .setLabel('◀ Prev')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage === 0),
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('page', job.id, baseIata, sort, currentPage + 1))
+            .setLabel('Next ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage >= pageCount - 1),
+        ...Object.entries(SORTS).map(([key, { label }]) => new ButtonBuilder()
+            .setCustomId(buildCustomId('sort', job.id, baseIata, key, 0))
+            .setLabel(`Sort: ${label}`)
+            .setStyle(key === sort ? ButtonStyle.Primary : ButtonStyle.Secondary)
+            .setDisabled(key === sort)),
+    ));
+
+    for (let rowStart = 0; rowStart < pageRoutes.length; rowStart += DETAILS_PER_ROW) {
+        components.push(new ActionRowBuilder().addComponents(
+            pageRoutes.slice(rowStart, rowStart + DETAILS_PER_ROW).map((route, i) => {
+                const index = firstIndex + rowStart + i;
+                return new ButtonBuilder()
+                    .setCustomId(buildCustomId('details', job.id, baseIata, sort, index))
+                    .setLabel(`${index + 1}. ${route.toIata}`)
+                    .setStyle(ButtonStyle.Secondary);
+            })
+        ));
+    }
+
+    return { embeds: [embed], components };
+}
+
+/**
+ * Handles the buttons and select menu of a results message.
+ */
+export async function handleComponent(interaction) {
+    const [, , action, jobId, ...rest] = interaction.customId.split(':');
+    const job = getJob(jobId);
+    if (!job) {
+        return interaction.reply({ content: `The results of run \`${jobId}\` are no longer available.`, flags: 64 });
+    }
+
+    if (action === 'base') {
+        const [sort] = rest;
+        const message = await buildResultsMessage(job, interaction.values[0], sort);
+        return message
+            ? interaction.update(message)
+            : interaction.reply({ content: `The results of run \`${jobId}\` for ${interaction.values[0]} are no longer stored.`, flags: 64 });
+    }
+
+    const [baseIata, sort, number] = rest;
+    if (action === 'details') {
+        const run = await loadCachedRun(getRunWorkspaceKey(job), baseIata, jobId);
+        const route = run && sortRoutes(run.routes, sort)[parseInt(number, 10)];
+        if (!route) {
+            return interaction.reply({ content: 'That route is no longer stored.', flags: 64 });
+        }
+        return interaction.reply({ embeds: [buildRouteDetailEmbed(route)], flags: 64 });
+    }
+
+    // 'page' and 'sort' both re-render the message in place
+    const message = await buildResultsMessage(job, baseIata, sort, parseInt(number, 10));
+    return message
+        ? interaction.update(message)
+        : interaction.reply({ content: `The results of run \`${jobId}\` for ${baseIata} are no longer stored.`, flags: 64 });
+}
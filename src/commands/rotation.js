@@ -0,0 +1,233 @@
+import { EmbedBuilder } from 'discord.js';
+import { loadState, getWorkspace, getWorkspaceKey, getAccountError } from '../stateStore.js';
+import { runAnalysis, analyzeConnections } from '../airlineClient.js';
+import { resolveCostProfile } from '../costProfiles.js';
+import { searchAirplaneModels } from '../catalogue.js';
+import { findPlanelistEntry } from '../planeMatcher.js';
+import { planRotations, pickConnectionPairs } from '../rotationPlanner.js';
+import { DEFAULT_TURNAROUND_MINUTES } from '../flightTime.js';
+import { registerJobRunner, enqueueJob, getQueuePosition } from '../jobQueue.js';
+import { validateCostProfile } from './run.js';
+
+export const ROTATION_JOB_TYPE = 'rotation';
+
+// One embed field per airframe, within Discord's 25-field limit
+const MAX_AIRFRAMES = 20;
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+const formatHours = (minutes) => `${(minutes / 60).toFixed(1)}h`;
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('rotation')
+        .setDescription('Plan the shuttles and triangles from a base each airframe of a model should fly for the most profit')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true))
+        .addStringOption(opt => opt.setName('base').setDescription('The base IATA code (e.g., IST)').setRequired(true).setAutocomplete(true))
+        .addStringOption(opt => opt.setName('plane').setDescription('The model name or model ID').setRequired(true).setAutocomplete(true))
+        .addIntegerOption(opt => opt.setName('airframes').setDescription('How many airframes to plan (default: how many you own, from planelist_sync, or 1)')
+            .setMinValue(1).setMaxValue(MAX_AIRFRAMES))
+        .addIntegerOption(opt => opt.setName('hours').setDescription('Spare weekly flight hours per airframe (default: the cost profile\'s flight hours per airframe)').setMinValue(1).setMaxValue(168))
+        .addBooleanOption(opt => opt.setName('triangles').setDescription('Also plan triangles through two destinations; analyzes the routes between them (default: true)'))
+        .addBooleanOption(opt => opt.setName('refresh').setDescription('Ignore cached route data and fetch everything fresh (default: false)'))
+        .addStringOption(opt => opt.setName('cost_profile').setDescription('The cost model constants to use (default: the active profile)').setAutocomplete(true)));
+
+/**
+ * Finds the airplane model a `plane` option refers to: an exact model ID, or the best match for a name.
+ * @returns {Promise<object|null>} The model from the catalogue, or null if nothing matches.
+ */
+async function resolveModel(planeIdentifier) {
+    const models = await searchAirplaneModels(planeIdentifier);
+    const modelId = parseInt(planeIdentifier, 10);
+    return models.find(model => model.id === modelId) || models[0] || null;
+}
+
+/**
+ * Builds the rotation summary embed of a plan.
+ * @param {object} job - The rotation job.
+ * @param {object} plan - The plan from planRotations().
+ */
+export function buildRotationEmbed(job, plan) {
+    const { baseIata, modelName } = job.params;
+    const embed = new EmbedBuilder()
+        .setColor(plan.totalProfit >= 0 ? 0x2ECC71 : 0xE74C3C)
+        .setTitle(`Rotation Plan: ${plan.rotations.length}x ${modelName} from ${baseIata}`)
+        .setDescription(`Total weekly profit: **${formatMoney(plan.totalProfit)}**\nFlight time per airframe: ${formatHours(plan.budgetMinutes)}/week, ${plan.turnaroundMinutes} min turnaround after each flight.`)
+        .setFooter({ text: `Plan ${job.id} • ⇄ flies out and back, → flies a triangle through two destinations, at the analyzed sales per flight` })
+        .setTimestamp();
+
+    plan.rotations.forEach((rotation, index) => {
+        const utilization = Math.round(rotation.flightMinutes / plan.budgetMinutes * 100);
+        const legLines = rotation.legs.map(leg => {
+            const path = leg.stops.length > 1
+                ? [baseIata, ...leg.stops.map(stop => stop.toIata), baseIata].join(' → ')
+                : `${baseIata} ⇄ ${leg.route.toIata}`;
+            const cities = leg.stops.map(stop => stop.toCity).join(', ');
+            return `\`${path}\` (${cities}) ${leg.frequency}/week • ${formatHours(leg.minutes)} • ${formatMoney(leg.contribution)}`;
+        });
+        const summary = `Flying ${formatHours(rotation.flightMinutes)} of ${formatHours(plan.budgetMinutes)} (${utilization}%) • Ownership costs: ${formatMoney(rotation.fixedCosts)}`;
+
+        let value = legLines.length > 0
+            ? `${legLines.join('\n')}\n${summary}`
+            : 'No profitable legs left for this airframe.';
+        if (value.length > 1024) {
+            // Keep the summary; drop the least profitable legs
+            const kept = [];
+            for (const line of legLines) {
+                if ([...kept, line, '…', summary].join('\n').length > 1024) break;
+                kept.push(line);
+            }
+            value = [...kept, '…', summary].join('\n');
+        }
+        embed.addFields({ name: `Airframe ${index + 1} • ${formatMoney(rotation.profit)}/week`, value });
+    });
+    return embed;
+}
+
+/**
+ * Executes a queued rotation job: scores every leg from the base for the model, then the routes between the best
+ * destinations for triangles, then plans the airframes.
+ */
+async function runRotationJob(job, { signal, send, reportProgress, saveCheckpoint, journal }) {
+    const { accountName, baseAirports, planeList, refresh, testLimit, airframes, budgetHours, turnaroundMinutes, baseIata, modelName, costProfile, triangles } = job.params;
+    const isDebug = process.env.DEBUG_LOGGING === 'true';
+
+    const state = await loadState();
+    const account = state.accounts[accountName];
+    if (!account) {
+        throw new Error(`Account "${accountName}" not found.`);
+    }
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        throw new Error(accountError);
+    }
+
+    const profile = resolveCostProfile(state, costProfile);
+    const profileNote = costProfile ? ` Using cost profile **${profile.name}**.` : '';
+
+    await send(job.resumed
+        ? `🔁 Resuming rotation plan \`${job.id}\` after a restart...${profileNote}`
+        : `🗺️ Planning rotations for ${airframes}x ${modelName} from ${baseIata} (\`${job.id}\`). Scoring every leg first; this may take a while.${profileNote}`);
+
+    const onProgress = async (message) => {
+        console.log(`[PLAN] ${message}`);
+        await reportProgress(message);
+        await send(message);
+    };
+
+    const results = await runAnalysis(
+        account.username,
+        account.password,
+        baseAirports,
+        planeList,
+        isDebug,
+        testLimit,
+        onProgress,
+        { refresh, rankBy: 'weekly_profit', costProfile: profile, signal, checkpoint: job.checkpoint, onCheckpoint: saveCheckpoint, journal }
+    );
+
+    const { routes } = results.get(baseIata) || { routes: [] };
+    if (routes.length === 0) {
+        await send(`No routes from ${baseIata} can be flown with the ${modelName}.`);
+        return;
+    }
+
+    // The same weekly flight hours the analysis counted each leg's airframes with
+    const budgetMinutes = (budgetHours || profile.airframeWeeklyHours) * 60;
+
+    // Jobs queued before triangles existed have no `triangles` param
+    let connections = [];
+    const pairs = triangles === false ? [] : pickConnectionPairs(routes, budgetMinutes, turnaroundMinutes);
+    if (pairs.length > 0) {
+        await onProgress(`Analyzing ${pairs.length} route(s) between the best destinations for triangles...`);
+        const { routes: connectionRoutes, failedCount } = await analyzeConnections(
+            account.username,
+            account.password,
+            pairs,
+            baseAirports,
+            planeList,
+            { refresh, rankBy: 'weekly_profit', costProfile: profile, signal }
+        );
+        connections = connectionRoutes;
+        if (failedCount > 0) {
+            await onProgress(`⚠️ ${failedCount} route(s) between destinations could not be fetched. Triangles through them are left out.`);
+        }
+    }
+
+    const plan = planRotations(routes, { airframes, budgetMinutes, turnaroundMinutes, connections });
+    console.log(`[PLAN] Planned ${airframes} airframe(s) of ${modelName} from ${baseIata}: ${formatMoney(plan.totalProfit)}/week.`);
+    await send({ embeds: [buildRotationEmbed(job, plan)] });
+}
+
+registerJobRunner(ROTATION_JOB_TYPE, runRotationJob);
+
+export async function execute(interaction) {
+    await interaction.deferReply({ flags: 64 });
+
+    const accountName = interaction.options.getString('account');
+    const baseIata = interaction.options.getString('base').toUpperCase();
+    const planeIdentifier = interaction.options.getString('plane');
+    const costProfile = interaction.options.getString('cost_profile');
+
+    const state = await loadState();
+    const workspaceKey = getWorkspaceKey(interaction.user.id, interaction.guildId);
+    const workspace = getWorkspace(state, workspaceKey);
+
+    if (!state.accounts[accountName]) {
+        return interaction.editReply(`Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`);
+    }
+    const accountError = getAccountError(accountName, state.accounts[accountName]);
+    if (accountError) {
+        return interaction.editReply(`Error: ${accountError}`);
+    }
+    const baseEntry = workspace.baseAirports[baseIata];
+    if (!baseEntry) {
+        return interaction.editReply(`Error: ${baseIata} is not in your baselist. Add it with \`/routefinder baselist_add\`.`);
+    }
+    const costProfileName = costProfile ? costProfile.trim().toLowerCase() : null;
+    const costProfileError = validateCostProfile(state, { costProfile: costProfileName });
+    if (costProfileError) {
+        return interaction.editReply(costProfileError);
+    }
+
+    let model;
+    try {
+        model = await resolveModel(planeIdentifier);
+    } catch (error) {
+        console.error('[PLAN] Failed to look up airplane model:', error.message);
+        return interaction.editReply('Error: The airplane model list is not available right now. Try again in a minute.');
+    }
+    if (!model) {
+        return interaction.editReply(`Error: No airplane model matches "${planeIdentifier}".`);
+    }
+
+    // The planelist entry supplies the cabin configuration and, once synced, how many airframes are owned
+    const planelistEntry = findPlanelistEntry(workspace.planeList, model.id, model.name);
+    const airframes = interaction.options.getInteger('airframes')
+        || Math.min(MAX_AIRFRAMES, (planelistEntry && planelistEntry.ownedCount) || 1);
+
+    const job = await enqueueJob({
+        type: ROTATION_JOB_TYPE,
+        ownerId: interaction.user.id,
+        channelId: interaction.channelId,
+        params: {
+            accountName,
+            workspaceKey,
+            baseIata,
+            baseAirports: { [baseIata]: structuredClone(baseEntry) },
+            // Only this exact model, even if the planelist matches it by name or excludes it
+            planeList: [{ modelId: model.id, modelName: model.name, cabinConfig: planelistEntry ? planelistEntry.cabinConfig : undefined }],
+            modelName: model.name,
+            airframes,
+            budgetHours: interaction.options.getInteger('hours'),
+            turnaroundMinutes: model.turnaroundTime ?? DEFAULT_TURNAROUND_MINUTES,
+            triangles: interaction.options.getBoolean('triangles') ?? true,
+            refresh: interaction.options.getBoolean('refresh') ?? false,
+            costProfile: costProfileName,
+            testLimit: parseInt(process.env.TEST_AIRPORT_LIMIT, 10) || 0,
+        },
+    });
+
+    const position = getQueuePosition(job.id);
+    const queueNote = position > 1 ? ` It is #${position} in the queue.` : '';
+    return interaction.editReply(`Queued rotation plan \`${job.id}\` for ${airframes}x ${model.name} from ${baseIata}.${queueNote} Check on it with \`/routefinder run_status id:${job.id}\`.`);
+}
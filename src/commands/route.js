@@ -0,0 +1,156 @@
+import { EmbedBuilder } from 'discord.js';
+import { loadState, getInteractionWorkspace, getAccountError } from '../stateStore.js';
+import { analyzeSingleRoute } from '../airlineClient.js';
+import { listScoringStrategies, getScoringStrategy } from '../scoring.js';
+import { formatMarketShare } from './competitors.js';
+import { resolveCostProfile } from '../costProfiles.js';
+import { validatePriceOptions } from './run.js';
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => sub
+        .setName('route_detail')
+        .setDescription('Show the full revenue and cost breakdown for one route')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true))
+        .addStringOption(opt => opt.setName('from').setDescription('Origin IATA code (e.g., IST)').setRequired(true).setAutocomplete(true))
+        .addStringOption(opt => opt.setName('to').setDescription('Destination IATA code (e.g., LHR)').setRequired(true).setAutocomplete(true))
+        .addIntegerOption(opt => opt.setName('load_factor').setDescription('Assume this % of seats sold instead of estimating from demand').setMinValue(1).setMaxValue(100))
+        .addStringOption(opt => opt.setName('rank_by').setDescription('How to pick the best plane (default: total weekly profit)')
+            .addChoices(...listScoringStrategies().map(strategy => ({ name: strategy.label, value: strategy.name }))))
+        .addBooleanOption(opt => opt.setName('optimize_prices').setDescription('Find the fares that score best instead of matching the lowest competitor (default: false)'))
+        .addStringOption(opt => opt.setName('cost_profile').setDescription('The cost model constants to use (default: the active profile)').setAutocomplete(true)));
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+
+/**
+ * Builds an embed with the weekly revenue and cost breakdown of an analyzed route.
+ * @param {object} analysis - A route analysis from analyzeRoute().
+ */
+export function buildRouteDetailEmbed(analysis) {
+    const { costs, seats, ticketPrices } = analysis;
+    const strategy = getScoringStrategy(analysis.scoreStrategy);
+    const priceSourceText = (source) => ({
+        competitors: 'lowest competitor fare',
+        suggested: 'suggested price',
+        optimized: 'optimized',
+    })[source];
+    const classLabels = { economy: 'Economy', business: 'Business', first: 'First' };
+    const soldClasses = Object.keys(classLabels).filter(linkClass => seats[linkClass] > 0);
+    const loadFactorSourceText = {
+        demand: 'estimated from demand',
+        override: 'assumed',
+        default: 'no demand data',
+    }[analysis.loadFactorSource];
+    const cabinText = analysis.cabinConfig
+        ? `\nCabin: ${analysis.cabinConfig} (Y${seats.economy}/J${seats.business}/F${seats.first})`
+        : '';
+
+    const embed = new EmbedBuilder()
+        .setColor(analysis.profit >= 0 ? 0x2ECC71 : 0xE74C3C)
+        .setTitle(`${analysis.fromIata} (${analysis.fromCity}) → ${analysis.toIata} (${analysis.toCity})`)
+        .setDescription(`Best plane: **${analysis.planeName}** • Score: **${strategy.format(analysis.score)}** (${strategy.label.toLowerCase()})`)
+        .addFields(
+            { name: 'Route', value: `Distance: ${analysis.distance.toLocaleString()}km\nFlight time: ${analysis.durationMinutes} min`, inline: true },
+            {
+                name: 'Schedule',
+                value: `Frequency: ${analysis.frequency}/week (max ${analysis.maxFrequency})\nAirframes: ${analysis.airframes}\nCapacity: ${analysis.capacity} seats${cabinText}\nLoad factor: ${Math.round(analysis.loadFactor * 100)}% (${loadFactorSourceText})`,
+                inline: true,
+            },
+            {
+                name: 'Ticket Prices',
+                value: soldClasses.map(linkClass =>
+                    `${classLabels[linkClass]}: ${formatMoney(ticketPrices[linkClass].price)} (${priceSourceText(ticketPrices[linkClass].source)})`
+                ).join('\n'),
+                inline: true,
+            },
+            {
+                name: 'Weekly Costs',
+                value: [
+                    `Fuel: ${formatMoney(costs.fuel)}`,
+                    `Crew: ${formatMoney(costs.crew)}`,
+                    `Airport fees: ${formatMoney(costs.airportFees)}`,
+                    `Depreciation: ${formatMoney(costs.depreciation)}`,
+                    `Maintenance: ${formatMoney(costs.maintenance)}`,
+                    `Service supplies: ${formatMoney(costs.serviceSupplies)}`,
+                    `**Total: ${formatMoney(costs.total)}**`,
+                ].join('\n'),
+            },
+            { name: 'Weekly Revenue', value: formatMoney(analysis.revenue), inline: true },
+            { name: 'Weekly Profit', value: formatMoney(analysis.profit), inline: true },
+        )
+        .setTimestamp();
+
+    if (analysis.priceOptimization) {
+        const { baselinePrices, baselineScore } = analysis.priceOptimization;
+        embed.addFields({
+            name: 'Price Optimization',
+            value: `At the standard fares (${soldClasses.map(linkClass => `${classLabels[linkClass]} ${formatMoney(baselinePrices[linkClass])}`).join(', ')}) the score would be ${strategy.format(baselineScore)}.`,
+        });
+    }
+
+    // Results stored before competitor reports existed have no market share
+    if (analysis.marketShare) {
+        const competitorCount = analysis.competitors.length;
+        embed.addFields({
+            name: 'Market',
+            value: `${competitorCount} competing airline(s). Your share:\n${formatMarketShare(analysis)}`,
+        });
+    }
+    return embed;
+}
+
+export async function execute(interaction) {
+    await interaction.deferReply({ flags: 64 });
+
+    const accountName = interaction.options.getString('account');
+    const fromIata = interaction.options.getString('from').toUpperCase();
+    const toIata = interaction.options.getString('to').toUpperCase();
+    const loadFactorPercent = interaction.options.getInteger('load_factor');
+    const costProfile = interaction.options.getString('cost_profile');
+    const optimizePrices = interaction.options.getBoolean('optimize_prices') ?? false;
+
+    const priceOptionsError = validatePriceOptions({ optimizePrices, loadFactor: loadFactorPercent });
+    if (priceOptionsError) {
+        return interaction.editReply(priceOptionsError);
+    }
+
+    const state = await loadState();
+    const workspace = getInteractionWorkspace(state, interaction);
+
+    const account = state.accounts[accountName];
+    if (!account) {
+        return interaction.editReply(`Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`);
+    }
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        return interaction.editReply(`Error: ${accountError}`);
+    }
+    if (workspace.planeList.length === 0) {
+        return interaction.editReply('Error: Your planelist is empty. Add planes with `/routefinder planelist_add`.');
+    }
+
+    try {
+        const profile = resolveCostProfile(state, costProfile ? costProfile.trim().toLowerCase() : null);
+        const analysis = await analyzeSingleRoute(
+            account.username,
+            account.password,
+            fromIata,
+            toIata,
+            workspace.baseAirports,
+            workspace.planeList,
+            {
+                loadFactor: loadFactorPercent ? loadFactorPercent / 100 : null,
+                rankBy: interaction.options.getString('rank_by'),
+                optimizePrices,
+                costProfile: profile,
+            }
+        );
+
+        if (!analysis) {
+            return interaction.editReply(`None of the planes in your planelist can fly ${fromIata} → ${toIata}.`);
+        }
+        return interaction.editReply({ embeds: [buildRouteDetailEmbed(analysis)] });
+    } catch (error) {
+        console.error('Error in route detail:', error);
+        return interaction.editReply(`Error: ${error.message}`);
+    }
+}
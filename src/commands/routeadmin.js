@@ -0,0 +1,41 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import { PermissionFlagsBits } from 'discord.js';
+import * as costProfile from './costProfile.js';
+import * as calibrate from './calibrate.js';
+
+// Bot-wide settings that affect every user's results, so only server administrators see this command
+const builder = new SlashCommandBuilder()
+    .setName('routeadmin')
+    .setDescription('Admin commands for the cost model used by every analysis')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false);
+
+costProfile.subcommands(builder);
+calibrate.subcommands(builder);
+
+export const data = builder;
+
+// Map subcommand names to their execute functions
+const handlers = {
+    'cost_profile_list': costProfile.execute,
+    'cost_profile_show': costProfile.execute,
+    'cost_profile_set': costProfile.execute,
+    'cost_profile_reset': costProfile.execute,
+    'cost_profile_activate': costProfile.execute,
+    'calibrate': calibrate.execute,
+};
+
+export async function execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    console.log(`[INFO] Handling subcommand: ${subcommand}`);
+    const handler = handlers[subcommand];
+
+    if (handler) {
+        await handler(interaction);
+    } else {
+        await interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+    }
+}
+
+// "profile" and "cost_profile" autocomplete the same way as in /routefinder
+export { autocomplete } from './routefinder.js';
@@ -2,6 +2,16 @@ import { SlashCommandBuilder } from '@discordjs/builders';
 import * as planelist from './planelist.js';
 import * as baselist from './baselist.js';
 import * as run from './run.js';
+import * as account from './account.js';
+import * as cache from './cache.js';
+import * as route from './route.js';
+import * as schedule from './schedule.js';
+import * as history from './history.js';
+import * as results from './results.js';
+import * as competitors from './competitors.js';
+import { searchAirports, searchAirplaneModels } from '../catalogue.js';
+import { loadState } from '../stateStore.js';
+import { listCostProfileNames } from '../costProfiles.js';
 
 // Build the nested command structure
 const builder = new SlashCommandBuilder()
@@ -12,6 +22,12 @@ const builder = new SlashCommandBuilder()
 planelist.subcommands(builder);
 baselist.subcommands(builder);
 run.subcommands(builder);
+account.subcommands(builder);
+cache.subcommands(builder);
+route.subcommands(builder);
+schedule.subcommands(builder);
+history.subcommands(builder);
+competitors.subcommands(builder);
 
 export const data = builder;
 
@@ -20,12 +36,71 @@ const handlers = {
     'planelist_add': planelist.execute,
     'planelist_delete': planelist.execute,
     'planelist_view': planelist.execute,
+    'planelist_edit': planelist.execute,
+    'planelist_sync': planelist.execute,
     'baselist_add': baselist.execute,
     'baselist_delete': baselist.execute,
     'baselist_view': baselist.execute,
+    'baselist_edit': baselist.execute,
+    'baselist_sync': baselist.execute,
     'run': run.execute,
+    'run_status': run.execute,
+    'run_cancel': run.execute,
+    'run_list': run.execute,
+    'account_add': account.execute,
+    'account_list': account.execute,
+    'account_remove': account.execute,
+    'account_test': account.execute,
+    'cache_purge': cache.execute,
+    'route_detail': route.execute,
+    'schedule_add': schedule.execute,
+    'schedule_list': schedule.execute,
+    'schedule_remove': schedule.execute,
+    'history': history.execute,
+    'competitors': competitors.execute,
 };
 
+// Map modal custom IDs to their submit handlers
+const modalHandlers = {
+    [account.ACCOUNT_ADD_MODAL_ID]: account.handleModalSubmit,
+};
+
+// Map the second part of component custom IDs ("routefinder:<id>:...") to their handlers
+const componentHandlers = {
+    [results.RESULTS_COMPONENT_ID]: results.handleComponent,
+};
+
+// Discord limits choice names to 100 characters
+const toChoice = (name, value) => ({ name: name.slice(0, 100), value: String(value) });
+
+// Map autocomplete option names to functions returning their choices
+const autocompleteSources = {
+    'iata': airportChoices,
+    'from': airportChoices,
+    'to': airportChoices,
+    'base': airportChoices,
+    'plane': planeChoices,
+    'cost_profile': costProfileChoices,
+    'profile': costProfileChoices,
+};
+
+async function airportChoices(query) {
+    const airports = await searchAirports(query);
+    return airports.map(airport => toChoice(`${airport.iata} - ${airport.city} (${airport.name})`, airport.iata));
+}
+
+async function planeChoices(query) {
+    const models = await searchAirplaneModels(query);
+    // Suggesting the ID makes planelist_add store an exact match instead of a name that matches every variant
+    return models.map(model => toChoice(`${model.name} (${model.manufacturer}, ID: ${model.id})`, model.id));
+}
+
+async function costProfileChoices(query) {
+    const needle = query.trim().toLowerCase();
+    const names = listCostProfileNames(await loadState()).filter(name => name.includes(needle));
+    return names.slice(0, 25).map(name => toChoice(name, name));
+}
+
 export async function execute(interaction) {
     const subcommand = interaction.options.getSubcommand();
     console.log(`[INFO] Handling subcommand: ${subcommand}`);
@@ -37,3 +112,30 @@ export async function execute(interaction) {
         await interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
     }
 }
+
+export async function handleModalSubmit(interaction) {
+    console.log(`[INFO] Handling modal: ${interaction.customId}`);
+    const handler = modalHandlers[interaction.customId];
+
+    if (handler) {
+        await handler(interaction);
+    } else {
+        await interaction.reply({ content: 'Unknown form.', flags: 64 });
+    }
+}
+
+export async function handleComponent(interaction) {
+    const handler = componentHandlers[interaction.customId.split(':')[1]];
+
+    if (handler) {
+        await handler(interaction);
+    } else {
+        await interaction.reply({ content: 'Unknown button.', flags: 64 });
+    }
+}
+
+export async function autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const source = autocompleteSources[focused.name];
+    await interaction.respond(source ? await source(focused.value) : []);
+}
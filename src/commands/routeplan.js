@@ -0,0 +1,38 @@
+import { SlashCommandBuilder } from '@discordjs/builders';
+import * as rotation from './rotation.js';
+import * as fleet from './fleet.js';
+import * as recommend from './recommend.js';
+
+// Network planning: what to fly with the planes you have or are buying.
+// A separate command because /routefinder is at Discord's limit of 25 subcommands.
+const builder = new SlashCommandBuilder()
+    .setName('routeplan')
+    .setDescription('Commands for planning rotations, fleets and plane purchases from your bases');
+
+rotation.subcommands(builder);
+fleet.subcommands(builder);
+recommend.subcommands(builder);
+
+export const data = builder;
+
+// Map subcommand names to their execute functions
+const handlers = {
+    'rotation': rotation.execute,
+    'plan_fleet': fleet.execute,
+    'recommend_planes': recommend.execute,
+};
+
+export async function execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    console.log(`[INFO] Handling subcommand: ${subcommand}`);
+    const handler = handlers[subcommand];
+
+    if (handler) {
+        await handler(interaction);
+    } else {
+        await interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+    }
+}
+
+// Option names like "base", "plane" and "cost_profile" autocomplete the same way as in /routefinder
+export { autocomplete } from './routefinder.js';
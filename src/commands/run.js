@@ -1,22 +1,213 @@
-import { loadState } from '../stateStore.js';
+import { loadState, getWorkspace, getWorkspaceKey, getAccountError } from '../stateStore.js';
 import { runAnalysis } from '../airlineClient.js';
-import { EmbedBuilder } from 'discord.js';
+import { saveRun, loadPreviousRun, diffRuns } from '../runHistory.js';
+import { formatChanges, truncateField, buildResultsMessage, getRunWorkspaceKey } from './results.js';
+import { registerJobRunner, enqueueJob, getJob, listJobs, cancelJob, getQueuePosition, JOB_STATUS } from '../jobQueue.js';
+import { listScoringStrategies, getScoringStrategy, DEFAULT_SCORING_STRATEGY } from '../scoring.js';
+import { buildExport, EXPORT_FORMATS } from '../resultExport.js';
+import { resolveCostProfile } from '../costProfiles.js';
+import { EmbedBuilder, AttachmentBuilder } from 'discord.js';
+
+export const ANALYSIS_JOB_TYPE = 'analysis';
+
+// Discord's upload limit for bots in servers without boosts
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Adds the analysis options shared by `run` and `schedule_add` to a subcommand.
+ */
+export const addRunOptions = (sub) => sub
+    .addBooleanOption(opt => opt.setName('refresh').setDescription('Ignore cached route data and refetch everything (default: false)'))
+    .addIntegerOption(opt => opt.setName('min_distance').setDescription('Skip destinations closer than this, in km').setMinValue(0))
+    .addIntegerOption(opt => opt.setName('max_distance').setDescription('Skip destinations farther than this, in km').setMinValue(0))
+    .addIntegerOption(opt => opt.setName('min_airport_size').setDescription('Skip destination airports smaller than this size').setMinValue(1).setMaxValue(8))
+    .addStringOption(opt => opt.setName('country').setDescription('Only these destination country codes, comma-separated (e.g., US, CA)'))
+    .addStringOption(opt => opt.setName('zone').setDescription('Only these destination zones, comma-separated (e.g., EU, AS)'))
+    .addIntegerOption(opt => opt.setName('load_factor').setDescription('Assume this % of seats sold instead of estimating from demand').setMinValue(1).setMaxValue(100))
+    .addStringOption(opt => opt.setName('rank_by').setDescription('How to rank routes (default: total weekly profit)')
+        .addChoices(...listScoringStrategies().map(strategy => ({ name: strategy.label, value: strategy.name }))))
+    .addStringOption(opt => opt.setName('format').setDescription('Also attach every scored route with its full breakdown (default: embed only)')
+        .addChoices(
+            { name: 'Embed only', value: EXPORT_FORMATS.EMBED },
+            { name: 'Embed + CSV file', value: EXPORT_FORMATS.CSV },
+            { name: 'Embed + JSON file', value: EXPORT_FORMATS.JSON },
+        ))
+    .addBooleanOption(opt => opt.setName('competitors').setDescription('Show who flies each listed route (default: false)'))
+    .addBooleanOption(opt => opt.setName('optimize_prices').setDescription('Find the fares that score best instead of matching the lowest competitor (default: false)'))
+    .addStringOption(opt => opt.setName('cost_profile').setDescription('The cost model constants to use (default: the active profile)').setAutocomplete(true));
 
 export const subcommands = (builder) =>
-    builder.addSubcommand(sub => sub
+    builder.addSubcommand(sub => addRunOptions(sub
         .setName('run')
         .setDescription('Run the route profitability analysis')
-        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true)));
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true))))
+    .addSubcommand(sub => sub
+        .setName('run_status')
+        .setDescription('Show the progress of a run')
+        .addStringOption(opt => opt.setName('id').setDescription('The run ID (default: your latest run)')))
+    .addSubcommand(sub => sub
+        .setName('run_cancel')
+        .setDescription('Cancel one of your queued or running runs')
+        .addStringOption(opt => opt.setName('id').setDescription('The run ID').setRequired(true)))
+    .addSubcommand(sub => sub
+        .setName('run_list')
+        .setDescription('List queued, running and recent runs'));
 
-export async function execute(interaction) {
-    // --- (FIX) Using flags: 64 instead of ephemeral: true ---
-    await interaction.reply({ content: 'Starting analysis... This may take a long time. 🚀', flags: 64 });
-    
-    const accountName = interaction.options.getString('account');
-    console.log(`[RUN] Starting analysis for account: ${accountName}`);
-    
+/**
+ * Reads the options added by addRunOptions().
+ * @returns {{refresh: boolean, filters: object, loadFactor: number|null, rankBy: string, format: string, showCompetitors: boolean, optimizePrices: boolean,
+ *   costProfile: string|null}} costProfile is a profile name, resolved when the job runs so admin edits apply to queued and scheduled runs.
+ */
+export function readRunOptions(interaction) {
+    const loadFactorPercent = interaction.options.getInteger('load_factor');
+    const costProfile = interaction.options.getString('cost_profile');
+    return {
+        refresh: interaction.options.getBoolean('refresh') ?? false,
+        filters: {
+            minDistance: interaction.options.getInteger('min_distance'),
+            maxDistance: interaction.options.getInteger('max_distance'),
+            minAirportSize: interaction.options.getInteger('min_airport_size'),
+            countries: interaction.options.getString('country'),
+            zones: interaction.options.getString('zone'),
+        },
+        loadFactor: loadFactorPercent ? loadFactorPercent / 100 : null,
+        rankBy: interaction.options.getString('rank_by') || DEFAULT_SCORING_STRATEGY,
+        format: interaction.options.getString('format') || EXPORT_FORMATS.EMBED,
+        showCompetitors: interaction.options.getBoolean('competitors') ?? false,
+        optimizePrices: interaction.options.getBoolean('optimize_prices') ?? false,
+        costProfile: costProfile ? costProfile.trim().toLowerCase() : null,
+    };
+}
+
+/**
+ * Checks that the cost profile picked with readRunOptions() exists.
+ * @returns {string|null} An error message, or null if the profile exists (or none was picked).
+ */
+export function validateCostProfile(state, runOptions) {
+    try {
+        resolveCostProfile(state, runOptions.costProfile);
+        return null;
+    } catch (error) {
+        return `Error: ${error.message} See \`/routeadmin cost_profile_list\`.`;
+    }
+}
+
+/**
+ * Checks that the pricing options picked with readRunOptions() can be combined.
+ * Price optimization estimates how sales react to each fare, which a fixed load factor rules out.
+ * @returns {string|null} An error message, or null if they can.
+ */
+export function validatePriceOptions(runOptions) {
+    if (runOptions.optimizePrices && runOptions.loadFactor) {
+        return 'Error: `optimize_prices` estimates sales from demand at each fare, so it can\'t be combined with `load_factor`. Drop one of them.';
+    }
+    return null;
+}
+
+/**
+ * Checks that a workspace has something to analyze.
+ * @param {object} [options]
+ * @param {boolean} [options.requirePlanes] - Require a planelist too (default: true). Commands that pick their
+ *   own planes, like `recommend_planes`, only need the baselist.
+ * @returns {string|null} An error message, or null if the workspace is ready.
+ */
+export function validateWorkspace(workspace, { requirePlanes = true } = {}) {
+    if (!workspace.baseAirports || Object.keys(workspace.baseAirports).length === 0) {
+        return 'Error: Your baselist is empty. Add airports with `/routefinder baselist_add`.';
+    }
+    if (requirePlanes && (!workspace.planeList || workspace.planeList.length === 0)) {
+        return 'Error: Your planelist is empty. Add planes with `/routefinder planelist_add`.';
+    }
+    return null;
+}
+
+/**
+ * Builds the params of an analysis job.
+ * The workspace is snapshotted so later baselist/planelist edits don't change a queued or resumed run.
+ * @param {string} accountName - The account to log in with when the job runs.
+ * @param {string} workspaceKey - The workspace's key, used to file the results in its run history.
+ * @param {object} workspace - The workspace to analyze.
+ * @param {object} runOptions - Options from readRunOptions().
+ */
+export function buildAnalysisParams(accountName, workspaceKey, workspace, runOptions) {
+    return {
+        accountName,
+        workspaceKey,
+        baseAirports: structuredClone(workspace.baseAirports),
+        planeList: structuredClone(workspace.planeList),
+        testLimit: parseInt(process.env.TEST_AIRPORT_LIMIT, 10) || 0,
+        ...runOptions,
+    };
+}
+
+/**
+ * Posts analysis results, one embed per base with its top 10 routes.
+ * @param {function(string|object): Promise} send - Posts a message to the target channel.
+ * @param {Map<string, {routes: Array, failedCount: number, changes: object|null}>} results - Results from runAnalysis(),
+ *   with `changes` since the previous run from diffRuns() (null if there was no previous run).
+ */
+export async function postResults(send, results) {
+    for (const [baseIata, { routes: allRoutes, failedCount, changes }] of results.entries()) {
+        const routes = allRoutes.slice(0, 10);
+        const incompleteNote = failedCount > 0
+            ? `⚠️ ${failedCount} route(s) could not be fetched, so these results are incomplete.`
+            : null;
+
+        if (routes.length === 0) {
+            console.log(`[RUN] No profitable routes found for ${baseIata}.`);
+            const changesNote = changes ? `\n\n**Changes since last run**\n${formatChanges(changes, getScoringStrategy(changes.rankBy))}` : '';
+            await send(`**Top Routes from ${baseIata}**\n\nNo profitable routes found matching your criteria.${incompleteNote ? `\n${incompleteNote}` : ''}${changesNote}`);
+            continue;
+        }
+
+        console.log(`[RUN] Posting top ${routes.length} routes for ${baseIata}.`);
+        const strategy = getScoringStrategy(routes[0].scoreStrategy);
+        const formattedResults = routes.map(route =>
+            `\`${route.fromIata} (${route.fromCity}) - ${route.toIata} (${route.toCity})\` - **${strategy.format(route.score)}**`
+        ).join('\n');
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle(`Top ${routes.length} Profitable Routes from ${baseIata}`)
+            .setDescription(formattedResults)
+            .setFooter({ text: [`Ranked by: ${strategy.label}`, incompleteNote].filter(Boolean).join('\n') })
+            .setTimestamp();
+        if (changes) {
+            embed.addFields({ name: 'Changes since last run', value: truncateField(formatChanges(changes, strategy)) });
+        }
+
+        await send({ embeds: [embed] });
+    }
+}
+
+/**
+ * Builds a message with a CSV or JSON export of a run attached.
+ * @param {string} jobId - The run ID.
+ * @param {Map<string, {routes: Array, failedCount: number}>} results - Results per base.
+ * @param {string} format - EXPORT_FORMATS.CSV or EXPORT_FORMATS.JSON.
+ * @returns {object} Message options for send() or reply().
+ */
+export function buildExportMessage(jobId, results, format) {
+    const { fileName, content } = buildExport(jobId, results, format);
+    if (content.length > MAX_ATTACHMENT_BYTES) {
+        const sizeMb = (content.length / 1024 / 1024).toFixed(1);
+        const hint = format === EXPORT_FORMATS.JSON ? ' Try the CSV format, which is smaller.' : '';
+        return { content: `The ${format.toUpperCase()} export of run \`${jobId}\` is ${sizeMb} MB, over Discord's 10 MB upload limit.${hint}` };
+    }
+
+    const routeCount = [...results.values()].reduce((sum, { routes }) => sum + routes.length, 0);
+    return {
+        content: `📎 All ${routeCount} scored routes of run \`${jobId}\`.`,
+        files: [new AttachmentBuilder(content, { name: fileName })],
+    };
+}
+
+/**
+ * Executes a queued analysis job. Progress is checkpointed into job.checkpoint so it can resume after a restart.
+ */
+async function runAnalysisJob(job, { signal, send, reportProgress, saveCheckpoint, journal }) {
+    const { accountName, baseAirports, planeList, refresh, testLimit, filters, loadFactor, rankBy, optimizePrices, costProfile } = job.params;
     const isDebug = process.env.DEBUG_LOGGING === 'true';
-    const testLimit = parseInt(process.env.TEST_AIRPORT_LIMIT, 10) || 0;
 
     if (isDebug) {
         console.log('[RUN] *** DEBUG MODE IS ON ***');
@@ -25,78 +216,190 @@ export async function execute(interaction) {
         console.log(`[RUN] *** TEST LIMIT IS ON: Will only scan ${testLimit} airports. ***`);
     }
 
+    // Credentials are looked up when the job runs, so they never end up in the job file
     const state = await loadState();
-
     const account = state.accounts[accountName];
     if (!account) {
-        console.error(`[RUN] Error: Account "${accountName}" not found.`);
-        // --- (FIX) Using flags: 64 instead of ephemeral: true ---
-        return interaction.followUp({ content: `Error: Account "${accountName}" not found in \`bot_state.json\`.`, flags: 64 });
-    }
-    
-    console.log('[RUN] Validating state: Checking for baselist and planelist.');
-    if (!state.baseAirports || Object.keys(state.baseAirports).length === 0) {
-        console.error('[RUN] Error: Baselist is empty.');
-        // --- (FIX) Using flags: 64 instead of ephemeral: true ---
-        return interaction.followUp({ content: 'Error: Your baselist is empty. Add airports with `/routefinder baselist_add`.', flags: 64 });
+        throw new Error(`Account "${accountName}" not found.`);
     }
-    
-    if (!state.planeList || state.planeList.length === 0) {
-        console.error('[RUN] Error: Planelist is empty.');
-        // --- (FIX) Using flags: 64 instead of ephemeral: true ---
-        return interaction.followUp({ content: 'Error: Your planelist is empty. Add planes with `/routefinder planelist_add`.', flags: 64 });
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        throw new Error(accountError);
     }
-    console.log('[RUN] State validated. Starting analysis client.');
+    const profile = resolveCostProfile(state, costProfile);
+    const profileNote = costProfile ? ` Using cost profile **${profile.name}**.` : '';
+
+    await send(job.resumed
+        ? `🔁 Resuming run \`${job.id}\` after a restart...${profileNote}`
+        : `🚀 Starting run \`${job.id}\`. This may take a long time.${profileNote}`);
 
     const onProgress = async (message) => {
         console.log(`[RUN] ${message}`);
+        await reportProgress(message);
+        // Use channel.send() to avoid webhook token expiration for long-running operations
+        await send(message);
+    };
+
+    const results = await runAnalysis(
+        account.username,
+        account.password,
+        baseAirports,
+        planeList,
+        isDebug,
+        testLimit,
+        onProgress,
+        { refresh, filters, loadFactor, rankBy, optimizePrices, costProfile: profile, signal, checkpoint: job.checkpoint, onCheckpoint: saveCheckpoint, journal }
+    );
+
+    await recordResults(job, results);
+
+    console.log('[RUN] Analysis complete. Posting results to Discord.');
+    await send(`✅ Run \`${job.id}\` complete! Posting results...`);
+    const [firstBase] = results.keys();
+    const resultsMessage = firstBase && [...results.values()].every(result => result.recorded)
+        ? await buildResultsMessage(job, firstBase)
+        : null;
+    if (resultsMessage) {
+        await send(resultsMessage);
+    } else {
+        // The interactive message reads from the run history; without it, fall back to one static embed per base
+        await postResults(send, results);
+    }
+
+    const { format } = job.params;
+    if (format && format !== EXPORT_FORMATS.EMBED) {
+        await send(buildExportMessage(job.id, results, format));
+    }
+}
+
+/**
+ * Stores each base's results in the run history and attaches the changes since the previous run.
+ */
+async function recordResults(job, results) {
+    const workspaceKey = getRunWorkspaceKey(job);
+
+    for (const [baseIata, result] of results.entries()) {
+        const run = {
+            jobId: job.id,
+            baseIata,
+            finishedAt: Date.now(),
+            rankBy: job.params.rankBy,
+            failedCount: result.failedCount,
+            routes: result.routes,
+        };
         try {
-            // Use channel.send() to avoid webhook token expiration for long-running operations
-            await interaction.channel.send(message);
+            const previous = await loadPreviousRun(workspaceKey, baseIata, job.id);
+            result.changes = previous ? diffRuns(previous, run) : null;
+            await saveRun(workspaceKey, run);
+            result.recorded = true;
         } catch (error) {
-            console.warn('[WARN] Discord progress update failed (likely editing too fast).');
+            console.error(`[HISTORY] Failed to record run ${job.id} for ${baseIata}:`, error.message);
+            result.changes = null;
         }
-    };
+    }
+}
 
-    try {
-        const results = await runAnalysis(
-            account.username,
-            account.password,
-            state.baseAirports,
-            state.planeList,
-            isDebug,
-            testLimit,
-            onProgress
-        );
-
-        console.log('[RUN] Analysis complete. Posting results to Discord.');
-        // Use channel.send() to avoid webhook token expiration for long-running operations
-        await interaction.channel.send('✅ Analysis complete! Posting results...');
-
-        for (const [baseIata, routes] of results.entries()) {
-            if (routes.length === 0) {
-                console.log(`[RUN] No profitable routes found for ${baseIata}.`);
-                await interaction.channel.send(`**Top Routes from ${baseIata}**\n\nNo profitable routes found matching your criteria.`);
-                continue;
-            }
-
-            console.log(`[RUN] Posting top ${routes.length} routes for ${baseIata}.`);
-            const formattedResults = routes.map(route => 
-                `\`${route.fromIata} (${route.fromCity}) - ${route.toIata} (${route.toCity})\` - **$${route.score.toLocaleString()}**`
-            ).join('\n');
-            
-            const embed = new EmbedBuilder()
-                .setColor(0x0099FF)
-                .setTitle(`Top ${routes.length} Profitable Routes from ${baseIata}`)
-                .setDescription(formattedResults)
-                .setTimestamp();
-            
-            await interaction.channel.send({ embeds: [embed] });
+registerJobRunner(ANALYSIS_JOB_TYPE, runAnalysisJob);
+
+/**
+ * Formats a one-line summary of a job.
+ */
+function formatJobLine(job) {
+    const bases = Object.keys(job.params.baseAirports);
+    const doneBases = Object.keys(job.checkpoint.completedBases || {}).length;
+    const position = getQueuePosition(job.id);
+    const statusText = position > 0 ? `${job.status} (#${position})` : job.status;
+    return `\`${job.id}\` • **${statusText}** • ${job.params.accountName} • ${doneBases}/${bases.length} bases • <@${job.ownerId}> • <t:${Math.floor(job.createdAt / 1000)}:R>`;
+}
+
+export async function execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'run_list') {
+        const allJobs = listJobs();
+        const active = allJobs.filter(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING);
+        const recent = allJobs.filter(job => !active.includes(job)).slice(-5).reverse();
+
+        if (active.length === 0 && recent.length === 0) {
+            return interaction.reply({ content: 'No runs yet. Start one with `/routefinder run`.', flags: 64 });
         }
 
-    } catch (error) {
-        console.error(`[RUN] Analysis failed: ${error.message}`);
-        // Use channel.send() to avoid webhook token expiration for long-running operations
-        await interaction.channel.send(`Error during analysis: ${error.message}`);
+        const sections = [];
+        if (active.length > 0) sections.push(`**Active Runs:**\n${active.map(formatJobLine).join('\n')}`);
+        if (recent.length > 0) sections.push(`**Recent Runs:**\n${recent.map(formatJobLine).join('\n')}`);
+        return interaction.reply({ content: sections.join('\n\n'), flags: 64 });
+
+    } else if (subcommand === 'run_status') {
+        const id = interaction.options.getString('id');
+        const job = id
+            ? getJob(id)
+            : listJobs().filter(j => j.ownerId === interaction.user.id).pop();
+
+        if (!job) {
+            return interaction.reply({ content: id ? `Run \`${id}\` not found.` : 'You have no runs yet.', flags: 64 });
+        }
+
+        const lines = [formatJobLine(job)];
+        if (job.progress) lines.push(`Latest progress: ${job.progress}`);
+        if (job.error) lines.push(`Error: ${job.error}`);
+        return interaction.reply({ content: `**Run Status:**\n${lines.join('\n')}`, flags: 64 });
+
+    } else if (subcommand === 'run_cancel') {
+        const id = interaction.options.getString('id');
+        const job = getJob(id);
+
+        if (!job) {
+            return interaction.reply({ content: `Run \`${id}\` not found.`, flags: 64 });
+        }
+        if (job.ownerId !== interaction.user.id) {
+            return interaction.reply({ content: `Run \`${id}\` was started by someone else and can only be cancelled by them.`, flags: 64 });
+        }
+        if (!(await cancelJob(id))) {
+            return interaction.reply({ content: `Run \`${id}\` has already finished (${job.status}).`, flags: 64 });
+        }
+        return interaction.reply({ content: `Cancelling run \`${id}\`.`, flags: 64 });
+    }
+
+    const accountName = interaction.options.getString('account');
+    console.log(`[RUN] Queuing analysis for account: ${accountName}`);
+
+    const state = await loadState();
+    const workspaceKey = getWorkspaceKey(interaction.user.id, interaction.guildId);
+    const workspace = getWorkspace(state, workspaceKey);
+
+    const account = state.accounts[accountName];
+    if (!account) {
+        console.error(`[RUN] Error: Account "${accountName}" not found.`);
+        // --- (FIX) Using flags: 64 instead of ephemeral: true ---
+        return interaction.reply({ content: `Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`, flags: 64 });
+    }
+    const accountError = getAccountError(accountName, account);
+    if (accountError) {
+        return interaction.reply({ content: `Error: ${accountError}`, flags: 64 });
+    }
+
+    console.log('[RUN] Validating state: Checking for baselist and planelist.');
+    const workspaceError = validateWorkspace(workspace);
+    if (workspaceError) {
+        console.error(`[RUN] ${workspaceError}`);
+        // --- (FIX) Using flags: 64 instead of ephemeral: true ---
+        return interaction.reply({ content: workspaceError, flags: 64 });
     }
+    const runOptions = readRunOptions(interaction);
+    const optionsError = validateCostProfile(state, runOptions) || validatePriceOptions(runOptions);
+    if (optionsError) {
+        return interaction.reply({ content: optionsError, flags: 64 });
+    }
+    console.log('[RUN] State validated. Queuing job.');
+
+    const job = await enqueueJob({
+        type: ANALYSIS_JOB_TYPE,
+        ownerId: interaction.user.id,
+        channelId: interaction.channelId,
+        params: buildAnalysisParams(accountName, workspaceKey, workspace, runOptions),
+    });
+
+    const position = getQueuePosition(job.id);
+    const queueNote = position > 1 ? ` It is #${position} in the queue.` : '';
+    return interaction.reply({ content: `Queued run \`${job.id}\`.${queueNote} Check on it with \`/routefinder run_status id:${job.id}\`.`, flags: 64 });
 }
@@ -0,0 +1,142 @@
+import { ChannelType } from 'discord.js';
+import { loadState, getWorkspace, getWorkspaceKey, getAccountError } from '../stateStore.js';
+import { addSchedule, listSchedules, removeSchedule, registerScheduleHandler, parseCron } from '../scheduler.js';
+import { enqueueJob, getJob, JOB_STATUS } from '../jobQueue.js';
+import { ANALYSIS_JOB_TYPE, addRunOptions, readRunOptions, validateWorkspace, validateCostProfile, validatePriceOptions, buildAnalysisParams } from './run.js';
+
+export const subcommands = (builder) =>
+    builder.addSubcommand(sub => addRunOptions(sub
+        .setName('schedule_add')
+        .setDescription('Run the analysis on a schedule and post the results to a channel')
+        .addStringOption(opt => opt.setName('account').setDescription('The name of the account to use').setRequired(true))
+        .addIntegerOption(opt => opt.setName('every_hours').setDescription('Run every this many hours').setMinValue(1).setMaxValue(24 * 30))
+        .addStringOption(opt => opt.setName('cron').setDescription('Or a cron expression in UTC, e.g. "0 6 * * 1" for Mondays at 06:00'))
+        .addChannelOption(opt => opt.setName('channel').setDescription('Where to post the results (default: this channel)')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))))
+    .addSubcommand(sub => sub
+        .setName('schedule_list')
+        .setDescription('List your scheduled runs'))
+    .addSubcommand(sub => sub
+        .setName('schedule_remove')
+        .setDescription('Remove one of your scheduled runs')
+        .addStringOption(opt => opt.setName('id').setDescription('The schedule ID').setRequired(true)));
+
+/**
+ * Queues an analysis for a schedule, using the workspace as it is now.
+ * Skips the run if the schedule's previous run hasn't finished yet.
+ */
+async function runScheduledAnalysis(schedule) {
+    const previousJob = schedule.lastJobId && getJob(schedule.lastJobId);
+    if (previousJob && (previousJob.status === JOB_STATUS.QUEUED || previousJob.status === JOB_STATUS.RUNNING)) {
+        console.log(`[SCHEDULE] Skipping schedule ${schedule.id}: run ${previousJob.id} is still ${previousJob.status}.`);
+        return null;
+    }
+
+    const state = await loadState();
+    const { accountName, ...runOptions } = schedule.params;
+    if (!state.accounts[accountName]) {
+        throw new Error(`Account "${accountName}" not found.`);
+    }
+    const accountError = getAccountError(accountName, state.accounts[accountName]);
+    if (accountError) {
+        throw new Error(accountError);
+    }
+    const workspace = getWorkspace(state, schedule.workspaceKey);
+    const workspaceError = validateWorkspace(workspace);
+    if (workspaceError) {
+        throw new Error(workspaceError);
+    }
+
+    return enqueueJob({
+        type: ANALYSIS_JOB_TYPE,
+        ownerId: schedule.ownerId,
+        channelId: schedule.channelId,
+        params: buildAnalysisParams(accountName, schedule.workspaceKey, workspace, runOptions),
+    });
+}
+
+registerScheduleHandler(ANALYSIS_JOB_TYPE, runScheduledAnalysis);
+
+/**
+ * Formats a one-line summary of a schedule.
+ */
+function formatScheduleLine(schedule) {
+    const timing = schedule.everyHours ? `every ${schedule.everyHours}h` : `cron \`${schedule.cron}\` (UTC)`;
+    const next = schedule.nextRunAt ? `next <t:${Math.floor(schedule.nextRunAt / 1000)}:R>` : 'never runs again';
+    const lastError = schedule.lastError ? `\n  ⚠️ Last attempt failed: ${schedule.lastError}` : '';
+    return `\`${schedule.id}\` • ${timing} • ${schedule.params.accountName} • <#${schedule.channelId}> • ${next}${lastError}`;
+}
+
+export async function execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'schedule_list') {
+        const schedules = (await listSchedules()).filter(schedule => schedule.ownerId === interaction.user.id);
+        if (schedules.length === 0) {
+            return interaction.reply({ content: 'You have no scheduled runs. Add one with `/routefinder schedule_add`.', flags: 64 });
+        }
+        return interaction.reply({ content: `**Your Scheduled Runs:**\n${schedules.map(formatScheduleLine).join('\n')}`, flags: 64 });
+
+    } else if (subcommand === 'schedule_remove') {
+        const id = interaction.options.getString('id');
+        const schedule = (await listSchedules()).find(s => s.id === id);
+
+        if (!schedule) {
+            return interaction.reply({ content: `Schedule \`${id}\` not found.`, flags: 64 });
+        }
+        if (schedule.ownerId !== interaction.user.id) {
+            return interaction.reply({ content: `Schedule \`${id}\` was created by someone else and can only be removed by them.`, flags: 64 });
+        }
+
+        await removeSchedule(id);
+        return interaction.reply({ content: `Removed schedule \`${id}\`.`, flags: 64 });
+    }
+
+    const accountName = interaction.options.getString('account');
+    const everyHours = interaction.options.getInteger('every_hours');
+    const cron = interaction.options.getString('cron');
+    const channel = interaction.options.getChannel('channel');
+
+    if (Boolean(everyHours) === Boolean(cron)) {
+        return interaction.reply({ content: 'Give either `every_hours` or `cron`.', flags: 64 });
+    }
+    if (cron) {
+        try {
+            parseCron(cron);
+        } catch (error) {
+            return interaction.reply({ content: `Error: ${error.message}`, flags: 64 });
+        }
+    }
+
+    const state = await loadState();
+    if (!state.accounts[accountName]) {
+        return interaction.reply({ content: `Error: Account "${accountName}" not found. Add it with \`/routefinder account_add\`.`, flags: 64 });
+    }
+    const accountError = getAccountError(accountName, state.accounts[accountName]);
+    if (accountError) {
+        return interaction.reply({ content: `Error: ${accountError}`, flags: 64 });
+    }
+    const runOptions = readRunOptions(interaction);
+    const optionsError = validateCostProfile(state, runOptions) || validatePriceOptions(runOptions);
+    if (optionsError) {
+        return interaction.reply({ content: optionsError, flags: 64 });
+    }
+
+    try {
+        const schedule = await addSchedule({
+            type: ANALYSIS_JOB_TYPE,
+            ownerId: interaction.user.id,
+            workspaceKey: getWorkspaceKey(interaction.user.id, interaction.guildId),
+            channelId: channel ? channel.id : interaction.channelId,
+            everyHours,
+            cron,
+            params: { accountName, ...runOptions },
+        });
+        return interaction.reply({
+            content: `Added schedule \`${schedule.id}\`. Each run analyzes your baselist and planelist as they are at that time.\n${formatScheduleLine(schedule)}`,
+            flags: 64,
+        });
+    } catch (error) {
+        return interaction.reply({ content: `Error: ${error.message}`, flags: 64 });
+    }
+}
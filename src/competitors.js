@@ -0,0 +1,75 @@
+// --- Competitor intelligence ---
+// Summarizes the other airlines' links on a route from a plan-link response (`otherLinks`),
+// and what share of the market we'd get by entering it.
+
+import { getPriceAttractiveness } from './pricing.js';
+
+/**
+ * Summarizes the competing links on a route, biggest weekly capacity first.
+ * Fields the game doesn't report for a link are null.
+ * @param {object} routeData - The plan-link response.
+ * @returns {Array<{airlineName: string, prices: object, capacity: object, frequency: number|null, quality: number|null, aircraft: string|null}>}
+ */
+export function summarizeCompetitors(routeData) {
+    const totalCapacity = (competitor) => Object.values(competitor.capacity).reduce((sum, seats) => sum + seats, 0);
+
+    return (routeData.otherLinks || [])
+        .map(link => ({
+            airlineName: link.airlineName || (link.airlineId ? `Airline ${link.airlineId}` : 'Unknown airline'),
+            prices: { economy: 0, business: 0, first: 0, ...link.price },
+            capacity: { economy: 0, business: 0, first: 0, ...link.capacity },
+            frequency: link.frequency ?? null,
+            quality: link.computedQuality ?? link.quality ?? null,
+            aircraft: link.modelName || link.airplaneModelName || null,
+        }))
+        .sort((a, b) => totalCapacity(b) - totalCapacity(a));
+}
+
+/**
+ * Returns the weekly seats competitors fly in a class, from a plan-link response.
+ */
+export function getCompetitorCapacity(routeData, linkClass) {
+    return (routeData.otherLinks || []).reduce((sum, link) => sum + ((link.capacity && link.capacity[linkClass]) || 0), 0);
+}
+
+/**
+ * Works out our share of a class's passengers among all links on the route. They split in proportion to capacity,
+ * with ours weighted by how attractive our fare is next to the standard fare (see pricing.js).
+ * @param {number} ourCapacity - Our weekly seats in the class.
+ * @param {number} competitorCapacity - The competitors' weekly seats in the class, see getCompetitorCapacity().
+ * @param {number} [price] - Our fare (default: the standard fare).
+ * @param {number} [standardPrice] - The lowest competitor fare, else the suggested price.
+ * @returns {number} 0-1.
+ */
+export function getPassengerShare(ourCapacity, competitorCapacity, price = null, standardPrice = null) {
+    const ourWeight = ourCapacity * getPriceAttractiveness(price, standardPrice);
+    return ourWeight > 0 ? ourWeight / (ourWeight + competitorCapacity) : 0;
+}
+
+/**
+ * Works out our implied market share per class if we flew the route with the given schedule and fares.
+ * @param {object} routeData - The plan-link response.
+ * @param {object} schedule - {seats, soldSeats, frequency}: our seats and expected sold seats per flight in each class,
+ *   and our flights per week.
+ * @param {object} [prices] - Our fare per class (default: the standard fares).
+ * @param {object} [standardPrices] - The standard fare per class.
+ * @returns {object} Per class: {capacityShare, passengerShare}, each 0-1. capacityShare is our share of the seats on
+ *   the route, weighted by our fare; passengerShare is null without demand data.
+ */
+export function estimateMarketShare(routeData, { seats, soldSeats, frequency }, prices = null, standardPrices = null) {
+    const { directDemand } = routeData;
+    const marketShare = {};
+    for (const linkClass of Object.keys(seats)) {
+        const demand = directDemand ? directDemand[linkClass] || 0 : null;
+        marketShare[linkClass] = {
+            capacityShare: getPassengerShare(
+                seats[linkClass] * frequency,
+                getCompetitorCapacity(routeData, linkClass),
+                prices && prices[linkClass],
+                standardPrices && standardPrices[linkClass]
+            ),
+            passengerShare: demand ? Math.min(1, soldSeats[linkClass] * frequency / demand) : null,
+        };
+    }
+    return marketShare;
+}
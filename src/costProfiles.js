@@ -0,0 +1,135 @@
+// --- Cost profiles ---
+// The constants of the cost model (see the cost functions in airlineClient.js), as named profiles that admins can
+// edit from Discord when the game changes a formula. A profile stores only the values it overrides; everything
+// else falls back to DEFAULT_COST_PROFILE, so corrections to the constants in code reach every profile.
+// Overrides stored for the `default` profile only apply to it; other profiles don't inherit them.
+
+export const DEFAULT_COST_PROFILE_NAME = 'default';
+
+// Calibrated against in-game numbers; see AIRPLANE_COST_CALCULATIONS.md for the formulas
+export const DEFAULT_COST_PROFILE = Object.freeze({
+    fuelUnitCost: 0.0043,
+    // Fuel burns faster while climbing: the first 180 km at 32x, the next 250 km at 13x, the next 1000 km at 2x
+    maxAscendDistance1: 180,
+    maxAscendDistance2: 250,
+    maxAscendDistance3: 1000,
+    ascendFuelBurnMultiplier1: 32,
+    ascendFuelBurnMultiplier2: 13,
+    ascendFuelBurnMultiplier3: 2,
+    crewUnitCost: 12,
+    baseInflightCost: 20,
+    // Game screenshots show 100 per seat, not the 150 of the formula docs
+    maintenancePerSeat: 100,
+    // Hours one airframe can fly per week, turnarounds included. Busier schedules need more airframes,
+    // each with its own depreciation and maintenance
+    airframeWeeklyHours: 112,
+    // Link quality used for service supplies; 20 (one star) matches the game's service costs
+    serviceQuality: 20,
+    // Airport fee discounts at our own bases. Slot fees: HQ 50% off, other bases 20% off.
+    // Landing fees: 2% off per base level, up to 20% off.
+    hqSlotFeeMultiplier: 0.5,
+    baseSlotFeeMultiplier: 0.8,
+    landingFeeDiscountPerBaseLevel: 0.02,
+    maxLandingFeeDiscount: 0.2,
+    // Slot fee multiplier per airplane type, from "Airport Fees (AFPF)"
+    airplaneTypeMultipliers: Object.freeze({
+        LIGHT: 1,
+        SMALL: 1,
+        REGIONAL: 3,
+        MEDIUM: 8,
+        LARGE: 12,
+        X_LARGE: 15,
+        JUMBO: 18,
+        SUPERSONIC: 12,
+    }),
+});
+
+/**
+ * The parameters a profile can override. Keys with a dot set one entry of a map, e.g. "airplaneTypeMultipliers.MEDIUM".
+ */
+export const COST_PARAMETERS = [
+    { key: 'fuelUnitCost', label: 'Fuel cost per unit', min: 0 },
+    { key: 'maxAscendDistance1', label: 'Climb stage 1 distance (km)', min: 0 },
+    { key: 'maxAscendDistance2', label: 'Climb stage 2 distance (km)', min: 0 },
+    { key: 'maxAscendDistance3', label: 'Climb stage 3 distance (km)', min: 0 },
+    { key: 'ascendFuelBurnMultiplier1', label: 'Climb stage 1 fuel burn multiplier', min: 0 },
+    { key: 'ascendFuelBurnMultiplier2', label: 'Climb stage 2 fuel burn multiplier', min: 0 },
+    { key: 'ascendFuelBurnMultiplier3', label: 'Climb stage 3 fuel burn multiplier', min: 0 },
+    { key: 'crewUnitCost', label: 'Crew cost per seat-hour', min: 0 },
+    { key: 'baseInflightCost', label: 'Service supplies per passenger', min: 0 },
+    { key: 'maintenancePerSeat', label: 'Maintenance per seat', min: 0 },
+    { key: 'airframeWeeklyHours', label: 'Flight hours per airframe per week', min: 1, max: 168 },
+    { key: 'serviceQuality', label: 'Service quality (0-100)', min: 0, max: 100 },
+    { key: 'hqSlotFeeMultiplier', label: 'Slot fee multiplier at the HQ', min: 0, max: 1 },
+    { key: 'baseSlotFeeMultiplier', label: 'Slot fee multiplier at other bases', min: 0, max: 1 },
+    { key: 'landingFeeDiscountPerBaseLevel', label: 'Landing fee discount per base level', min: 0, max: 1 },
+    { key: 'maxLandingFeeDiscount', label: 'Max landing fee discount', min: 0, max: 1 },
+    ...Object.keys(DEFAULT_COST_PROFILE.airplaneTypeMultipliers).map(type => ({
+        key: `airplaneTypeMultipliers.${type}`,
+        label: `Slot fee multiplier for ${type}`,
+        min: 0,
+    })),
+];
+
+/**
+ * Finds a cost parameter by key.
+ * @returns {object|null} The parameter, or null if there is none.
+ */
+export function getCostParameter(key) {
+    return COST_PARAMETERS.find(parameter => parameter.key === key) || null;
+}
+
+/**
+ * Reads a parameter's value from a resolved profile.
+ */
+export function getCostParameterValue(profile, key) {
+    const [field, entry] = key.split('.');
+    return entry ? profile[field][entry] : profile[field];
+}
+
+/**
+ * Normalizes a profile name to how it's stored: lowercase, trimmed.
+ * @returns {string|null} The name, or null if it isn't 1-32 letters, digits, dashes or underscores.
+ */
+export function normalizeCostProfileName(name) {
+    const normalized = name.trim().toLowerCase();
+    return /^[a-z0-9_-]{1,32}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Lists the names of the cost profiles, the built-in default first.
+ */
+export function listCostProfileNames(state) {
+    const names = Object.keys(state.costProfiles || {}).filter(name => name !== DEFAULT_COST_PROFILE_NAME).sort();
+    return [DEFAULT_COST_PROFILE_NAME, ...names];
+}
+
+/**
+ * Returns the profile used when a run doesn't name one.
+ */
+export function getActiveCostProfileName(state) {
+    return state.activeCostProfile || DEFAULT_COST_PROFILE_NAME;
+}
+
+/**
+ * Resolves a profile to the full set of cost constants: its overrides on top of DEFAULT_COST_PROFILE.
+ * @param {object} state - The loaded bot state.
+ * @param {string|null} [name] - The profile name (default: the active profile).
+ * @returns {object} The cost constants, with `name` set to the profile's name.
+ * @throws {Error} If there is no profile with that name.
+ */
+export function resolveCostProfile(state, name = null) {
+    const profileName = name || getActiveCostProfileName(state);
+    const overrides = (state.costProfiles || {})[profileName];
+    if (!overrides && profileName !== DEFAULT_COST_PROFILE_NAME) {
+        throw new Error(`Cost profile "${profileName}" not found.`);
+    }
+
+    const profile = { ...DEFAULT_COST_PROFILE, airplaneTypeMultipliers: { ...DEFAULT_COST_PROFILE.airplaneTypeMultipliers }, name: profileName };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const [field, entry] = key.split('.');
+        if (entry) profile[field][entry] = value;
+        else profile[field] = value;
+    }
+    return profile;
+}
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+/**
+ * Derives the 256-bit encryption key from STATE_ENCRYPTION_KEY in .env.
+ * @returns {Buffer|null} The key, or null if no key is configured.
+ */
+function getEncryptionKey() {
+    const secret = process.env.STATE_ENCRYPTION_KEY;
+    if (!secret) {
+        return null;
+    }
+    return crypto.createHash('sha256').update(secret, 'utf8').digest();
+}
+
+/**
+ * Checks whether an encryption key is configured.
+ */
+export function isEncryptionConfigured() {
+    return getEncryptionKey() !== null;
+}
+
+/**
+ * Checks whether a stored value is an encrypted secret.
+ */
+export function isEncryptedSecret(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a secret for storage in bot_state.json.
+ * @param {string} plaintext - The secret to encrypt.
+ * @returns {string} The encrypted secret as "enc:v1:<iv>:<tag>:<data>".
+ */
+export function encryptSecret(plaintext) {
+    const key = getEncryptionKey();
+    if (!key) {
+        throw new Error('STATE_ENCRYPTION_KEY is not set in .env.');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return PREFIX + [iv, tag, data].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypts a secret produced by encryptSecret().
+ * @param {string} value - The stored secret.
+ * @returns {string} The plaintext secret.
+ */
+export function decryptSecret(value) {
+    const key = getEncryptionKey();
+    if (!key) {
+        throw new Error('STATE_ENCRYPTION_KEY is not set in .env.');
+    }
+
+    const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
@@ -2,6 +2,8 @@ import { REST } from '@discordjs/rest';
 import { Routes } from 'discord-api-types/v10';
 import 'dotenv/config';
 import { data as routefinderData } from './commands/routefinder.js';
+import { data as routeplanData } from './commands/routeplan.js';
+import { data as routeadminData } from './commands/routeadmin.js';
 
 const token = process.env.DISCORD_BOT_TOKEN;
 const clientId = process.env.DISCORD_CLIENT_ID;
@@ -11,19 +13,19 @@ if (!token || !clientId) {
     process.exit(1);
 }
 
-const commands = [routefinderData.toJSON()];
+const commands = [routefinderData.toJSON(), routeplanData.toJSON(), routeadminData.toJSON()];
 const rest = new REST({ version: '10' }).setToken(token);
 
 (async () => {
     try {
-        console.log(`Started refreshing 1 application (/) command: /routefinder`);
+        console.log(`Started refreshing ${commands.length} application (/) commands: ${commands.map(command => `/${command.name}`).join(', ')}`);
 
         await rest.put(
             Routes.applicationCommands(clientId),
             { body: commands },
         );
 
-        console.log(`Successfully reloaded /routefinder command.`);
+        console.log(`Successfully reloaded ${commands.length} commands.`);
     } catch (error) {
         console.error(error);
     }
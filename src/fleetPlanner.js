@@ -0,0 +1,127 @@
+// --- Fleet allocation ---
+// Assigns the airframes we own to bases and routes across the whole network, instead of letting every route
+// pick its best plane as if planes were unlimited. Airframes are handed out one at a time to the base and
+// model where the next one earns the most; each airframe's week is packed like a rotation (see rotationPlanner.js).
+// A route is flown by one model only, so two models never split the same demand.
+
+import {
+    buildLegCandidates,
+    packRotation,
+    estimateWeeklyBudgetMinutes,
+    getOwnershipCosts,
+} from './rotationPlanner.js';
+import { DEFAULT_TURNAROUND_MINUTES } from './flightTime.js';
+
+/**
+ * Collects the legs each model can fly from each base, from routes analyzed with `includeAlternatives`.
+ * @returns {Map<number, Map<string, Array<object>>>} Legs per model ID, then per base IATA.
+ */
+function collectLegs(routesByBase) {
+    const legsByModel = new Map();
+    for (const [baseIata, routes] of routesByBase.entries()) {
+        for (const route of routes) {
+            for (const alternative of route.alternatives || []) {
+                if (!legsByModel.has(alternative.modelId)) legsByModel.set(alternative.modelId, new Map());
+                const legsByBase = legsByModel.get(alternative.modelId);
+                if (!legsByBase.has(baseIata)) legsByBase.set(baseIata, []);
+                legsByBase.get(baseIata).push({ ...alternative, baseIata, toIata: route.toIata, toCity: route.toCity });
+            }
+        }
+    }
+    return legsByModel;
+}
+
+/**
+ * Plans which bases and routes the owned airframes of each model should fly.
+ * Owned airframes are assigned while they earn anything over their flight costs: what they cost to own is
+ * paid whether they fly or not. The value of buying one more airframe does include its ownership costs.
+ * @param {Map<string, Array<object>>} routesByBase - Scored routes per base IATA, analyzed with `includeAlternatives`.
+ * @param {Array<{modelId: number, modelName: string, owned: number, turnaroundMinutes?: number, price?: number}>} models -
+ *   The models to plan, with how many airframes of each are owned.
+ * @param {object} [options]
+ * @param {number} [options.budgetMinutes] - Weekly flight minutes per airframe (default: estimated per model).
+ * @returns {{models: Array<object>, totalProfit: number}} Per model: {modelId, modelName, owned, price, budgetMinutes,
+ *   assignments: [{baseIata, rotation}], unused, profit, nextAirframe: {baseIata, rotation}|null}.
+ */
+export function planFleet(routesByBase, models, options = {}) {
+    const legsByModel = collectLegs(routesByBase);
+    // Route key ("IST-LHR") -> model ID flying it
+    const claimedRoutes = new Map();
+    const routeKey = (leg) => `${leg.baseIata}-${leg.toIata}`;
+
+    const plans = models.map(model => {
+        const legsByBase = legsByModel.get(model.modelId) || new Map();
+        const allLegs = [...legsByBase.values()].flat();
+        const turnaroundMinutes = model.turnaroundMinutes ?? DEFAULT_TURNAROUND_MINUTES;
+        const budgetMinutes = options.budgetMinutes || estimateWeeklyBudgetMinutes(allLegs, turnaroundMinutes);
+        const candidatesByBase = new Map([...legsByBase.entries()].map(([baseIata, legs]) =>
+            [baseIata, buildLegCandidates(legs, budgetMinutes, turnaroundMinutes)]));
+        return {
+            ...model,
+            budgetMinutes,
+            ownershipCosts: allLegs.length > 0 ? getOwnershipCosts(allLegs[0]) : 0,
+            candidatesByBase,
+            assignments: [],
+        };
+    });
+
+    // The candidates a model may still fly from a base: routes nobody else has claimed
+    const openCandidates = (plan, baseIata) => (plan.candidatesByBase.get(baseIata) || [])
+        .filter(candidate => candidate.available > 0 && [undefined, plan.modelId].includes(claimedRoutes.get(routeKey(candidate.route))));
+
+    // What the next airframe of a model would earn at each base; only the base that just changed is repacked
+    const nextAirframeOptions = new Map();
+    const evaluate = (plan, baseIata) => {
+        const rotation = packRotation(openCandidates(plan, baseIata), plan.budgetMinutes, plan.ownershipCosts, false);
+        nextAirframeOptions.set(`${plan.modelId}:${baseIata}`, { plan, baseIata, rotation });
+    };
+    for (const plan of plans) {
+        for (const baseIata of plan.candidatesByBase.keys()) evaluate(plan, baseIata);
+    }
+
+    for (;;) {
+        let best = null;
+        for (const option of nextAirframeOptions.values()) {
+            if (option.plan.assignments.length >= option.plan.owned) continue;
+            if (option.rotation.contribution > 0 && (!best || option.rotation.contribution > best.rotation.contribution)) {
+                best = option;
+            }
+        }
+        if (!best) break;
+
+        const { plan, baseIata } = best;
+        const rotation = packRotation(openCandidates(plan, baseIata), plan.budgetMinutes, plan.ownershipCosts);
+        for (const leg of rotation.legs) {
+            claimedRoutes.set(routeKey(leg.route), plan.modelId);
+        }
+        plan.assignments.push({ baseIata, rotation });
+        for (const other of plans) {
+            if (other.candidatesByBase.has(baseIata)) evaluate(other, baseIata);
+        }
+    }
+
+    const results = plans.map(plan => {
+        // Buying one more: the best base for an extra airframe, with what it costs to own
+        const nextAirframe = [...plan.candidatesByBase.keys()]
+            .map(baseIata => nextAirframeOptions.get(`${plan.modelId}:${baseIata}`))
+            .filter(option => option.rotation.legs.length > 0)
+            .sort((a, b) => b.rotation.profit - a.rotation.profit)[0] || null;
+
+        return {
+            modelId: plan.modelId,
+            modelName: plan.modelName,
+            owned: plan.owned,
+            price: plan.price ?? null,
+            budgetMinutes: plan.budgetMinutes,
+            assignments: plan.assignments,
+            unused: plan.owned - plan.assignments.length,
+            profit: plan.assignments.reduce((sum, { rotation }) => sum + rotation.profit, 0),
+            nextAirframe: nextAirframe ? { baseIata: nextAirframe.baseIata, rotation: nextAirframe.rotation } : null,
+        };
+    });
+
+    return {
+        models: results,
+        totalProfit: results.reduce((sum, model) => sum + model.profit, 0),
+    };
+}
@@ -0,0 +1,29 @@
+// --- Airframe flight time ---
+// How much of an airframe's week a route takes. The analysis uses it to count the airframes a schedule needs,
+// the rotation planner to pack legs into an airframe's week.
+
+// Ground time at each end of a leg, when the model doesn't report its turnaround time
+export const DEFAULT_TURNAROUND_MINUTES = 45;
+export const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+/**
+ * Returns the minutes one weekly frequency of a route takes: out and back, with a turnaround at each end.
+ * @param {number} durationMinutes - The one-way flight time.
+ * @param {number} [turnaroundMinutes] - Ground time at each end (default: DEFAULT_TURNAROUND_MINUTES).
+ */
+export function getRoundTripMinutes(durationMinutes, turnaroundMinutes = DEFAULT_TURNAROUND_MINUTES) {
+    return 2 * (durationMinutes + turnaroundMinutes);
+}
+
+/**
+ * Counts the airframes needed to fly a route at a weekly frequency.
+ * @param {number} frequency - Round trips per week.
+ * @param {number} durationMinutes - The one-way flight time.
+ * @param {number|undefined} turnaroundMinutes - The model's turnaround time (default: DEFAULT_TURNAROUND_MINUTES).
+ * @param {number} weeklyMinutes - The minutes one airframe can fly per week, turnarounds included.
+ * @returns {number} At least 1.
+ */
+export function countAirframes(frequency, durationMinutes, turnaroundMinutes, weeklyMinutes) {
+    const minutesNeeded = frequency * getRoundTripMinutes(durationMinutes, turnaroundMinutes ?? DEFAULT_TURNAROUND_MINUTES);
+    return Math.max(1, Math.ceil(minutesNeeded / weeklyMinutes));
+}
@@ -3,6 +3,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { Client, GatewayIntentBits, Collection } from 'discord.js';
 import 'dotenv/config';
+import { initJobQueue } from './jobQueue.js';
+import { initCatalogue } from './catalogue.js';
+import { initScheduler } from './scheduler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,36 +24,89 @@ const client = new Client({
 client.commands = new Collection();
 const commandsPath = path.join(__dirname, 'commands');
 
-// Import the main routefinder command
-try {
-    const routefinderCommand = await import(path.join(commandsPath, 'routefinder.js'));
-    if ('data' in routefinderCommand && 'execute' in routefinderCommand) {
-        client.commands.set(routefinderCommand.data.name, routefinderCommand);
-    } else {
-        console.error('Error loading routefinder command: "data" or "execute" missing.');
+// Import the commands: /routefinder, /routeplan and /routeadmin
+for (const file of ['routefinder.js', 'routeplan.js', 'routeadmin.js']) {
+    try {
+        const command = await import(path.join(commandsPath, file));
+        if ('data' in command && 'execute' in command) {
+            client.commands.set(command.data.name, command);
+        } else {
+            console.error(`Error loading ${file}: "data" or "execute" missing.`);
+        }
+    } catch (error) {
+        console.error(`Failed to import ${file}:`, error);
+        process.exit(1);
     }
-} catch (error) {
-    console.error('Failed to import routefinder.js:', error);
-    process.exit(1);
 }
 
-client.once('ready', c => {
+client.once('ready', async c => {
     console.log(`[INFO] Ready! Logged in as ${c.user.tag}`);
+
+    // Resume any runs that were queued or in progress when the bot last stopped
+    try {
+        await initJobQueue(c);
+    } catch (error) {
+        console.error('Failed to start the job queue:', error);
+    }
+
+    // Start scheduled runs, including any that came due while the bot was offline
+    try {
+        await initScheduler(c);
+    } catch (error) {
+        console.error('Failed to start the scheduler:', error);
+    }
+
+    // Load airports and airplane models for autocomplete
+    try {
+        await initCatalogue();
+    } catch (error) {
+        console.error('Failed to load the airport and airplane model catalogue:', error);
+    }
 });
 
 client.on('interactionCreate', async interaction => {
-    if (!interaction.isChatInputCommand()) return;
+    if (interaction.isAutocomplete()) {
+        const command = client.commands.get(interaction.commandName);
+        if (!command || !command.autocomplete) return;
+        try {
+            await command.autocomplete(interaction);
+        } catch (error) {
+            // Autocomplete can't show an error message; the user just sees no suggestions
+            console.error(`Error in autocomplete for /${interaction.commandName}:`, error);
+        }
+        return;
+    }
+
+    let command;
+    let handle;
 
-    console.log(`[INFO] Received command: /${interaction.commandName} from ${interaction.user.tag}`);
+    if (interaction.isChatInputCommand()) {
+        console.log(`[INFO] Received command: /${interaction.commandName} from ${interaction.user.tag}`);
+        command = client.commands.get(interaction.commandName);
+        handle = command && command.execute;
+    } else if (interaction.isModalSubmit()) {
+        // Modal custom IDs are prefixed with the owning command's name, e.g. "routefinder:account_add"
+        const commandName = interaction.customId.split(':')[0];
+        console.log(`[INFO] Received modal: ${interaction.customId} from ${interaction.user.tag}`);
+        command = client.commands.get(commandName);
+        handle = command && command.handleModalSubmit;
+    } else if (interaction.isMessageComponent()) {
+        // Buttons and select menus use the same "<command>:..." custom ID prefix as modals
+        const commandName = interaction.customId.split(':')[0];
+        console.log(`[INFO] Received component: ${interaction.customId} from ${interaction.user.tag}`);
+        command = client.commands.get(commandName);
+        handle = command && command.handleComponent;
+    } else {
+        return;
+    }
 
-    const command = client.commands.get(interaction.commandName);
-    if (!command) {
-        console.error(`No command matching ${interaction.commandName} was found.`);
+    if (!handle) {
+        console.error(`No handler for interaction ${interaction.commandName || interaction.customId} was found.`);
         return;
     }
 
     try {
-        await command.execute(interaction);
+        await handle(interaction);
     } catch (error) {
         console.error(error);
         try {
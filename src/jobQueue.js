@@ -0,0 +1,359 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getDataDir, writeJsonAtomic } from './stateStore.js';
+
+// Jobs run one at a time, so two runs never hit the game API at once
+const jobs = new Map();
+const runners = {};
+const pendingWrites = new Map();
+
+let discordClient = null;
+let activeJob = null;
+let activeController = null;
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+const DEFAULT_MAX_FINISHED_JOBS = 50;
+
+/**
+ * Directory holding one JSON file per job.
+ */
+function getJobsDir() {
+    return path.join(getDataDir(), 'jobs');
+}
+
+/**
+ * Returns how many finished jobs are kept, from JOBS_MAX_FINISHED in .env.
+ */
+function getMaxFinishedJobs() {
+    const maxJobs = parseInt(process.env.JOBS_MAX_FINISHED, 10);
+    return maxJobs > 0 ? maxJobs : DEFAULT_MAX_FINISHED_JOBS;
+}
+
+/**
+ * Checks whether a job is done for good: completed, failed or cancelled.
+ */
+function isFinished(job) {
+    return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED;
+}
+
+/**
+ * Persists a job to disk. Writes for the same job are chained so they never overlap.
+ */
+function saveJob(job) {
+    const filePath = path.join(getJobsDir(), `${job.id}.json`);
+    const previous = pendingWrites.get(job.id) || Promise.resolve();
+    const write = previous
+        .then(() => writeJsonAtomic(filePath, job))
+        .catch(error => console.error(`[JOBS] Failed to save job ${job.id}:`, error.message));
+    pendingWrites.set(job.id, write);
+    return write;
+}
+
+/**
+ * Directory holding a job's journal files, next to its JSON file.
+ */
+function getJournalDir(jobId) {
+    return path.join(getJobsDir(), jobId);
+}
+
+/**
+ * Creates a job's journal: named JSON Lines files that a runner appends bulky records to,
+ * so the job file only has to hold a compact checkpoint. Appends are chained so they never overlap.
+ */
+function createJournal(job) {
+    let pendingAppend = Promise.resolve();
+    const getFilePath = (name) => path.join(getJournalDir(job.id), `${name}.jsonl`);
+
+    return {
+        /**
+         * Appends records to a journal file.
+         * @param {string} name - The file name, without extension.
+         * @param {object[]} records - The records to append.
+         */
+        append(name, records) {
+            const write = async () => {
+                await fs.mkdir(getJournalDir(job.id), { recursive: true });
+                // Each record starts a new line, so one cut off by a crash can't swallow the next
+                await fs.appendFile(getFilePath(name), records.map(record => `\n${JSON.stringify(record)}`).join(''), 'utf8');
+            };
+            pendingAppend = pendingAppend.catch(() => {}).then(write);
+            return pendingAppend;
+        },
+
+        /**
+         * Reads the records of a journal file, oldest first. A line cut off by a crash is skipped.
+         * @param {string} name - The file name, without extension.
+         * @returns {Promise<object[]>} The records, or an empty array if the file doesn't exist.
+         */
+        async read(name) {
+            let text;
+            try {
+                text = await fs.readFile(getFilePath(name), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            const records = [];
+            for (const line of text.split('\n').filter(Boolean)) {
+                try {
+                    records.push(JSON.parse(line));
+                } catch (error) {
+                    console.warn(`[JOBS] Skipping an unreadable record in the ${name} journal of job ${job.id}: ${error.message}`);
+                }
+            }
+            return records;
+        },
+    };
+}
+
+/**
+ * Deletes a job's journal. Only a running job reads it, so it goes once the job has finished.
+ */
+async function removeJournal(jobId) {
+    try {
+        await fs.rm(getJournalDir(jobId), { recursive: true, force: true });
+    } catch (error) {
+        console.error(`[JOBS] Failed to delete the journal of job ${jobId}:`, error.message);
+    }
+}
+
+/**
+ * Forgets the oldest finished jobs beyond JOBS_MAX_FINISHED and deletes their files.
+ * Their results stay in the run history, which has its own limit.
+ */
+async function pruneFinishedJobs() {
+    const finished = listJobs()
+        .filter(isFinished)
+        .sort((a, b) => (b.finishedAt || b.createdAt) - (a.finishedAt || a.createdAt));
+
+    for (const job of finished.slice(getMaxFinishedJobs())) {
+        jobs.delete(job.id);
+        // Let a pending write land first, so it can't recreate the file
+        await pendingWrites.get(job.id);
+        pendingWrites.delete(job.id);
+        try {
+            await fs.rm(path.join(getJobsDir(), `${job.id}.json`), { force: true });
+        } catch (error) {
+            console.error(`[JOBS] Failed to delete job ${job.id}:`, error.message);
+        }
+        await removeJournal(job.id);
+    }
+}
+
+/**
+ * Resolves the Discord channel a job posts to, or null if it is gone.
+ */
+async function getJobChannel(job) {
+    if (!discordClient || !job.channelId) return null;
+    try {
+        return await discordClient.channels.fetch(job.channelId);
+    } catch (error) {
+        console.warn(`[JOBS] Could not fetch channel ${job.channelId} for job ${job.id}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Registers the function that executes jobs of a given type.
+ * The runner is called as runner(job, context) where context has:
+ * - signal: AbortSignal that fires when the job is cancelled
+ * - send(message): posts to the job's channel, never throws
+ * - reportProgress(message): records the job's latest progress and persists it
+ * - saveCheckpoint(): persists job.checkpoint after the runner has updated it
+ * - journal: append(name, records) and read(name), for records too bulky for the checkpoint.
+ *   Kept until the job finishes, so a resumed job reads what it appended before the restart.
+ * @param {string} type - The job type.
+ * @param {function(object, object): Promise} runner - The job runner.
+ */
+export function registerJobRunner(type, runner) {
+    runners[type] = runner;
+}
+
+/**
+ * Loads persisted jobs and starts processing the queue.
+ * Jobs that were running when the bot stopped are queued again and resume from their checkpoint.
+ * @param {import('discord.js').Client} client - The logged-in Discord client.
+ */
+export async function initJobQueue(client) {
+    discordClient = client;
+
+    let files = [];
+    try {
+        files = await fs.readdir(getJobsDir());
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        try {
+            const job = JSON.parse(await fs.readFile(path.join(getJobsDir(), file), 'utf8'));
+            if (job.status === JOB_STATUS.RUNNING) {
+                job.status = JOB_STATUS.QUEUED;
+                job.resumed = true;
+                await saveJob(job);
+            }
+            jobs.set(job.id, job);
+        } catch (error) {
+            console.warn(`[JOBS] Ignoring unreadable job file ${file}: ${error.message}`);
+        }
+    }
+
+    await pruneFinishedJobs();
+    const queued = listJobs().filter(job => job.status === JOB_STATUS.QUEUED);
+    console.log(`[JOBS] Loaded ${jobs.size} job(s), ${queued.length} queued.`);
+    processQueue();
+}
+
+/**
+ * Adds a job to the queue.
+ * @param {object} fields
+ * @param {string} fields.type - The job type, see registerJobRunner().
+ * @param {string} fields.ownerId - Discord user ID of whoever started the job.
+ * @param {string} fields.channelId - Discord channel to post progress and results to.
+ * @param {object} fields.params - Runner-specific parameters.
+ * @returns {Promise<object>} The queued job.
+ */
+export async function enqueueJob({ type, ownerId, channelId, params }) {
+    const job = {
+        id: crypto.randomBytes(4).toString('hex'),
+        type,
+        status: JOB_STATUS.QUEUED,
+        ownerId,
+        channelId,
+        params,
+        checkpoint: {},
+        progress: null,
+        error: null,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+    };
+
+    jobs.set(job.id, job);
+    await saveJob(job);
+    console.log(`[JOBS] Queued ${type} job ${job.id}.`);
+    processQueue();
+    return job;
+}
+
+/**
+ * Returns a job by ID, or null.
+ */
+export function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Returns all jobs, oldest first.
+ */
+export function listJobs() {
+    return [...jobs.values()].sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Returns a job's 1-based position among queued jobs, or 0 if it isn't queued.
+ */
+export function getQueuePosition(id) {
+    const queued = listJobs().filter(job => job.status === JOB_STATUS.QUEUED);
+    return queued.findIndex(job => job.id === id) + 1;
+}
+
+/**
+ * Cancels a queued or running job.
+ * @returns {Promise<boolean>} False if the job doesn't exist or has already finished.
+ */
+export async function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return false;
+
+    if (job.status === JOB_STATUS.QUEUED) {
+        job.status = JOB_STATUS.CANCELLED;
+        job.finishedAt = Date.now();
+        await saveJob(job);
+        await pruneFinishedJobs();
+        return true;
+    }
+
+    if (job.status === JOB_STATUS.RUNNING && activeJob === job) {
+        // The runner notices the aborted signal and stops; processQueue() records the final status
+        activeController.abort();
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Runs the next queued job, if nothing is running.
+ */
+async function processQueue() {
+    if (activeJob || !discordClient) return;
+
+    const job = listJobs().find(j => j.status === JOB_STATUS.QUEUED);
+    if (!job) return;
+
+    activeJob = job;
+    activeController = new AbortController();
+
+    const channel = await getJobChannel(job);
+    const send = async (message) => {
+        if (!channel) return;
+        try {
+            await channel.send(message);
+        } catch (error) {
+            console.warn(`[WARN] Failed to post update for job ${job.id}: ${error.message}`);
+        }
+    };
+
+    const context = {
+        signal: activeController.signal,
+        send,
+        reportProgress: async (message) => {
+            job.progress = message;
+            await saveJob(job);
+        },
+        saveCheckpoint: () => saveJob(job),
+        journal: createJournal(job),
+    };
+
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = job.startedAt || Date.now();
+    await saveJob(job);
+    console.log(`[JOBS] ${job.resumed ? 'Resuming' : 'Starting'} ${job.type} job ${job.id}.`);
+
+    try {
+        const runner = runners[job.type];
+        if (!runner) {
+            throw new Error(`No runner registered for job type "${job.type}".`);
+        }
+        await runner(job, context);
+        job.status = JOB_STATUS.COMPLETED;
+    } catch (error) {
+        if (activeController.signal.aborted) {
+            job.status = JOB_STATUS.CANCELLED;
+            await send(`🛑 Run \`${job.id}\` was cancelled.`);
+        } else {
+            job.status = JOB_STATUS.FAILED;
+            job.error = error.message;
+            console.error(`[JOBS] Job ${job.id} failed:`, error);
+            await send(`Error during run \`${job.id}\`: ${error.message}`);
+        }
+    } finally {
+        job.finishedAt = Date.now();
+        await saveJob(job);
+        await removeJournal(job.id);
+        console.log(`[JOBS] Job ${job.id} finished with status: ${job.status}.`);
+        await pruneFinishedJobs();
+        activeJob = null;
+        activeController = null;
+        processQueue();
+    }
+}
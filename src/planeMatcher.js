@@ -0,0 +1,54 @@
+// --- Planelist matching ---
+// Planelist entries refer to airplane models either by exact model ID or by (partial) name.
+// Entries from planelist_sync always use the exact model ID and carry the owned count and average age.
+
+// Per-model overrides. Excluded models are never analyzed; planned ones are analyzed like owned ones
+export const PLANE_STATUS = {
+    ACTIVE: 'active',
+    EXCLUDED: 'excluded',
+    PLANNED: 'planned',
+};
+
+/**
+ * Checks whether a planelist entry has been excluded from analysis.
+ */
+export function isExcludedEntry(entry) {
+    return entry.status === PLANE_STATUS.EXCLUDED;
+}
+
+/**
+ * Checks whether a planelist entry refers to the given airplane model.
+ * Names match if the model's name contains the stored name, e.g. "a320" matches "Airbus A320neo".
+ */
+export function matchesPlanelistEntry(entry, modelId, modelName) {
+    if (entry.modelId) {
+        return entry.modelId === modelId;
+    }
+    if (entry.modelName && modelName) {
+        return modelName.trim().toLowerCase().includes(entry.modelName.trim().toLowerCase());
+    }
+    return false;
+}
+
+/**
+ * Finds the planelist entry for an airplane model. An exact ID match wins over a name match.
+ * @returns {object|null} The planelist entry, or null if the model isn't in the planelist.
+ */
+export function findPlanelistEntry(userPlaneList, modelId, modelName) {
+    return userPlaneList.find(entry => entry.modelId && entry.modelId === modelId)
+        || userPlaneList.find(entry => matchesPlanelistEntry(entry, modelId, modelName))
+        || null;
+}
+
+/**
+ * Finds the airplane models that the planelist refers to, leaving out excluded ones.
+ * @param {Array} userPlaneList - The planelist entries.
+ * @param {Map<number, object>} airplaneModelMap - Models from fetchAirplaneModels().
+ * @returns {Array<object>} The matching models.
+ */
+export function findPlanelistModels(userPlaneList, airplaneModelMap) {
+    return [...airplaneModelMap.values()].filter(model => {
+        const entry = findPlanelistEntry(userPlaneList, model.id, model.name);
+        return entry !== null && !isExcludedEntry(entry);
+    });
+}
@@ -0,0 +1,141 @@
+// --- Aircraft purchase recommendations ---
+// Ranks airplane models by what buying them would earn from our bases. Each model is valued on its own, as if
+// it were the only one we bought: airframes are added one at a time to the base where the next one earns the
+// most, packed like a rotation (see rotationPlanner.js), until another one would no longer pay for itself.
+
+import {
+    buildLegCandidates,
+    packRotation,
+    estimateWeeklyBudgetMinutes,
+    getOwnershipCosts,
+} from './rotationPlanner.js';
+import { DEFAULT_TURNAROUND_MINUTES } from './flightTime.js';
+import { findPlanelistEntry, isExcludedEntry } from './planeMatcher.js';
+
+// How many airframes of one model the profit potential counts at most
+export const MAX_RECOMMENDED_AIRFRAMES = 10;
+
+export const RECOMMENDATION_SORTS = {
+    PAYBACK: 'payback',
+    PROFIT: 'profit',
+};
+
+/**
+ * Checks whether a catalogue model passes the recommendation filters.
+ * @param {object} model - A model from the airplane model catalogue.
+ * @param {object} [filters]
+ * @param {string} [filters.manufacturer] - Part of the manufacturer's name, case-insensitive.
+ * @param {string} [filters.airplaneType] - The exact airplane type, e.g. "MEDIUM".
+ * @param {number} [filters.maxPrice] - The most one airframe may cost.
+ */
+export function matchesRecommendationFilters(model, filters = {}) {
+    if (filters.manufacturer && !(model.manufacturer || '').toLowerCase().includes(filters.manufacturer.trim().toLowerCase())) {
+        return false;
+    }
+    if (filters.airplaneType && model.airplaneType !== filters.airplaneType) {
+        return false;
+    }
+    if (filters.maxPrice && !(model.price <= filters.maxPrice)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Builds the planelist a recommendation analyzes: every catalogue model that passes the filters, with the cabin
+ * configuration of its planelist entry if it has one. Models excluded in the planelist stay excluded; the
+ * planelist may be empty.
+ * @param {Array<object>} models - The models of the airplane model catalogue.
+ * @param {Array<object>} planeList - The workspace's planelist.
+ * @param {object} [filters] - See matchesRecommendationFilters().
+ * @returns {Array<{modelId: number, modelName: string, cabinConfig: object|undefined}>} Planelist entries.
+ */
+export function buildRecommendationPlaneList(models, planeList, filters = {}) {
+    const entries = [];
+    for (const model of models) {
+        if (!matchesRecommendationFilters(model, filters)) continue;
+        const entry = findPlanelistEntry(planeList, model.id, model.name);
+        if (entry && isExcludedEntry(entry)) continue;
+        entries.push({ modelId: model.id, modelName: model.name, cabinConfig: entry ? entry.cabinConfig : undefined });
+    }
+    return entries;
+}
+
+/**
+ * Collects the legs of one model per base, from routes analyzed with `includeAlternatives`.
+ * @returns {Map<string, Array<object>>} Legs per base IATA.
+ */
+function collectModelLegs(routesByBase, modelId) {
+    const legsByBase = new Map();
+    for (const [baseIata, routes] of routesByBase.entries()) {
+        const legs = [];
+        for (const route of routes) {
+            const alternative = (route.alternatives || []).find(a => a.modelId === modelId);
+            if (alternative) legs.push({ ...alternative, baseIata, toIata: route.toIata, toCity: route.toCity });
+        }
+        if (legs.length > 0) legsByBase.set(baseIata, legs);
+    }
+    return legsByBase;
+}
+
+/**
+ * Ranks airplane models by their payback period or total profit potential from our bases.
+ * @param {Map<string, Array<object>>} routesByBase - Scored routes per base IATA, analyzed with `includeAlternatives`.
+ * @param {Array<{id: number, name: string, manufacturer?: string, airplaneType?: string, price?: number, turnaroundTime?: number}>} models -
+ *   The catalogue models to rank.
+ * @param {object} [options]
+ * @param {string} [options.sortBy] - A RECOMMENDATION_SORTS value (default: payback).
+ * @param {number} [options.maxAirframes] - Airframes counted per model at most (default: MAX_RECOMMENDED_AIRFRAMES).
+ * @param {number} [options.budgetMinutes] - Weekly flight minutes per airframe (default: estimated per model).
+ * @returns {Array<object>} Per model: {modelId, modelName, manufacturer, airplaneType, price, airframes: [{baseIata, rotation}],
+ *   firstAirframeProfit, paybackWeeks, profit}, best first. Models without a profitable airframe are left out.
+ */
+export function recommendPlanes(routesByBase, models, options = {}) {
+    const maxAirframes = options.maxAirframes || MAX_RECOMMENDED_AIRFRAMES;
+    const recommendations = [];
+
+    for (const model of models) {
+        const legsByBase = collectModelLegs(routesByBase, model.id);
+        const allLegs = [...legsByBase.values()].flat();
+        if (allLegs.length === 0) continue;
+
+        const turnaroundMinutes = model.turnaroundTime ?? DEFAULT_TURNAROUND_MINUTES;
+        const budgetMinutes = options.budgetMinutes || estimateWeeklyBudgetMinutes(allLegs, turnaroundMinutes);
+        const ownershipCosts = getOwnershipCosts(allLegs[0]);
+        const candidatesByBase = new Map([...legsByBase.entries()].map(([baseIata, legs]) =>
+            [baseIata, buildLegCandidates(legs, budgetMinutes, turnaroundMinutes)]));
+
+        // What the next airframe would earn at each base; only the base that just got one is repacked
+        const nextProfit = new Map();
+        const evaluate = (baseIata) => nextProfit.set(baseIata, packRotation(candidatesByBase.get(baseIata), budgetMinutes, ownershipCosts, false).profit);
+        for (const baseIata of candidatesByBase.keys()) evaluate(baseIata);
+
+        const airframes = [];
+        while (airframes.length < maxAirframes) {
+            const [baseIata, profit] = [...nextProfit.entries()].sort((a, b) => b[1] - a[1])[0];
+            if (profit <= 0) break;
+            airframes.push({ baseIata, rotation: packRotation(candidatesByBase.get(baseIata), budgetMinutes, ownershipCosts) });
+            evaluate(baseIata);
+        }
+        if (airframes.length === 0) continue;
+
+        const firstAirframeProfit = airframes[0].rotation.profit;
+        recommendations.push({
+            modelId: model.id,
+            modelName: model.name,
+            manufacturer: model.manufacturer || null,
+            airplaneType: model.airplaneType || null,
+            price: model.price || null,
+            airframes,
+            firstAirframeProfit,
+            paybackWeeks: model.price ? Math.ceil(model.price / firstAirframeProfit) : null,
+            profit: airframes.reduce((sum, { rotation }) => sum + rotation.profit, 0),
+        });
+    }
+
+    // Models without a known price can't be ranked by payback and go last
+    const compare = options.sortBy === RECOMMENDATION_SORTS.PROFIT
+        ? (a, b) => b.profit - a.profit
+        : (a, b) => (a.paybackWeeks ?? Infinity) - (b.paybackWeeks ?? Infinity) || b.profit - a.profit;
+    return recommendations.sort(compare);
+}
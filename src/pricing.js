@@ -0,0 +1,93 @@
+// --- Ticket price optimization ---
+// Instead of always matching the lowest competitor fare, sweep candidate fares per class and keep the ones
+// that score best. Sales at a given fare come from a simple demand model anchored at the standard fare
+// (the lowest competitor fare, else the suggested price), where it gives the same sales as without pricing:
+// - Demand grows when we undercut the standard fare and shrinks when we charge more.
+// - Our capacity wins a bigger share of the passengers the cheaper we are than the standard fare.
+
+// At a fare 10% above the standard fare, demand drops by 15%
+const DEMAND_ELASTICITY = 1.5;
+// Fares below the standard fare attract extra passengers, up to this multiple of the route's demand
+const MAX_DEMAND_MULTIPLIER = 1.3;
+// How strongly passengers prefer cheaper links: our capacity counts (standard fare / our fare) ^ this
+const PRICE_SENSITIVITY = 2;
+// Candidate fares, relative to the suggested price
+const MIN_PRICE_RATIO = 0.6;
+const MAX_PRICE_RATIO = 1.4;
+const PRICE_RATIO_STEP = 0.05;
+// Competitor fares are also tried exactly and slightly undercut
+const UNDERCUT_RATIO = 0.98;
+// Passes of the per-class search; fares of one class change the best fare of another through the frequency
+const SEARCH_PASSES = 2;
+
+/**
+ * Returns how much of a class's demand is left at our fare, as a multiple of the demand at the standard fare.
+ */
+export function getDemandMultiplier(price, standardPrice) {
+    if (!standardPrice || !price) return 1;
+    const multiplier = 1 - DEMAND_ELASTICITY * (price / standardPrice - 1);
+    return Math.min(MAX_DEMAND_MULTIPLIER, Math.max(0, multiplier));
+}
+
+/**
+ * Returns how attractive our fare is to passengers compared to the standard fare (1 at the standard fare).
+ */
+export function getPriceAttractiveness(price, standardPrice) {
+    if (!standardPrice || !price) return 1;
+    return (standardPrice / price) ** PRICE_SENSITIVITY;
+}
+
+/**
+ * Lists the fares worth trying for a class: a sweep around the suggested price plus each competitor fare,
+ * both matched and slightly undercut.
+ * @returns {Array<number>} Whole-dollar candidate fares, lowest first (empty if the class has neither).
+ */
+export function getCandidatePrices(routeData, linkClass) {
+    const fares = (routeData.otherLinks || []).map(link => link.price && link.price[linkClass]).filter(price => price > 0);
+    const suggested = routeData.suggestedPrice && routeData.suggestedPrice[linkClass];
+    const reference = suggested > 0 ? suggested : Math.min(...fares);
+    if (!Number.isFinite(reference)) return [];
+
+    const candidates = new Set();
+    for (let ratio = MIN_PRICE_RATIO; ratio <= MAX_PRICE_RATIO + 1e-9; ratio += PRICE_RATIO_STEP) {
+        candidates.add(Math.round(reference * ratio));
+    }
+    for (const fare of fares) {
+        candidates.add(Math.round(fare));
+        candidates.add(Math.round(fare * UNDERCUT_RATIO));
+    }
+    return [...candidates].filter(price => price > 0).sort((a, b) => a - b);
+}
+
+/**
+ * Finds the fares that maximize a score, one class at a time.
+ * @param {object} routeData - The plan-link response.
+ * @param {Array<string>} linkClasses - The classes to price (classes without seats can be left out).
+ * @param {object} initialPrices - Starting fare per class, e.g. the lowest competitor fares.
+ * @param {function(object): {score: number}} evaluate - Scores a set of fares per class.
+ * @returns {{prices: object, result: object, initialResult: object}} The best fares, the evaluate() result for them and for the initial fares.
+ */
+export function optimizePrices(routeData, linkClasses, initialPrices, evaluate) {
+    let prices = { ...initialPrices };
+    const initialResult = evaluate(prices);
+    let best = initialResult;
+
+    for (let pass = 0; pass < SEARCH_PASSES; pass++) {
+        let improved = false;
+        for (const linkClass of linkClasses) {
+            for (const candidate of getCandidatePrices(routeData, linkClass)) {
+                if (candidate === prices[linkClass]) continue;
+                const candidatePrices = { ...prices, [linkClass]: candidate };
+                const result = evaluate(candidatePrices);
+                if (result.score > best.score) {
+                    prices = candidatePrices;
+                    best = result;
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+
+    return { prices, result: best, initialResult };
+}
@@ -0,0 +1,96 @@
+// --- Result exports ---
+// Turns scored routes (see analyzeRoute) into CSV or JSON files for spreadsheets and scripts.
+
+export const EXPORT_FORMATS = {
+    EMBED: 'embed',
+    CSV: 'csv',
+    JSON: 'json',
+};
+
+// CSV columns, in order: header and how to read the value from a route
+const CSV_COLUMNS = [
+    ['from', route => route.fromIata],
+    ['from_city', route => route.fromCity],
+    ['to', route => route.toIata],
+    ['to_city', route => route.toCity],
+    ['score', route => route.score],
+    ['score_strategy', route => route.scoreStrategy],
+    ['plane', route => route.planeName],
+    ['model_id', route => route.modelId],
+    ['distance_km', route => route.distance],
+    ['duration_minutes', route => route.durationMinutes],
+    ['frequency', route => route.frequency],
+    ['max_frequency', route => route.maxFrequency],
+    ['airframes', route => route.airframes],
+    ['cabin_config', route => route.cabinConfig],
+    ['seats_economy', route => route.seats.economy],
+    ['seats_business', route => route.seats.business],
+    ['seats_first', route => route.seats.first],
+    ['price_economy', route => route.ticketPrices.economy.price],
+    ['price_business', route => route.ticketPrices.business.price],
+    ['price_first', route => route.ticketPrices.first.price],
+    ['price_source', route => route.priceSource],
+    ['sold_economy', route => route.soldSeats.economy],
+    ['sold_business', route => route.soldSeats.business],
+    ['sold_first', route => route.soldSeats.first],
+    ['load_factor', route => route.loadFactor],
+    ['load_factor_source', route => route.loadFactorSource],
+    ['revenue', route => route.revenue],
+    ['cost_fuel', route => route.costs.fuel],
+    ['cost_crew', route => route.costs.crew],
+    ['cost_airport_fees', route => route.costs.airportFees],
+    ['cost_depreciation', route => route.costs.depreciation],
+    ['cost_maintenance', route => route.costs.maintenance],
+    ['cost_service_supplies', route => route.costs.serviceSupplies],
+    ['cost_total', route => route.costs.total],
+    ['profit', route => route.profit],
+];
+
+/**
+ * Quotes a CSV value if it contains a separator, quote or line break.
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV file with one row per route and its full revenue and cost breakdown.
+ * @param {Array<object>} routes - Scored routes from analyzeRoute(), with fromIata/toIata etc. set.
+ * @returns {string} The CSV content.
+ */
+export function buildCsv(routes) {
+    const rows = [CSV_COLUMNS.map(([header]) => header).join(',')];
+    for (const route of routes) {
+        rows.push(CSV_COLUMNS.map(([, read]) => escapeCsvValue(read(route))).join(','));
+    }
+    return `${rows.join('\n')}\n`;
+}
+
+/**
+ * Builds an export file for a run.
+ * @param {string} jobId - The run ID, used in the file name.
+ * @param {Map<string, {routes: Array, failedCount: number}>} results - Results per base, from runAnalysis() or the run history.
+ * @param {string} format - EXPORT_FORMATS.CSV or EXPORT_FORMATS.JSON.
+ * @returns {{fileName: string, content: Buffer}}
+ */
+export function buildExport(jobId, results, format) {
+    const baseIatas = [...results.keys()];
+    const namePart = baseIatas.length === 1 ? `${jobId}-${baseIatas[0]}` : jobId;
+
+    if (format === EXPORT_FORMATS.JSON) {
+        const bases = Object.fromEntries([...results.entries()].map(([baseIata, { routes, failedCount }]) =>
+            [baseIata, { failedCount, routes }]));
+        return {
+            fileName: `routes-${namePart}.json`,
+            content: Buffer.from(JSON.stringify({ runId: jobId, bases }, null, 2), 'utf8'),
+        };
+    }
+
+    const allRoutes = [...results.values()].flatMap(({ routes }) => routes);
+    return {
+        fileName: `routes-${namePart}.csv`,
+        content: Buffer.from(buildCsv(allRoutes), 'utf8'),
+    };
+}
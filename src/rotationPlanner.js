@@ -0,0 +1,294 @@
+// --- Rotation planning ---
+// Assigns scored legs (round trips from a base, see analyzeRoute) to the airframes of one model, so that their
+// weekly flight time earns the most. Each airframe's week is packed with a knapsack over flight minutes:
+// a rotation costs its flight time per weekly frequency and earns its contribution (revenue minus the
+// per-flight costs). The airframe's own depreciation and maintenance are paid once, whatever it flies.
+// Rotations are shuttles (base → A → base) or, given the scored routes between destinations, triangles
+// (base → A → B → base). A triangle flies each of its three routes one way, so it earns half of each route's
+// round-trip contribution and takes one of its one-way flights, which shuttles of the same route also need.
+
+import { DEFAULT_TURNAROUND_MINUTES, MINUTES_PER_WEEK, getRoundTripMinutes } from './flightTime.js';
+
+// Flight time is packed in steps of this many minutes; finer steps make the knapsack slower
+const TIME_STEP_MINUTES = 5;
+// Only the legs that earn the most per minute are considered, to bound the knapsack
+const MAX_CANDIDATE_LEGS = 100;
+// Triangles are only flown between this many of the best legs; n legs need n(n-1)/2 routes between them analyzed
+const MAX_TRIANGLE_STOPS = 8;
+
+/**
+ * Returns what one flight of a leg earns before the airframe's fixed costs (depreciation and maintenance).
+ */
+function getContributionPerFlight(route) {
+    const flightCosts = route.costs.total - route.costs.depreciation - route.costs.maintenance;
+    return (route.revenue - flightCosts) / route.frequency;
+}
+
+const byValuePerMinute = (a, b) => b.value / b.minutes - a.value / a.minutes;
+
+/**
+ * Estimates an airframe's weekly flight time from the game's max frequencies: the game allows
+ * maxFrequency round trips of a leg, so the airframe has at least that many round trips of time.
+ * @param {Array<object>} routes - Scored legs of one model.
+ * @param {number} [turnaroundMinutes] - Ground time at each end of a leg.
+ * @returns {number} Weekly flight minutes per airframe, at most a full week (0 without legs).
+ */
+export function estimateWeeklyBudgetMinutes(routes, turnaroundMinutes = DEFAULT_TURNAROUND_MINUTES) {
+    const budget = routes.reduce((longest, route) =>
+        Math.max(longest, route.maxFrequency * getRoundTripMinutes(route.durationMinutes, turnaroundMinutes)), 0);
+    return Math.min(MINUTES_PER_WEEK, budget);
+}
+
+/**
+ * Picks how often to fly each candidate leg on one airframe to earn the most within its flight time.
+ * @param {Array<{steps: number, value: number, available: number}>} candidates - Legs with their time per
+ *   frequency (in TIME_STEP_MINUTES steps), contribution per frequency and frequencies still available.
+ * @param {number} capacity - The airframe's flight time, in steps.
+ * @returns {Array<number>} Weekly frequency per candidate.
+ */
+function packAirframe(candidates, capacity) {
+    // Bounded knapsack: split each leg's available frequencies into 1, 2, 4... bundles, then 0/1 knapsack
+    const items = [];
+    candidates.forEach((candidate, index) => {
+        let remaining = candidate.available;
+        for (let size = 1; remaining > 0; size *= 2) {
+            const count = Math.min(size, remaining);
+            items.push({ index, count, weight: candidate.steps * count, value: candidate.value * count });
+            remaining -= count;
+        }
+    });
+
+    const best = new Float64Array(capacity + 1);
+    const taken = items.map(() => new Uint8Array(capacity + 1));
+    items.forEach((item, i) => {
+        for (let w = capacity; w >= item.weight; w--) {
+            const value = best[w - item.weight] + item.value;
+            if (value > best[w]) {
+                best[w] = value;
+                taken[i][w] = 1;
+            }
+        }
+    });
+
+    const frequencies = candidates.map(() => 0);
+    let w = capacity;
+    for (let i = items.length - 1; i >= 0; i--) {
+        if (taken[i][w]) {
+            frequencies[items[i].index] += items[i].count;
+            w -= items[i].weight;
+        }
+    }
+    return frequencies;
+}
+
+/**
+ * Returns what owning one airframe of a leg's model costs per week (depreciation and maintenance).
+ */
+export function getOwnershipCosts(route) {
+    return (route.costs.depreciation + route.costs.maintenance) / route.airframes;
+}
+
+/**
+ * Turns scored legs into knapsack candidates: the legs that earn something and fit in the budget,
+ * best earners per minute first.
+ * @param {Array<object>} routes - Scored legs of one model.
+ * @param {number} budgetMinutes - Weekly flight minutes per airframe.
+ * @param {number} turnaroundMinutes - Ground time at each end of a leg.
+ * @returns {Array<{route: object, stops: Array<object>, segments: Array<object>, minutes: number, steps: number, value: number, available: number}>}
+ *   Candidates; `available` is the weekly frequency left to assign and goes down as airframes are packed.
+ *   `stops` are the legs to the destinations flown, and `segments` the routes flown with how many of their
+ *   one-way flights one frequency takes (see buildTriangleCandidates()).
+ */
+export function buildLegCandidates(routes, budgetMinutes, turnaroundMinutes) {
+    return routes
+        .map(route => {
+            const minutes = getRoundTripMinutes(route.durationMinutes, turnaroundMinutes);
+            const value = getContributionPerFlight(route);
+            return {
+                route,
+                stops: [route],
+                segments: [{ route, flights: 2 }],
+                minutes,
+                steps: Math.ceil(minutes / TIME_STEP_MINUTES),
+                value,
+                available: route.frequency,
+            };
+        })
+        .filter(candidate => candidate.value > 0 && candidate.minutes <= budgetMinutes)
+        .sort(byValuePerMinute)
+        .slice(0, MAX_CANDIDATE_LEGS);
+}
+
+/**
+ * Picks the pairs of destinations to analyze the routes between for triangles: every pair of the
+ * MAX_TRIANGLE_STOPS legs that earn the most per minute.
+ * @param {Array<object>} routes - Scored legs of one model from one base.
+ * @param {number} budgetMinutes - Weekly flight minutes per airframe.
+ * @param {number} [turnaroundMinutes] - Ground time at each end of a leg.
+ * @returns {Array<{fromAirportId: number, toAirportId: number}>} One pair per two destinations, for analyzeConnections().
+ */
+export function pickConnectionPairs(routes, budgetMinutes, turnaroundMinutes = DEFAULT_TURNAROUND_MINUTES) {
+    const stops = buildLegCandidates(routes, budgetMinutes, turnaroundMinutes)
+        .slice(0, MAX_TRIANGLE_STOPS)
+        .map(candidate => candidate.route);
+    return stops.flatMap((from, index) => stops.slice(index + 1)
+        .map(to => ({ fromAirportId: from.toAirportId, toAirportId: to.toAirportId })));
+}
+
+/**
+ * Turns the routes between destinations into triangle candidates: base → A → B → base for a route A → B.
+ * @param {Array<object>} routes - Scored legs of one model from one base.
+ * @param {Array<object>} connections - Scored routes of the same model between the legs' destinations.
+ * @param {number} budgetMinutes - Weekly flight minutes per airframe.
+ * @param {number} turnaroundMinutes - Ground time after each flight.
+ * @returns {Array<object>} Candidates like buildLegCandidates(), with the legs out to A and back from B as `stops`.
+ */
+function buildTriangleCandidates(routes, connections, budgetMinutes, turnaroundMinutes) {
+    const legsByAirport = new Map(routes.map(route => [route.toAirportId, route]));
+    return connections
+        .filter(connection => legsByAirport.has(connection.fromAirportId) && legsByAirport.has(connection.toAirportId))
+        .map(connection => {
+            const outbound = legsByAirport.get(connection.fromAirportId);
+            const inbound = legsByAirport.get(connection.toAirportId);
+            const segments = [outbound, connection, inbound].map(route => ({ route, flights: 1 }));
+            const minutes = segments.reduce((sum, { route }) => sum + route.durationMinutes + turnaroundMinutes, 0);
+            const value = segments.reduce((sum, { route }) => sum + getContributionPerFlight(route) / 2, 0);
+            return {
+                route: outbound,
+                stops: [outbound, inbound],
+                segments,
+                minutes,
+                steps: Math.ceil(minutes / TIME_STEP_MINUTES),
+                value,
+                available: Math.min(...segments.map(({ route }) => 2 * route.frequency)),
+            };
+        })
+        .filter(candidate => candidate.value > 0 && candidate.minutes <= budgetMinutes)
+        .sort(byValuePerMinute);
+}
+
+/**
+ * Sums up what an airframe flies: its legs (best earners first), flight time, contribution and profit.
+ * @param {Array<{candidate: object, frequency: number}>} packed - The candidates flown and how often.
+ */
+function summarizeRotation(packed, ownershipCosts) {
+    const legs = packed.map(({ candidate, frequency }) => ({
+        route: candidate.route,
+        stops: candidate.stops,
+        frequency,
+        minutes: candidate.minutes * frequency,
+        contribution: candidate.value * frequency,
+    }));
+    legs.sort((a, b) => b.contribution - a.contribution);
+
+    const contribution = legs.reduce((sum, leg) => sum + leg.contribution, 0);
+    return {
+        legs,
+        flightMinutes: legs.reduce((sum, leg) => sum + leg.minutes, 0),
+        contribution,
+        fixedCosts: ownershipCosts,
+        profit: contribution - ownershipCosts,
+    };
+}
+
+/**
+ * Packs one airframe's week from the candidates.
+ * @param {Array<object>} candidates - Candidates from buildLegCandidates().
+ * @param {number} budgetMinutes - The airframe's weekly flight minutes.
+ * @param {number} ownershipCosts - The airframe's weekly depreciation and maintenance.
+ * @param {boolean} [commit] - Take the packed frequencies out of the candidates (default: true).
+ *   Without it, the result is only what the airframe would earn.
+ * @returns {{legs: Array<{route: object, stops: Array<object>, frequency: number, minutes: number, contribution: number}>, flightMinutes: number, contribution: number, fixedCosts: number, profit: number}}
+ */
+export function packRotation(candidates, budgetMinutes, ownershipCosts, commit = true) {
+    const frequencies = packAirframe(candidates, Math.floor(budgetMinutes / TIME_STEP_MINUTES));
+    const packed = [];
+    candidates.forEach((candidate, index) => {
+        const frequency = frequencies[index];
+        if (frequency === 0) return;
+        if (commit) candidate.available -= frequency;
+        packed.push({ candidate, frequency });
+    });
+    return summarizeRotation(packed, ownershipCosts);
+}
+
+/**
+ * Packs one airframe's week from candidates that share their routes' one-way flights.
+ * The knapsack sees each candidate's frequencies on their own, so it may book a route's flights twice: the best
+ * earners per minute keep theirs, the others are cut to what is left, and the time that frees up is packed again.
+ * @param {Array<object>} candidates - Candidates, best earners per minute first.
+ * @param {Map<object, number>} flightsLeft - One-way flights left per route; goes down as the airframe is packed.
+ */
+function packSharedRotation(candidates, flightsLeft, budgetMinutes, ownershipCosts) {
+    const getAvailable = (candidate) => Math.min(...candidate.segments.map(({ route, flights }) =>
+        Math.floor(flightsLeft.get(route) / flights)));
+    const frequencies = new Map();
+    let minutesLeft = budgetMinutes;
+
+    for (;;) {
+        for (const candidate of candidates) candidate.available = getAvailable(candidate);
+        const open = candidates.filter(candidate => candidate.available > 0);
+        const packed = packAirframe(open, Math.floor(minutesLeft / TIME_STEP_MINUTES));
+
+        let overbooked = false;
+        let added = 0;
+        open.forEach((candidate, index) => {
+            const frequency = Math.min(packed[index], getAvailable(candidate));
+            if (frequency < packed[index]) overbooked = true;
+            if (frequency === 0) return;
+            for (const { route, flights } of candidate.segments) {
+                flightsLeft.set(route, flightsLeft.get(route) - flights * frequency);
+            }
+            frequencies.set(candidate, (frequencies.get(candidate) || 0) + frequency);
+            minutesLeft -= candidate.minutes * frequency;
+            added += frequency;
+        });
+        if (!overbooked || added === 0) break;
+    }
+
+    return summarizeRotation([...frequencies.entries()].map(([candidate, frequency]) => ({ candidate, frequency })), ownershipCosts);
+}
+
+/**
+ * Plans the weekly rotations of the airframes of one model.
+ * Sales per flight are taken as analyzed, so flying a leg less often than its analyzed frequency is a
+ * conservative estimate. Airframes are filled one after another; later ones get the legs' remaining frequencies.
+ * @param {Array<object>} routes - Scored legs of one model from one base, from analyzeRoute().
+ * @param {object} [options]
+ * @param {number} [options.airframes] - How many airframes to plan (default: 1).
+ * @param {number} [options.budgetMinutes] - Weekly flight minutes per airframe (default: estimateWeeklyBudgetMinutes()).
+ * @param {number} [options.turnaroundMinutes] - Ground time at each end of a leg (default: DEFAULT_TURNAROUND_MINUTES).
+ * @param {Array<object>} [options.connections] - Scored routes of the same model between the legs' destinations,
+ *   from analyzeConnections(), to plan triangles through (default: shuttles only).
+ * @returns {{budgetMinutes: number, turnaroundMinutes: number, rotations: Array<object>, totalProfit: number}}
+ *   One rotation per airframe, see packRotation().
+ */
+export function planRotations(routes, options = {}) {
+    const airframes = options.airframes || 1;
+    const turnaroundMinutes = options.turnaroundMinutes ?? DEFAULT_TURNAROUND_MINUTES;
+    const budgetMinutes = options.budgetMinutes || estimateWeeklyBudgetMinutes(routes, turnaroundMinutes);
+    // Every airframe of the model costs the same to own, whichever legs it flies
+    const ownershipCosts = routes.length > 0 ? getOwnershipCosts(routes[0]) : 0;
+
+    const candidates = [
+        ...buildLegCandidates(routes, budgetMinutes, turnaroundMinutes),
+        ...buildTriangleCandidates(routes, options.connections || [], budgetMinutes, turnaroundMinutes),
+    ].sort(byValuePerMinute);
+    // Each round trip of a route's analyzed frequency is a flight each way
+    const flightsLeft = new Map();
+    for (const { segments } of candidates) {
+        for (const { route } of segments) flightsLeft.set(route, 2 * route.frequency);
+    }
+
+    const rotations = [];
+    for (let airframe = 0; airframe < airframes; airframe++) {
+        rotations.push(packSharedRotation(candidates, flightsLeft, budgetMinutes, ownershipCosts));
+    }
+
+    return {
+        budgetMinutes,
+        turnaroundMinutes,
+        rotations,
+        totalProfit: rotations.reduce((sum, rotation) => sum + rotation.profit, 0),
+    };
+}
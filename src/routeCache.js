@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDataDir, writeJsonAtomic } from './stateStore.js';
+
+const DEFAULT_TTL_HOURS = 24;
+// Write the cache file to disk after this many new entries, so a crash doesn't lose a whole base
+const FLUSH_EVERY = 50;
+
+/**
+ * Root directory of the plan-link cache.
+ * Layout: <DATA_DIR>/cache/plan-link/<airlineId>/<fromAirportId>.json
+ */
+function getCacheRoot() {
+    return path.join(getDataDir(), 'cache', 'plan-link');
+}
+
+/**
+ * Returns the cache TTL in milliseconds, from ROUTE_CACHE_TTL_HOURS in .env.
+ */
+export function getCacheTtlMs() {
+    const hours = parseFloat(process.env.ROUTE_CACHE_TTL_HOURS);
+    return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Opens the plan-link cache for one airline and origin airport.
+ * @param {number} airlineId - The logged-in airline.
+ * @param {number} fromAirportId - The origin (base) airport.
+ * @returns {Promise<{get: Function, set: Function, flush: Function}>} The cache handle.
+ */
+export async function openRouteCache(airlineId, fromAirportId) {
+    const filePath = path.join(getCacheRoot(), String(airlineId), `${fromAirportId}.json`);
+    const ttlMs = getCacheTtlMs();
+
+    let entries = {};
+    try {
+        entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`[CACHE] Ignoring unreadable cache file ${filePath}: ${error.message}`);
+        }
+    }
+
+    let unsaved = 0;
+    let pendingWrite = Promise.resolve();
+
+    const write = async () => {
+        if (unsaved === 0) return;
+        unsaved = 0;
+        await writeJsonAtomic(filePath, entries);
+    };
+
+    // Requests complete concurrently, so writes are chained to never overlap on the temp file.
+    // A failed write only loses cache entries, so it is logged rather than failing the analysis.
+    const flush = () => {
+        pendingWrite = pendingWrite
+            .then(write)
+            .catch(error => console.warn(`[CACHE] Failed to write cache file ${filePath}: ${error.message}`));
+        return pendingWrite;
+    };
+
+    return {
+        /**
+         * Returns the cached plan-link response for a destination, or null if missing or expired.
+         */
+        get(toAirportId) {
+            const entry = entries[toAirportId];
+            if (!entry || Date.now() - entry.fetchedAt > ttlMs) {
+                return null;
+            }
+            return entry.data;
+        },
+
+        /**
+         * Stores a plan-link response for a destination.
+         */
+        async set(toAirportId, data) {
+            entries[toAirportId] = { fetchedAt: Date.now(), data };
+            unsaved++;
+            if (unsaved >= FLUSH_EVERY) {
+                await flush();
+            }
+        },
+
+        flush,
+    };
+}
+
+/**
+ * Deletes cached plan-link responses.
+ * @param {number|null} fromAirportId - Only purge this origin airport (for every airline), or everything if null.
+ * @returns {Promise<number>} The number of cache files removed.
+ */
+export async function purgeRouteCache(fromAirportId = null) {
+    const root = getCacheRoot();
+
+    let airlineDirs;
+    try {
+        airlineDirs = await fs.readdir(root);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let removed = 0;
+    for (const airlineDir of airlineDirs) {
+        const dirPath = path.join(root, airlineDir);
+        const files = await fs.readdir(dirPath);
+        for (const file of files) {
+            if (fromAirportId === null || file === `${fromAirportId}.json`) {
+                await fs.rm(path.join(dirPath, file), { force: true });
+                removed++;
+            }
+        }
+    }
+
+    console.log(`[CACHE] Purged ${removed} cache file(s)${fromAirportId === null ? '' : ` for airport ${fromAirportId}`}.`);
+    return removed;
+}
@@ -0,0 +1,77 @@
+// --- Destination pre-filter ---
+// Drops origin/destination pairs that can't or shouldn't be flown before any plan-link request goes out.
+
+const EARTH_RADIUS_KM = 6371;
+// The game rounds distances and its coordinates may differ slightly from ours, so don't drop borderline pairs
+const RANGE_TOLERANCE = 1.02;
+
+/**
+ * Calculates the great-circle distance between two airports in km.
+ */
+export function calculateDistance(fromAirport, toAirport) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(toAirport.latitude - fromAirport.latitude);
+    const dLon = toRadians(toAirport.longitude - fromAirport.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(fromAirport.latitude)) * Math.cos(toRadians(toAirport.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Parses a comma-separated option like "US, CA" into a set of upper-case codes, or null if empty.
+ */
+export function parseCodeList(value) {
+    if (!value) return null;
+    const codes = value.split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+    return codes.length > 0 ? new Set(codes) : null;
+}
+
+/**
+ * Splits destinations into the ones worth requesting and counts of why the rest were skipped.
+ * @param {object} fromAirport - The origin airport.
+ * @param {Array<object>} destinations - Candidate destination airports.
+ * @param {object} criteria
+ * @param {number|null} [criteria.maxRange] - Longest range of any usable plane, in km.
+ * @param {number|null} [criteria.minDistance] - Minimum route distance, in km.
+ * @param {number|null} [criteria.maxDistance] - Maximum route distance, in km.
+ * @param {number|null} [criteria.minAirportSize] - Minimum destination airport size.
+ * @param {string|null} [criteria.countries] - Comma-separated country codes to keep.
+ * @param {string|null} [criteria.zones] - Comma-separated zone codes to keep (e.g. "EU, AS").
+ * @returns {{kept: Array<object>, skipped: object}} Kept destinations and skip counts by reason.
+ */
+export function filterDestinations(fromAirport, destinations, criteria = {}) {
+    const countries = parseCodeList(criteria.countries);
+    const zones = parseCodeList(criteria.zones);
+    const skipped = { range: 0, distance: 0, size: 0, country: 0, zone: 0 };
+    const kept = [];
+
+    for (const destAirport of destinations) {
+        if (countries && !countries.has(String(destAirport.countryCode).toUpperCase())) {
+            skipped.country++;
+            continue;
+        }
+        if (zones && !zones.has(String(destAirport.zone).toUpperCase())) {
+            skipped.zone++;
+            continue;
+        }
+        if (criteria.minAirportSize && destAirport.size < criteria.minAirportSize) {
+            skipped.size++;
+            continue;
+        }
+
+        const distance = calculateDistance(fromAirport, destAirport);
+        if (criteria.maxRange && distance > criteria.maxRange * RANGE_TOLERANCE) {
+            skipped.range++;
+            continue;
+        }
+        if ((criteria.minDistance && distance < criteria.minDistance) ||
+            (criteria.maxDistance && distance > criteria.maxDistance)) {
+            skipped.distance++;
+            continue;
+        }
+
+        kept.push(destAirport);
+    }
+
+    return { kept, skipped };
+}
@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDataDir, writeJsonAtomic } from './stateStore.js';
+
+// --- Run history ---
+// Every finished run stores its full scored results per base, so later runs can be compared against it.
+// Layout: <DATA_DIR>/history/<workspaceKey>/<baseIata>/<jobId>.json, plus an index.json per base
+// listing the runs newest first, so listing them doesn't mean reading every results file.
+
+const DEFAULT_MAX_RUNS = 30;
+const DEFAULT_SWING_PERCENT = 20;
+const TOP_ROUTES = 10;
+
+/**
+ * Directory holding the history of one base in one workspace.
+ */
+function getBaseHistoryDir(workspaceKey, baseIata) {
+    // Per-guild workspace keys contain a colon, which isn't allowed in file names everywhere
+    return path.join(getDataDir(), 'history', String(workspaceKey).replace(/[^\w-]/g, '_'), baseIata);
+}
+
+/**
+ * Returns how many runs are kept per base, from HISTORY_MAX_RUNS in .env.
+ */
+function getMaxRuns() {
+    const maxRuns = parseInt(process.env.HISTORY_MAX_RUNS, 10);
+    return maxRuns > 0 ? maxRuns : DEFAULT_MAX_RUNS;
+}
+
+/**
+ * Returns the score change (in percent) that counts as a big swing, from HISTORY_SWING_PERCENT in .env.
+ */
+function getSwingPercent() {
+    const percent = parseFloat(process.env.HISTORY_SWING_PERCENT);
+    return percent > 0 ? percent : DEFAULT_SWING_PERCENT;
+}
+
+/**
+ * Lists the stored runs of a base, newest first.
+ * @returns {Promise<Array<{jobId: string, finishedAt: number, rankBy: string, routeCount: number, failedCount: number, topRoute: object|null}>>}
+ */
+export async function listRuns(workspaceKey, baseIata) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(getBaseHistoryDir(workspaceKey, baseIata), 'index.json'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`[HISTORY] Ignoring unreadable history index for ${baseIata}: ${error.message}`);
+        }
+        return [];
+    }
+}
+
+/**
+ * Loads one stored run of a base.
+ * @returns {Promise<object|null>} The run, with its full `routes`, or null if it isn't stored (anymore).
+ */
+export async function loadRun(workspaceKey, baseIata, jobId) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(getBaseHistoryDir(workspaceKey, baseIata), `${jobId}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`[HISTORY] Ignoring unreadable run ${jobId} for ${baseIata}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Loads the latest stored run of a base that finished before the given run.
+ * @param {string|null} beforeJobId - Only consider runs older than this one (default: the latest run).
+ * @returns {Promise<object|null>}
+ */
+export async function loadPreviousRun(workspaceKey, baseIata, beforeJobId = null) {
+    const runs = await listRuns(workspaceKey, baseIata);
+    const index = beforeJobId ? runs.findIndex(run => run.jobId === beforeJobId) : -1;
+    const previous = beforeJobId && index === -1 ? runs[0] : runs[index + 1];
+    return previous ? loadRun(workspaceKey, baseIata, previous.jobId) : null;
+}
+
+/**
+ * Stores a run's results for a base and drops the oldest runs beyond HISTORY_MAX_RUNS.
+ * @param {string} workspaceKey - The workspace the run analyzed.
+ * @param {object} run
+ * @param {string} run.jobId - The run (job) ID.
+ * @param {string} run.baseIata - The base.
+ * @param {number} run.finishedAt - When the run finished.
+ * @param {string} run.rankBy - The scoring strategy the routes were ranked by.
+ * @param {number} run.failedCount - Routes that could not be fetched.
+ * @param {Array<object>} run.routes - All scored routes, best first.
+ */
+export async function saveRun(workspaceKey, run) {
+    const dir = getBaseHistoryDir(workspaceKey, run.baseIata);
+    await writeJsonAtomic(path.join(dir, `${run.jobId}.json`), run);
+
+    const [best] = run.routes;
+    const summary = {
+        jobId: run.jobId,
+        finishedAt: run.finishedAt,
+        rankBy: run.rankBy,
+        routeCount: run.routes.length,
+        failedCount: run.failedCount,
+        topRoute: best ? { toIata: best.toIata, toCity: best.toCity, score: best.score } : null,
+    };
+    // A resumed run may be saved twice; keep only the latest copy
+    const runs = [summary, ...(await listRuns(workspaceKey, run.baseIata)).filter(r => r.jobId !== run.jobId)]
+        .sort((a, b) => b.finishedAt - a.finishedAt);
+
+    const maxRuns = getMaxRuns();
+    for (const old of runs.slice(maxRuns)) {
+        await fs.rm(path.join(dir, `${old.jobId}.json`), { force: true });
+    }
+    await writeJsonAtomic(path.join(dir, 'index.json'), runs.slice(0, maxRuns));
+}
+
+/**
+ * Compares the top routes of two runs of the same base.
+ * Score swings are only reported when both runs were ranked by the same strategy.
+ * @param {object} previous - The older run.
+ * @param {object} current - The newer run.
+ * @returns {{added: Array, dropped: Array, swings: Array, comparable: boolean, rankBy: string}}
+ *   added: {route, previousRank} (previousRank is null if the route wasn't scored before),
+ *   dropped: {route, currentRank} (currentRank is null if the route isn't viable anymore),
+ *   swings: {route, previousRoute, changePercent}; rankBy is the newer run's scoring strategy.
+ */
+export function diffRuns(previous, current) {
+    const rankOf = (routes) => new Map(routes.map((route, i) => [route.toIata, i + 1]));
+    const previousRanks = rankOf(previous.routes);
+    const currentRanks = rankOf(current.routes);
+    const previousTop = previous.routes.slice(0, TOP_ROUTES);
+    const currentTop = current.routes.slice(0, TOP_ROUTES);
+    const isTop = (rank) => rank !== undefined && rank <= TOP_ROUTES;
+
+    const added = currentTop
+        .filter(route => !isTop(previousRanks.get(route.toIata)))
+        .map(route => ({ route, previousRank: previousRanks.get(route.toIata) ?? null }));
+    const dropped = previousTop
+        .filter(route => !isTop(currentRanks.get(route.toIata)))
+        .map(route => ({ route, currentRank: currentRanks.get(route.toIata) ?? null }));
+
+    const comparable = previous.rankBy === current.rankBy;
+    const swings = [];
+    if (comparable) {
+        const previousByIata = new Map(previous.routes.map(route => [route.toIata, route]));
+        const swingPercent = getSwingPercent();
+        for (const route of currentTop) {
+            const previousRoute = previousByIata.get(route.toIata);
+            if (!previousRoute || previousRoute.score === 0) continue;
+            const changePercent = (route.score - previousRoute.score) / Math.abs(previousRoute.score) * 100;
+            if (Math.abs(changePercent) >= swingPercent) {
+                swings.push({ route, previousRoute, changePercent });
+            }
+        }
+    }
+
+    return { added, dropped, swings, comparable, rankBy: current.rankBy };
+}
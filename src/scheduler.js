@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import { loadState, saveState } from './stateStore.js';
+
+// --- Recurring schedules ---
+// Schedules are stored in bot_state.json under `schedules` and checked once a minute.
+// A schedule repeats every N hours or on a cron expression (UTC). Runs missed while the bot was
+// offline happen once on startup, then the schedule continues from there.
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Longest a cron search looks ahead; covers expressions like "0 0 29 2 *"
+const MAX_CRON_LOOKAHEAD_MS = 4 * 366 * DAY_MS;
+// Longest each month can be, February in a leap year
+const MAX_DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 },
+];
+
+const handlers = {};
+let discordClient = null;
+let checkTimer = null;
+let checking = false;
+
+/**
+ * Parses one cron field ("*", "5", "1-5", "*\/15", "1,15") into the set of values it allows.
+ */
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        let start;
+        let end;
+        if (rangeText === '*') {
+            [start, end] = [min, max];
+        } else if (rangeText.includes('-')) {
+            [start, end] = rangeText.split('-').map(value => parseInt(value, 10));
+        } else {
+            start = parseInt(rangeText, 10);
+            end = stepText === undefined ? start : max;
+        }
+
+        if (![start, end, step].every(Number.isInteger) || start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid cron ${name} "${part}". Allowed values are ${min}-${max}.`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parses a 5-field cron expression: minute, hour, day of month, month, day of week (0 or 7 is Sunday).
+ * @throws {Error} If the expression is invalid.
+ */
+export function parseCron(expression) {
+    const texts = String(expression).trim().split(/\s+/);
+    if (texts.length !== CRON_FIELDS.length) {
+        throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week (e.g. "0 */6 * * *").');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = texts.map((text, i) => parseCronField(text, CRON_FIELDS[i]));
+    if (daysOfWeek.has(7)) daysOfWeek.add(0);
+    const cron = {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // As in standard cron, if both day fields are restricted a day matching either one counts.
+        // A field starting with "*" (e.g. "*/2") is unrestricted, as in Vixie cron.
+        restrictsDayOfMonth: !texts[2].startsWith('*'),
+        restrictsDayOfWeek: !texts[4].startsWith('*'),
+    };
+
+    // A day of month that none of the months has (e.g. "0 0 31 2 *") would never match
+    if (cron.restrictsDayOfMonth && !cron.restrictsDayOfWeek) {
+        const longestMonth = Math.max(...[...months].map(month => MAX_DAYS_IN_MONTH[month - 1]));
+        if (![...daysOfMonth].some(day => day <= longestMonth)) {
+            throw new Error(`The cron expression "${expression}" never matches: the chosen months have at most ${longestMonth} days.`);
+        }
+    }
+    return cron;
+}
+
+/**
+ * Checks whether a parsed cron expression matches the (UTC) day of a date, ignoring the time.
+ */
+function cronMatchesDay(cron, date) {
+    const dayOfMonthMatches = cron.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeekMatches = cron.daysOfWeek.has(date.getUTCDay());
+    const dayMatches = cron.restrictsDayOfMonth && cron.restrictsDayOfWeek
+        ? dayOfMonthMatches || dayOfWeekMatches
+        : dayOfMonthMatches && dayOfWeekMatches;
+
+    return dayMatches && cron.months.has(date.getUTCMonth() + 1);
+}
+
+/**
+ * Computes when a schedule should run next.
+ * @param {object} schedule - A schedule with either `everyHours` or `cron`.
+ * @param {number} after - Timestamp to start from.
+ * @returns {number|null} The next run timestamp, or null if a cron expression never matches.
+ */
+export function getNextRunAt(schedule, after) {
+    if (schedule.everyHours) {
+        return after + schedule.everyHours * 60 * MINUTE_MS;
+    }
+
+    const cron = parseCron(schedule.cron);
+    const start = Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const candidate = new Date(start);
+    // Skip whole days and hours that can't match, so the search takes at most a few thousand steps
+    while (candidate.getTime() < start + MAX_CRON_LOOKAHEAD_MS) {
+        const time = candidate.getTime();
+        if (!cronMatchesDay(cron, candidate)) {
+            candidate.setTime(Math.floor(time / DAY_MS) * DAY_MS + DAY_MS);
+        } else if (!cron.hours.has(candidate.getUTCHours())) {
+            candidate.setTime(Math.floor(time / HOUR_MS) * HOUR_MS + HOUR_MS);
+        } else if (!cron.minutes.has(candidate.getUTCMinutes())) {
+            candidate.setTime(time + MINUTE_MS);
+        } else {
+            return time;
+        }
+    }
+    return null;
+}
+
+/**
+ * Registers the function that runs schedules of a given type.
+ * The handler is called as handler(schedule) and may return the queued job.
+ */
+export function registerScheduleHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+/**
+ * Adds a schedule and saves it.
+ * @param {object} options
+ * @param {string} options.type - The schedule type, see registerScheduleHandler().
+ * @param {string} options.ownerId - The Discord user who created it.
+ * @param {string} options.workspaceKey - The workspace whose baselist/planelist is analyzed.
+ * @param {string} options.channelId - Where results are posted.
+ * @param {number|null} options.everyHours - Repeat interval, or null when using cron.
+ * @param {string|null} options.cron - Cron expression (UTC), or null when using everyHours.
+ * @param {object} options.params - Type-specific parameters.
+ * @returns {Promise<object>} The new schedule.
+ * @throws {Error} If the cron expression is invalid or never matches.
+ */
+export async function addSchedule({ type, ownerId, workspaceKey, channelId, everyHours, cron, params }) {
+    const now = Date.now();
+    const schedule = {
+        id: crypto.randomBytes(4).toString('hex'),
+        type,
+        ownerId,
+        workspaceKey,
+        channelId,
+        everyHours: everyHours || null,
+        cron: cron || null,
+        params,
+        createdAt: now,
+        nextRunAt: null,
+        lastRunAt: null,
+        lastJobId: null,
+        lastError: null,
+    };
+    schedule.nextRunAt = getNextRunAt(schedule, now);
+    if (!schedule.nextRunAt) {
+        throw new Error(`The cron expression "${cron}" never matches a date.`);
+    }
+
+    const state = await loadState();
+    state.schedules[schedule.id] = schedule;
+    await saveState(state);
+    console.log(`[SCHEDULE] Added ${type} schedule ${schedule.id}, next run at ${new Date(schedule.nextRunAt).toISOString()}.`);
+    return schedule;
+}
+
+/**
+ * Returns all schedules, oldest first.
+ */
+export async function listSchedules() {
+    const state = await loadState();
+    return Object.values(state.schedules).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Removes a schedule. Runs it has already queued are not cancelled.
+ * @returns {Promise<boolean>} False if there was no such schedule.
+ */
+export async function removeSchedule(id) {
+    const state = await loadState();
+    if (!state.schedules[id]) {
+        return false;
+    }
+    delete state.schedules[id];
+    await saveState(state);
+    console.log(`[SCHEDULE] Removed schedule ${id}.`);
+    return true;
+}
+
+/**
+ * Posts a message to a schedule's channel, never throws.
+ */
+async function notify(schedule, message) {
+    if (!discordClient) return;
+    try {
+        const channel = await discordClient.channels.fetch(schedule.channelId);
+        await channel.send(message);
+    } catch (error) {
+        console.warn(`[SCHEDULE] Could not post to channel ${schedule.channelId} for schedule ${schedule.id}: ${error.message}`);
+    }
+}
+
+/**
+ * Runs every schedule that is due and works out when each runs next.
+ */
+async function checkSchedules() {
+    if (checking) return;
+    checking = true;
+
+    try {
+        const state = await loadState();
+        const now = Date.now();
+        const due = Object.values(state.schedules).filter(schedule => schedule.nextRunAt && schedule.nextRunAt <= now);
+
+        for (const schedule of due) {
+            console.log(`[SCHEDULE] Running ${schedule.type} schedule ${schedule.id}.`);
+            try {
+                const handler = handlers[schedule.type];
+                if (!handler) {
+                    throw new Error(`No handler registered for schedule type "${schedule.type}".`);
+                }
+                const job = await handler(schedule);
+                schedule.lastJobId = job ? job.id : schedule.lastJobId;
+                schedule.lastError = null;
+            } catch (error) {
+                console.error(`[SCHEDULE] Schedule ${schedule.id} failed:`, error.message);
+                schedule.lastError = error.message;
+                await notify(schedule, `⚠️ Scheduled run \`${schedule.id}\` could not start: ${error.message}`);
+            }
+            schedule.lastRunAt = now;
+            schedule.nextRunAt = getNextRunAt(schedule, now);
+        }
+
+        if (due.length > 0) {
+            await saveState(state);
+        }
+    } catch (error) {
+        console.error('[SCHEDULE] Failed to check schedules:', error);
+    } finally {
+        checking = false;
+    }
+}
+
+/**
+ * Starts checking schedules. Called once when the bot is ready, after the job queue has started.
+ */
+export async function initScheduler(client) {
+    discordClient = client;
+    const schedules = await listSchedules();
+    console.log(`[SCHEDULE] Loaded ${schedules.length} schedule(s).`);
+
+    await checkSchedules();
+    if (!checkTimer) {
+        checkTimer = setInterval(checkSchedules, CHECK_INTERVAL_MS);
+    }
+}
@@ -0,0 +1,63 @@
+// --- Route scoring strategies ---
+// Each strategy turns a route's weekly breakdown (see analyzeRoute) into a number to rank by, higher is better.
+// Add a strategy with registerScoringStrategy(); it shows up as a `rank_by` choice on `run` automatically.
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+
+const scoringStrategies = new Map();
+
+// Demand caps the frequency, so profit per frequency would favour routes that can only fill a few flights a week
+export const DEFAULT_SCORING_STRATEGY = 'weekly_profit';
+
+/**
+ * Registers a scoring strategy.
+ * @param {string} name - The ID used in `rank_by` (e.g. "weekly_profit").
+ * @param {object} strategy
+ * @param {string} strategy.label - Human-readable name, shown in Discord.
+ * @param {function(object): number} strategy.score - Computes the score from a route breakdown.
+ * @param {function(number): string} [strategy.format] - Formats a score for display (default: dollars).
+ */
+export function registerScoringStrategy(name, strategy) {
+    scoringStrategies.set(name, { name, format: formatMoney, ...strategy });
+}
+
+/**
+ * Returns a scoring strategy by name, falling back to the default one.
+ */
+export function getScoringStrategy(name) {
+    return scoringStrategies.get(name) || scoringStrategies.get(DEFAULT_SCORING_STRATEGY);
+}
+
+/**
+ * Returns all registered strategies, in registration order.
+ */
+export function listScoringStrategies() {
+    return [...scoringStrategies.values()];
+}
+
+registerScoringStrategy('weekly_profit', {
+    label: 'Total weekly profit',
+    score: (route) => route.profit,
+});
+
+registerScoringStrategy('profit_per_frequency', {
+    label: 'Profit per frequency',
+    score: (route) => Math.round(route.profit / route.frequency),
+});
+
+registerScoringStrategy('profit_per_plane', {
+    label: 'Weekly profit per airframe',
+    score: (route) => route.profit / route.airframes,
+});
+
+registerScoringStrategy('roi', {
+    label: 'Weekly ROI on plane price',
+    score: (route) => route.profit / (route.planePrice * route.airframes) * 100,
+    format: (score) => `${score.toFixed(2)}%/week`,
+});
+
+registerScoringStrategy('profit_per_flight_hour', {
+    label: 'Profit per flight hour',
+    // Each frequency is a round trip
+    score: (route) => route.profit / (route.frequency * 2 * route.durationMinutes / 60),
+});
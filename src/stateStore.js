@@ -1,8 +1,33 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { isEncryptionConfigured, isEncryptedSecret, encryptSecret, decryptSecret } from './credentials.js';
+import { normalizeBaseEntry } from './bases.js';
 
 const stateFilePath = path.resolve(process.cwd(), 'bot_state.json');
 
+/**
+ * Directory for cache and other generated data, from DATA_DIR in .env.
+ */
+export function getDataDir() {
+    return path.resolve(process.cwd(), process.env.DATA_DIR || 'data');
+}
+
+/**
+ * Writes JSON to a file via a temp file, so an interrupted write can't leave it corrupted.
+ * Callers must not run two writes to the same file at once.
+ * @param {string} filePath - The destination file.
+ * @param {*} data - The data to serialize.
+ */
+export async function writeJsonAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+    await fs.rename(tempPath, filePath);
+}
+
+// Workspace that legacy single-user state is migrated into. New users start from a copy of it.
+export const DEFAULT_WORKSPACE_KEY = 'default';
+
 let stateCache = null;
 
 /**
@@ -15,12 +40,101 @@ async function ensureStateFile() {
         // File doesn't exist, create it with default structure
         await fs.writeFile(stateFilePath, JSON.stringify({
             accounts: {},
-            planeList: [],
-            baseAirports: {}
+            workspaces: {},
+            schedules: {}
         }, null, 2), 'utf8');
     }
 }
 
+/**
+ * Creates an empty workspace.
+ */
+function createWorkspace() {
+    return { planeList: [], baseAirports: {} };
+}
+
+/**
+ * Moves a legacy top-level planeList/baseAirports into the default workspace.
+ * @param {object} state - The raw state read from disk.
+ * @returns {boolean} True if anything was migrated.
+ */
+function migrateLegacyState(state) {
+    if (!('planeList' in state) && !('baseAirports' in state)) {
+        return false;
+    }
+
+    if (!state.workspaces[DEFAULT_WORKSPACE_KEY]) {
+        state.workspaces[DEFAULT_WORKSPACE_KEY] = {
+            planeList: state.planeList || [],
+            baseAirports: state.baseAirports || {}
+        };
+        console.log('[STATE] Migrated legacy planeList/baseAirports into the default workspace.');
+    }
+
+    delete state.planeList;
+    delete state.baseAirports;
+    return true;
+}
+
+/**
+ * Decrypts stored account passwords in place.
+ * Accounts whose password can't be decrypted keep the ciphertext and get `decryptError`, see getAccountError().
+ * @param {object} accounts - The accounts map from the state file.
+ * @returns {boolean} True if any password is still stored as plaintext.
+ */
+function decryptAccounts(accounts) {
+    let hasPlaintext = false;
+    for (const [name, account] of Object.entries(accounts)) {
+        if (!isEncryptedSecret(account.password)) {
+            hasPlaintext = true;
+            continue;
+        }
+        try {
+            account.password = decryptSecret(account.password);
+        } catch (error) {
+            // Leave the ciphertext in place so it isn't lost on the next save
+            account.decryptError = error.message;
+            console.error(`[STATE] Could not decrypt password for account "${name}": ${error.message}`);
+        }
+    }
+    return hasPlaintext;
+}
+
+/**
+ * Checks that an account's password can be used to log in.
+ * A password that failed to decrypt is still the ciphertext; sending it to the game would only fail the login.
+ * @param {string} name - The account name.
+ * @param {object} account - The account from state.accounts.
+ * @returns {string|null} An error message, or null if the account is usable.
+ */
+export function getAccountError(name, account) {
+    if (!account.decryptError) {
+        return null;
+    }
+    return `The password of account "${name}" could not be decrypted: STATE_ENCRYPTION_KEY changed or missing. Restore the key, or add the account again with \`/routefinder account_add\`.`;
+}
+
+/**
+ * Returns a copy of the state with account passwords encrypted for writing to disk.
+ * Passwords are left as plaintext (with a warning) if no encryption key is configured.
+ */
+function serializeState(state) {
+    const encrypt = isEncryptionConfigured();
+    if (!encrypt && Object.keys(state.accounts || {}).length > 0) {
+        console.warn('[STATE] STATE_ENCRYPTION_KEY is not set. Account passwords are stored as plaintext.');
+    }
+
+    const accounts = {};
+    for (const [name, { decryptError, ...account }] of Object.entries(state.accounts || {})) {
+        // Passwords that failed to decrypt are still the ciphertext and are written back as they were read
+        accounts[name] = {
+            ...account,
+            password: encrypt && !isEncryptedSecret(account.password) ? encryptSecret(account.password) : account.password
+        };
+    }
+    return { ...state, accounts };
+}
+
 /**
  * Loads the bot state from bot_state.json.
  * @param {boolean} forceRefresh - If true, bypasses cache and reads from disk.
@@ -32,31 +146,84 @@ export async function loadState(forceRefresh = false) {
     }
 
     await ensureStateFile();
-    
+
     try {
         const data = await fs.readFile(stateFilePath, 'utf8');
         stateCache = JSON.parse(data);
         // Ensure default structure if file is partial
         stateCache.accounts = stateCache.accounts || {};
-        stateCache.planeList = stateCache.planeList || [];
-        stateCache.baseAirports = stateCache.baseAirports || {};
+        stateCache.workspaces = stateCache.workspaces || {};
+        stateCache.schedules = stateCache.schedules || {};
+
+        const hasPlaintextPasswords = decryptAccounts(stateCache.accounts);
+        const migrated = migrateLegacyState(stateCache);
+
+        if (migrated || (hasPlaintextPasswords && isEncryptionConfigured())) {
+            await saveState(stateCache);
+        }
         return stateCache;
     } catch (error) {
         console.error('Failed to load state from bot_state.json:', error);
         // Return default structure on parse error
-        return { accounts: {}, planeList: [], baseAirports: {} };
+        return { accounts: {}, workspaces: {}, schedules: {} };
     }
 }
 
 /**
  * Saves the provided state object to bot_state.json.
+ * Account passwords are encrypted on the way out; the in-memory state keeps them decrypted.
  * @param {object} state - The state object to save.
  */
 export async function saveState(state) {
     try {
-        await fs.writeFile(stateFilePath, JSON.stringify(state, null, 2), 'utf8');
+        await fs.writeFile(stateFilePath, JSON.stringify(serializeState(state), null, 2), 'utf8');
         stateCache = state; // Update the cache
     } catch (error) {
         console.error('Failed to save state to bot_state.json:', error);
     }
 }
+
+/**
+ * Builds the workspace key for a Discord user.
+ * Workspaces are per user, or per user and guild when WORKSPACE_PER_GUILD is "true".
+ * @param {string} userId - The Discord user ID.
+ * @param {string|null} guildId - The guild the command was used in, if any.
+ * @returns {string} The workspace key.
+ */
+export function getWorkspaceKey(userId, guildId = null) {
+    const perGuild = process.env.WORKSPACE_PER_GUILD === 'true';
+    return perGuild && guildId ? `${guildId}:${userId}` : userId;
+}
+
+/**
+ * Returns the workspace for the given key, creating it if needed.
+ * New workspaces start as a copy of the default (migrated) workspace, if there is one.
+ * Callers must saveState() for a newly created workspace to be persisted.
+ * @param {object} state - The loaded bot state.
+ * @param {string} key - The workspace key from getWorkspaceKey().
+ * @returns {{planeList: Array, baseAirports: object}} The workspace.
+ */
+export function getWorkspace(state, key) {
+    if (!state.workspaces[key]) {
+        const defaults = state.workspaces[DEFAULT_WORKSPACE_KEY];
+        state.workspaces[key] = defaults ? structuredClone(defaults) : createWorkspace();
+    }
+
+    const workspace = state.workspaces[key];
+    workspace.planeList = workspace.planeList || [];
+    workspace.baseAirports = workspace.baseAirports || {};
+    for (const iata of Object.keys(workspace.baseAirports)) {
+        workspace.baseAirports[iata] = normalizeBaseEntry(workspace.baseAirports[iata]);
+    }
+    return workspace;
+}
+
+/**
+ * Shortcut for resolving the caller's workspace from a Discord interaction.
+ * @param {object} state - The loaded bot state.
+ * @param {import('discord.js').Interaction} interaction - The interaction.
+ * @returns {{planeList: Array, baseAirports: object}} The caller's workspace.
+ */
+export function getInteractionWorkspace(state, interaction) {
+    return getWorkspace(state, getWorkspaceKey(interaction.user.id, interaction.guildId));
+}
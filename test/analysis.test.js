@@ -0,0 +1,285 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startMockServer, DEFAULT_FIXTURES_DIR } from '../mock/server.js';
+import { runAnalysis, analyzeRoute, analyzeSingleRoute, analyzeConnections, loadLinkCostSamples, login, createApiClient, createRequestScheduler } from '../src/airlineClient.js';
+import { resolveCostProfile, DEFAULT_COST_PROFILE } from '../src/costProfiles.js';
+import { calibrateCostModel } from '../src/calibration.js';
+import { recommendPlanes, buildRecommendationPlaneList } from '../src/planeRecommender.js';
+import { validateWorkspace } from '../src/commands/run.js';
+
+// Runs the analysis end-to-end against the mock server and its fixtures (mock/fixtures).
+
+const USERNAME = 'mockpilot';
+const PASSWORD = 'mockpassword';
+const BASES = { IST: { airportId: 1, hq: true, level: 3 } };
+const A320 = { modelId: 10, modelName: 'Airbus A320' };
+const E190 = { modelId: 20, modelName: 'Embraer E190' };
+const noProgress = async () => {};
+
+let server;
+let dataDir;
+
+before(async () => {
+    server = await startMockServer();
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'routefinder-test-'));
+    process.env.AIRLINE_CLUB_URL = server.url;
+    process.env.DATA_DIR = dataDir;
+    process.env.REQUEST_MIN_INTERVAL_MS = '0';
+});
+
+after(async () => {
+    await server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const planLinkRequests = () => server.requests.filter(request => request.path.endsWith('/plan-link')).length;
+
+async function readFixture(...parts) {
+    return JSON.parse(await fs.readFile(path.join(DEFAULT_FIXTURES_DIR, ...parts), 'utf8'));
+}
+
+async function loadLookups() {
+    const airports = await readFixture('airports.json');
+    const models = await readFixture('airplane-models.json');
+    return {
+        airportMap: new Map(airports.map(airport => [airport.id, airport])),
+        modelMap: new Map(models.map(model => [model.id, model])),
+    };
+}
+
+const assertMoney = (actual, expected, label) =>
+    assert.ok(Math.abs(actual - expected) < 0.01, `${label}: expected ${expected}, got ${actual}`);
+
+test('login rejects wrong credentials', async () => {
+    await assert.rejects(login(createApiClient(), USERNAME, 'wrong'), /Login failed/);
+});
+
+test('runAnalysis ranks every reachable destination of a base', async () => {
+    const results = await runAnalysis(USERNAME, PASSWORD, BASES, [A320, E190], false, 0, noProgress, { refresh: true });
+
+    const { routes, failedCount } = results.get('IST');
+    // LHR earns more per flight, but FRA has the demand for more flights and earns more per week
+    assert.deepEqual(routes.map(route => route.toIata), ['FRA', 'LHR', 'ATH']);
+    assert.deepEqual(routes.map(route => route.planeName), ['Airbus A320', 'Airbus A320', 'Embraer E190']);
+    assert.ok(routes[0].score > routes[1].score && routes[1].score > routes[2].score);
+    assert.ok(routes[0].profit / routes[0].frequency < routes[1].profit / routes[1].frequency);
+    assert.ok(routes[2].profit < 0, 'the short, crowded ATH route loses money');
+    assert.equal(routes[1].fromCity, 'Istanbul');
+    assert.equal(routes[1].toCity, 'London');
+
+    // ESB has no recorded route data (404), JFK is out of range and never requested
+    assert.equal(failedCount, 1);
+    assert.equal(planLinkRequests(), 4);
+});
+
+test('runAnalysis serves repeated runs from the route cache', async () => {
+    await runAnalysis(USERNAME, PASSWORD, BASES, [A320, E190], false, 0, noProgress);
+    const requestsBefore = planLinkRequests();
+
+    const results = await runAnalysis(USERNAME, PASSWORD, BASES, [A320, E190], false, 0, noProgress);
+    // Only ESB, which failed, is requested again
+    assert.equal(planLinkRequests(), requestsBefore + 1);
+    assert.deepEqual(results.get('IST').routes.map(route => route.toIata), ['FRA', 'LHR', 'ATH']);
+});
+
+test('runAnalysis keeps scored routes out of the checkpoint and resumes from the journal', async () => {
+    const files = {};
+    const journal = {
+        append: async (name, records) => { files[name] = [...(files[name] || []), ...records]; },
+        read: async (name) => files[name] || [],
+    };
+    const options = { refresh: true, journal };
+
+    const checkpoint = {};
+    const first = await runAnalysis(USERNAME, PASSWORD, BASES, [A320, E190], false, 0, noProgress, { ...options, checkpoint });
+    assert.deepEqual(checkpoint.completedBases, { IST: { routeCount: 3, failedCount: 1 } });
+    assert.equal(checkpoint.currentBase, null);
+
+    // A completed base is read back from the journal without any requests
+    const requestsBefore = planLinkRequests();
+    const resumed = await runAnalysis(USERNAME, PASSWORD, BASES, [A320, E190], false, 0, noProgress, { ...options, checkpoint });
+    assert.equal(planLinkRequests(), requestsBefore);
+    assert.deepEqual(resumed.get('IST'), first.get('IST'));
+
+    // Interrupted after FRA (3) and JFK (5); ATH (4) was journaled but not checkpointed, so it is analyzed again
+    files.IST = files.IST.filter(({ toAirportId }) => toAirportId === 3 || toAirportId === 4);
+    const partial = { completedBases: {}, currentBase: { iata: 'IST', processedIds: [3, 5], failedCount: 0 } };
+    const afterRestart = await runAnalysis(USERNAME, PASSWORD, BASES, [A320, E190], false, 0, noProgress, { ...options, checkpoint: partial });
+    // LHR, ATH and the failing ESB; FRA and JFK are not requested again
+    assert.equal(planLinkRequests(), requestsBefore + 3);
+    assert.deepEqual(afterRestart.get('IST').routes.map(route => route.toIata), ['FRA', 'LHR', 'ATH']);
+    assert.deepEqual(partial.completedBases.IST, { routeCount: 3, failedCount: 1 });
+});
+
+test('createRequestScheduler drops queued requests at once when aborted', async () => {
+    const controller = new AbortController();
+    // One request at a time, a second apart: the queued ones would take 4 more seconds to get their turn
+    const scheduler = createRequestScheduler({ concurrency: 1, minIntervalMs: 1000, signal: controller.signal });
+    const started = [];
+    const results = [1, 2, 3, 4, 5].map(n => scheduler.run(async () => started.push(n)));
+    await results[0];
+
+    const abortedAt = Date.now();
+    controller.abort();
+    const settled = await Promise.allSettled(results);
+    assert.ok(Date.now() - abortedAt < 500, 'queued requests are not paced after an abort');
+    assert.deepEqual(started, [1]);
+    assert.deepEqual(settled.map(({ status }) => status), ['fulfilled', 'rejected', 'rejected', 'rejected', 'rejected']);
+    await assert.rejects(scheduler.run(async () => 'late'), { name: 'AbortError' });
+});
+
+test('analyzeSingleRoute calculates the weekly costs and revenue of a route', async () => {
+    const analysis = await analyzeSingleRoute(USERNAME, PASSWORD, 'IST', 'LHR', BASES, [A320], { loadFactor: 0.8 });
+
+    // A fixed load factor flies the max frequency with 80% of the 180 all-economy seats sold.
+    // 14 round trips of 2 x (225 + 45) minutes are 126 hours, more than one airframe's 112
+    const frequency = 14;
+    const sold = 180 * 0.8;
+    assert.equal(analysis.planeName, 'Airbus A320');
+    assert.equal(analysis.frequency, frequency);
+    assert.equal(analysis.airframes, 2);
+    assert.equal(analysis.loadFactorSource, 'override');
+    assert.deepEqual(analysis.ticketPrices.economy, { price: 400, source: 'competitors' });
+
+    // 2500km: full climb phases, then cruise at 1x fuel burn (50)
+    const fuelUnits = 180 * 50 * 32 + 250 * 50 * 13 + 1000 * 50 * 2 + (2500 - 180 - 250 - 1000) * 50;
+    assertMoney(analysis.costs.fuel, fuelUnits * 0.0043 * frequency * (0.7 + 0.3 * 0.8), 'fuel');
+    assertMoney(analysis.costs.crew, 180 * (225 / 60) * 12 * frequency, 'crew');
+    // MEDIUM planes pay 8x the size-7 slot fee (500), halved at the HQ. Landing fees are 7 per seat, 6% off at a level 3 base
+    const airportFeesPerRoundTrip = 500 * 8 * 0.5 + 500 * 8 + 180 * 7 * 0.94 + 180 * 7;
+    assertMoney(analysis.costs.airportFees, airportFeesPerRoundTrip * frequency, 'airport fees');
+    assertMoney(analysis.costs.depreciation, 2 * 52000000 / 1040, 'depreciation');
+    assertMoney(analysis.costs.maintenance, 2 * 180 * 100, 'maintenance');
+    assertMoney(analysis.costs.serviceSupplies, (20 + 225 / 60) * 2 * sold * frequency, 'service supplies');
+
+    const revenue = 400 * sold * frequency;
+    assertMoney(analysis.revenue, revenue, 'revenue');
+    assertMoney(analysis.profit, revenue - analysis.costs.total, 'profit');
+    assert.equal(analysis.score, analysis.profit);
+});
+
+test('analyzeSingleRoute uses the constants of the cost profile it is given', async () => {
+    const state = { costProfiles: { patched: { maintenancePerSeat: 150, 'airplaneTypeMultipliers.MEDIUM': 10 } } };
+    const options = { loadFactor: 0.8 };
+    const standard = await analyzeSingleRoute(USERNAME, PASSWORD, 'IST', 'LHR', BASES, [A320], options);
+    const patched = await analyzeSingleRoute(USERNAME, PASSWORD, 'IST', 'LHR', BASES, [A320], { ...options, costProfile: resolveCostProfile(state, 'patched') });
+
+    assertMoney(patched.costs.maintenance, patched.airframes * 180 * 150, 'maintenance');
+    // The MEDIUM slot fees go from 8x to 10x the size-7 fee (500): 2000 + 4000 per round trip becomes 2500 + 5000
+    assertMoney(patched.costs.airportFees - standard.costs.airportFees, 1500 * patched.frequency, 'airport fees');
+    assertMoney(patched.costs.fuel, standard.costs.fuel, 'fuel');
+});
+
+test('analyzeConnections analyzes the routes between destinations and caches them by origin', async () => {
+    const pairs = [{ fromAirportId: 2, toAirportId: 3 }, { fromAirportId: 3, toAirportId: 4 }];
+    const requestsBefore = planLinkRequests();
+    const { routes, failedCount } = await analyzeConnections(USERNAME, PASSWORD, pairs, BASES, [A320], { refresh: true });
+
+    assert.deepEqual(routes.map(route => [route.fromIata, route.toIata, route.planeName]), [['LHR', 'FRA', 'Airbus A320']]);
+    assert.equal(routes[0].fromCity, 'London');
+    assert.equal(routes[0].fromAirportId, 2);
+    // FRA -> ATH has no recorded route data (404)
+    assert.equal(failedCount, 1);
+    assert.equal(planLinkRequests(), requestsBefore + 2);
+
+    // Only the failed pair is requested again
+    await analyzeConnections(USERNAME, PASSWORD, pairs, BASES, [A320]);
+    assert.equal(planLinkRequests(), requestsBefore + 3);
+});
+
+test('the plane recommender evaluates the whole catalogue with an empty planelist', async () => {
+    const workspace = { baseAirports: BASES, planeList: [] };
+    assert.match(validateWorkspace(workspace), /planelist is empty/);
+    assert.equal(validateWorkspace(workspace, { requirePlanes: false }), null);
+
+    const models = await readFixture('airplane-models.json');
+    const planeList = buildRecommendationPlaneList(models, workspace.planeList);
+    assert.deepEqual(planeList.map(({ modelId }) => modelId), [10, 20, 30]);
+
+    const results = await runAnalysis(USERNAME, PASSWORD, BASES, planeList, false, 0, noProgress, { rankBy: 'weekly_profit', includeAlternatives: true });
+    const recommendations = recommendPlanes(new Map([['IST', results.get('IST').routes]]), models);
+    assert.ok(recommendations.length > 0, 'some model pays for itself');
+    assert.ok(recommendations.every(({ modelId }) => planeList.some(entry => entry.modelId === modelId)));
+});
+
+test('calibration fits the constants the game charges differently from the profile', async () => {
+    // The recorded income statements charge 10% more fuel and 5% less crew than the default profile predicts
+    const sampleSet = await loadLinkCostSamples(USERNAME, PASSWORD);
+    assert.deepEqual(sampleSet.samples.map(({ link }) => link.id).sort(), [501, 502]);
+    assert.equal(sampleSet.skippedCount, 1);
+    assert.equal(sampleSet.failedCount, 0);
+
+    const calibration = calibrateCostModel(sampleSet.samples, DEFAULT_COST_PROFILE);
+    const byKey = Object.fromEntries(calibration.components.map(component => [component.key, component]));
+    assert.ok(Math.abs(byKey.fuel.bias - (1 / 1.1 - 1)) < 0.001, `fuel bias: ${byKey.fuel.bias}`);
+    assert.ok(Math.abs(byKey.maintenance.bias) < 0.001, `maintenance bias: ${byKey.maintenance.bias}`);
+    assert.deepEqual(calibration.suggestions.map(({ parameter, suggested }) => [parameter, suggested]), [
+        ['fuelUnitCost', 0.00473],
+        ['crewUnitCost', 11.4],
+    ]);
+});
+
+test('loadLinkCostSamples stops fetching income statements when cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const consumptionRequests = () => server.requests.filter(request => request.path.includes('/link-consumptions/')).length;
+    const requestsBefore = consumptionRequests();
+
+    await assert.rejects(loadLinkCostSamples(USERNAME, PASSWORD, { signal: controller.signal }), /cancelled/);
+    assert.equal(consumptionRequests(), requestsBefore);
+});
+
+test('analyzeRoute caps the frequency at what demand supports', async () => {
+    const { airportMap, modelMap } = await loadLookups();
+    const routeData = await readFixture('plan-link', '1-3.json');
+
+    const analysis = analyzeRoute(routeData, [A320], modelMap, airportMap, BASES, false);
+
+    // Nobody else flies IST-FRA: all 2000 weekly economy passengers fit in 12 of the 18 possible flights
+    assert.equal(analysis.frequency, 12);
+    assert.equal(analysis.loadFactorSource, 'demand');
+    assertMoney(analysis.soldSeats.economy * analysis.frequency, 2000, 'weekly passengers');
+    assert.deepEqual(analysis.ticketPrices.economy, { price: 330, source: 'suggested' });
+    assert.deepEqual(analysis.competitors, []);
+});
+
+test('analyzeRoute counts the airframes a schedule needs from its flight time', async () => {
+    const { airportMap, modelMap } = await loadLookups();
+    const routeData = await readFixture('plan-link', '1-3.json');
+    // Airframes that only fly 70 hours a week: the A320's 12 round trips of 2 x (175 + 45) minutes need 2,
+    // the E190's 19 round trips of 2 x (180 + 45) minutes need 3
+    const costProfile = resolveCostProfile({ costProfiles: { short: { airframeWeeklyHours: 70 } } }, 'short');
+    const options = { costProfile, includeAlternatives: true };
+
+    const byWeeklyProfit = analyzeRoute(routeData, [A320, E190], modelMap, airportMap, BASES, false, { ...options, rankBy: 'weekly_profit' });
+    const byAirframe = analyzeRoute(routeData, [A320, E190], modelMap, airportMap, BASES, false, { ...options, rankBy: 'profit_per_plane' });
+
+    assert.deepEqual(byWeeklyProfit.alternatives.map(({ planeName, airframes }) => [planeName, airframes]), [['Airbus A320', 2], ['Embraer E190', 3]]);
+    assertMoney(byWeeklyProfit.costs.depreciation, 3 * 31200000 / 1040, 'depreciation');
+    // The E190 earns more per week, the A320 more per airframe
+    assert.equal(byWeeklyProfit.planeName, 'Embraer E190');
+    assert.equal(byAirframe.planeName, 'Airbus A320');
+    assert.equal(byAirframe.score, byAirframe.profit / 2);
+});
+
+test('analyzeRoute ignores planes that are not in the planelist', async () => {
+    const { airportMap, modelMap } = await loadLookups();
+    const routeData = await readFixture('plan-link', '1-2.json');
+
+    assert.equal(analyzeRoute(routeData, [{ modelId: 99, modelName: 'Concorde' }], modelMap, airportMap, BASES, false), null);
+    assert.equal(analyzeRoute(routeData, [E190], modelMap, airportMap, BASES, false).planeName, 'Embraer E190');
+});
+
+test('analyzeRoute price optimization never scores below the standard fares', async () => {
+    const { airportMap, modelMap } = await loadLookups();
+    const routeData = await readFixture('plan-link', '1-2.json');
+
+    const standard = analyzeRoute(routeData, [A320], modelMap, airportMap, BASES, false);
+    const optimized = analyzeRoute(routeData, [A320], modelMap, airportMap, BASES, false, { optimizePrices: true });
+
+    assert.equal(optimized.priceOptimization.baselineScore, standard.score);
+    assert.ok(optimized.score >= standard.score);
+});
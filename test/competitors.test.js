@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_FIXTURES_DIR } from '../mock/server.js';
+import { summarizeCompetitors, estimateMarketShare } from '../src/competitors.js';
+
+async function readPlanLink(name) {
+    return JSON.parse(await fs.readFile(path.join(DEFAULT_FIXTURES_DIR, 'plan-link', `${name}.json`), 'utf8'));
+}
+
+test('summarizeCompetitors lists the competing links, biggest capacity first', async () => {
+    const london = await readPlanLink('1-2');
+    const athens = await readPlanLink('1-4');
+    const routeData = { otherLinks: [{ airlineId: 5, capacity: { economy: 100 } }, ...athens.otherLinks, ...london.otherLinks] };
+
+    assert.deepEqual(summarizeCompetitors(routeData), [
+        {
+            airlineName: 'Thames Air',
+            prices: { economy: 400, business: 1250, first: 0 },
+            capacity: { economy: 3000, business: 200, first: 0 },
+            frequency: 21,
+            quality: 60,
+            aircraft: 'Airbus A321',
+        },
+        {
+            airlineName: 'Aegean Breeze',
+            prices: { economy: 110, business: 340, first: 0 },
+            capacity: { economy: 2500, business: 120, first: 0 },
+            frequency: 35,
+            quality: 45,
+            aircraft: 'ATR 72',
+        },
+        // Fields the game doesn't report are null
+        {
+            airlineName: 'Airline 5',
+            prices: { economy: 0, business: 0, first: 0 },
+            capacity: { economy: 100, business: 0, first: 0 },
+            frequency: null,
+            quality: null,
+            aircraft: null,
+        },
+    ]);
+    assert.deepEqual(summarizeCompetitors({}), []);
+});
+
+test('estimateMarketShare weights our seat share by our fare', async () => {
+    const routeData = await readPlanLink('1-2');
+    // 1,500 economy seats a week against Thames Air's 3,000
+    const schedule = { seats: { economy: 150, business: 0, first: 0 }, soldSeats: { economy: 120, business: 0, first: 0 }, frequency: 10 };
+    const standardPrices = { economy: 400, business: 1250, first: 3000 };
+
+    const atStandardFares = estimateMarketShare(routeData, schedule, standardPrices, standardPrices);
+    assert.ok(Math.abs(atStandardFares.economy.capacityShare - 1 / 3) < 1e-9);
+    assert.ok(Math.abs(atStandardFares.economy.passengerShare - 1200 / 4200) < 1e-9);
+    assert.deepEqual(atStandardFares.business, { capacityShare: 0, passengerShare: 0 });
+    assert.deepEqual(estimateMarketShare(routeData, schedule), atStandardFares);
+
+    // At half the standard fare our seats count four times
+    const undercut = estimateMarketShare(routeData, schedule, { ...standardPrices, economy: 200 }, standardPrices);
+    assert.ok(Math.abs(undercut.economy.capacityShare - 2 / 3) < 1e-9);
+
+    const withoutDemand = estimateMarketShare({ ...routeData, directDemand: null }, schedule);
+    assert.equal(withoutDemand.economy.passengerShare, null);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    resolveCostProfile,
+    listCostProfileNames,
+    normalizeCostProfileName,
+    getCostParameterValue,
+    COST_PARAMETERS,
+    DEFAULT_COST_PROFILE,
+} from '../src/costProfiles.js';
+
+const state = {
+    costProfiles: {
+        default: { crewUnitCost: 14 },
+        'patch-2024': { fuelUnitCost: 0.005, 'airplaneTypeMultipliers.JUMBO': 20 },
+    },
+    activeCostProfile: 'patch-2024',
+};
+
+test('resolveCostProfile layers a profile\'s overrides on the defaults', () => {
+    const profile = resolveCostProfile(state, 'patch-2024');
+    assert.equal(profile.name, 'patch-2024');
+    assert.equal(profile.fuelUnitCost, 0.005);
+    assert.equal(profile.airplaneTypeMultipliers.JUMBO, 20);
+    assert.equal(profile.airplaneTypeMultipliers.MEDIUM, DEFAULT_COST_PROFILE.airplaneTypeMultipliers.MEDIUM);
+    // Overrides of the default profile don't leak into others
+    assert.equal(profile.crewUnitCost, DEFAULT_COST_PROFILE.crewUnitCost);
+    assert.equal(DEFAULT_COST_PROFILE.airplaneTypeMultipliers.JUMBO, 18);
+});
+
+test('resolveCostProfile falls back to the active profile and rejects unknown ones', () => {
+    assert.equal(resolveCostProfile(state).name, 'patch-2024');
+    assert.equal(resolveCostProfile({}).name, 'default');
+    assert.equal(resolveCostProfile(state, 'default').crewUnitCost, 14);
+    assert.throws(() => resolveCostProfile(state, 'missing'), /Cost profile "missing" not found/);
+});
+
+test('every cost parameter reads a value from the default profile', () => {
+    for (const { key } of COST_PARAMETERS) {
+        assert.equal(typeof getCostParameterValue(DEFAULT_COST_PROFILE, key), 'number', key);
+    }
+    assert.ok(COST_PARAMETERS.length <= 25, 'Discord allows 25 choices');
+    assert.deepEqual(listCostProfileNames(state), ['default', 'patch-2024']);
+    assert.equal(normalizeCostProfileName(' Patch-2024 '), 'patch-2024');
+    assert.equal(normalizeCostProfileName('no spaces'), null);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planFleet } from '../src/fleetPlanner.js';
+import { scoredRoute } from './helpers/scoredRoutes.js';
+
+test('planFleet hands owned airframes to the bases where they earn the most', () => {
+    // Each round trip takes 2 x (75 + 45) = 240 minutes; a 960-minute budget fits 4
+    const routesByBase = new Map([
+        ['IST', [scoredRoute('LHR', [{ modelId: 10, frequency: 3, contributionPerFlight: 20000 }])]],
+        ['ESB', [scoredRoute('FRA', [{ modelId: 10, frequency: 3, contributionPerFlight: 10000 }])]],
+    ]);
+    const plan = planFleet(routesByBase, [{ modelId: 10, modelName: 'Model 10', owned: 3 }], { budgetMinutes: 960 });
+
+    const [model] = plan.models;
+    assert.deepEqual(model.assignments.map(({ baseIata, rotation }) => [baseIata, rotation.contribution]), [['IST', 60000], ['ESB', 30000]]);
+    assert.equal(model.unused, 1);
+    assert.equal(model.profit, 60000 + 30000 - 2 * 40000);
+    assert.equal(plan.totalProfit, model.profit);
+    assert.equal(model.nextAirframe, null);
+});
+
+test('planFleet flies a route with one model and values one more airframe after its ownership costs', () => {
+    const routesByBase = new Map([
+        ['IST', [
+            scoredRoute('LHR', [{ modelId: 10, frequency: 4, contributionPerFlight: 20000 }, { modelId: 20, frequency: 4, contributionPerFlight: 15000 }]),
+            scoredRoute('ATH', [{ modelId: 20, frequency: 4, contributionPerFlight: 12000 }]),
+        ]],
+    ]);
+    const plan = planFleet(routesByBase, [
+        { modelId: 10, modelName: 'Model 10', owned: 1 },
+        { modelId: 20, modelName: 'Model 20', owned: 0, price: 4000000 },
+    ], { budgetMinutes: 960 });
+
+    const [first, second] = plan.models;
+    assert.deepEqual(first.assignments[0].rotation.legs.map(({ route, frequency }) => [route.toIata, frequency]), [['LHR', 4]]);
+    assert.equal(second.assignments.length, 0);
+    // LHR is taken by the first model, so an airframe of the second would fly ATH only
+    assert.equal(second.nextAirframe.baseIata, 'IST');
+    assert.deepEqual(second.nextAirframe.rotation.legs.map(({ route }) => route.toIata), ['ATH']);
+    assert.equal(second.nextAirframe.rotation.profit, 4 * 12000 - 40000);
+    assert.equal(second.price, 4000000);
+});
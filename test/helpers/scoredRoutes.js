@@ -0,0 +1,34 @@
+// Builders for scored routes with just the fields the planners read (see analyzeRoute).
+// Every airframe's ownership costs are $40,000/week and every flight costs $1,000.
+
+/**
+ * Builds a scored leg: a round trip from a base to `toIata`. The airport IDs are only needed to pair legs into triangles.
+ */
+export function scoredLeg(toIata, { fromAirportId, toAirportId, durationMinutes = 75, frequency, maxFrequency = frequency, contributionPerFlight }) {
+    const flightCosts = 1000 * frequency;
+    return {
+        fromAirportId,
+        toAirportId,
+        toIata,
+        toCity: toIata,
+        durationMinutes,
+        frequency,
+        maxFrequency,
+        airframes: 1,
+        revenue: (contributionPerFlight * frequency) + flightCosts,
+        costs: { depreciation: 30000, maintenance: 10000, total: flightCosts + 40000 },
+    };
+}
+
+/**
+ * Builds a scored route with one alternative per model, as analyzed with `includeAlternatives`.
+ * @param {string} toIata - The destination.
+ * @param {Array<object>} alternatives - Per model: {modelId} and the scoredLeg() fields.
+ */
+export function scoredRoute(toIata, alternatives) {
+    return {
+        toIata,
+        toCity: toIata,
+        alternatives: alternatives.map(({ modelId, ...leg }) => ({ modelId, planeName: `Model ${modelId}`, ...scoredLeg(toIata, leg) })),
+    };
+}
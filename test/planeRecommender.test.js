@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recommendPlanes, matchesRecommendationFilters, buildRecommendationPlaneList, RECOMMENDATION_SORTS } from '../src/planeRecommender.js';
+import { PLANE_STATUS } from '../src/planeMatcher.js';
+import { scoredRoute } from './helpers/scoredRoutes.js';
+
+// Each round trip takes 2 x (75 + 45) = 240 minutes; with 8 weekly frequencies an airframe fits 8
+const routesByBase = new Map([
+    ['IST', [scoredRoute('LHR', [{ modelId: 10, frequency: 8, contributionPerFlight: 20000 }, { modelId: 20, frequency: 8, contributionPerFlight: 15000 }])]],
+    ['ESB', [scoredRoute('FRA', [{ modelId: 20, frequency: 8, contributionPerFlight: 15000 }])]],
+]);
+const models = [
+    { id: 10, name: 'Model 10', manufacturer: 'Airbus', airplaneType: 'MEDIUM', price: 24000000 },
+    { id: 20, name: 'Model 20', manufacturer: 'Embraer', airplaneType: 'REGIONAL', price: 16000000 },
+    { id: 30, name: 'Model 30', manufacturer: 'Boeing', airplaneType: 'JUMBO', price: 90000000 },
+];
+
+test('recommendPlanes ranks models by payback period and leaves out those that cannot fly', () => {
+    const recommendations = recommendPlanes(routesByBase, models);
+
+    assert.deepEqual(recommendations.map(({ modelId }) => modelId), [20, 10]);
+    const [regional, medium] = recommendations;
+    // 8 x $15,000 - $40,000 a week pays back $16,000,000 in 200 weeks
+    assert.equal(regional.firstAirframeProfit, 80000);
+    assert.equal(regional.paybackWeeks, 200);
+    assert.deepEqual(regional.airframes.map(({ baseIata }) => baseIata).sort(), ['ESB', 'IST']);
+    assert.equal(regional.profit, 160000);
+    assert.equal(medium.paybackWeeks, 200);
+    assert.equal(medium.profit, 120000);
+});
+
+test('recommendPlanes ranks by total profit potential on request', () => {
+    const recommendations = recommendPlanes(routesByBase, models, { sortBy: RECOMMENDATION_SORTS.PROFIT, maxAirframes: 1 });
+    assert.deepEqual(recommendations.map(({ modelId, profit }) => [modelId, profit]), [[10, 120000], [20, 80000]]);
+});
+
+test('recommendPlanes packs airframes within the weekly flight time it is given', () => {
+    // 960 minutes fit 4 round trips, so each route needs two airframes
+    const recommendations = recommendPlanes(routesByBase, models, { budgetMinutes: 960 });
+
+    assert.deepEqual(recommendations.map(({ modelId }) => modelId), [10, 20]);
+    const [medium, regional] = recommendations;
+    // 4 x $20,000 - $40,000 a week pays back $24,000,000 in 600 weeks
+    assert.equal(medium.paybackWeeks, 600);
+    assert.equal(medium.airframes.length, 2);
+    assert.equal(regional.paybackWeeks, 800);
+    assert.equal(regional.profit, 4 * 20000);
+});
+
+test('matchesRecommendationFilters filters by manufacturer, type and budget', () => {
+    assert.deepEqual(models.filter(model => matchesRecommendationFilters(model, { manufacturer: 'air' })).map(({ id }) => id), [10]);
+    assert.deepEqual(models.filter(model => matchesRecommendationFilters(model, { airplaneType: 'JUMBO' })).map(({ id }) => id), [30]);
+    assert.deepEqual(models.filter(model => matchesRecommendationFilters(model, { maxPrice: 30000000 })).map(({ id }) => id), [10, 20]);
+});
+
+test('buildRecommendationPlaneList keeps planelist cabins and exclusions but needs no planelist', () => {
+    assert.deepEqual(buildRecommendationPlaneList(models, []).map(({ modelId }) => modelId), [10, 20, 30]);
+
+    const cabinConfig = { economy: 80, business: 10, first: 0 };
+    const planeList = [
+        { modelId: 20, modelName: 'Model 20', cabinConfig },
+        { modelId: 30, modelName: 'Model 30', status: PLANE_STATUS.EXCLUDED },
+    ];
+    assert.deepEqual(buildRecommendationPlaneList(models, planeList, { maxPrice: 30000000 }), [
+        { modelId: 10, modelName: 'Model 10', cabinConfig: undefined },
+        { modelId: 20, modelName: 'Model 20', cabinConfig },
+    ]);
+    assert.deepEqual(buildRecommendationPlaneList(models, planeList).map(({ modelId }) => modelId), [10, 20]);
+});
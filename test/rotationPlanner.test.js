@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planRotations, estimateWeeklyBudgetMinutes, pickConnectionPairs } from '../src/rotationPlanner.js';
+import { scoredLeg } from './helpers/scoredRoutes.js';
+
+test('estimateWeeklyBudgetMinutes uses the most frequent leg, capped at a week', () => {
+    const legs = [
+        scoredLeg('AAA', { durationMinutes: 60, frequency: 10, maxFrequency: 30 }),
+        scoredLeg('BBB', { durationMinutes: 120, frequency: 5, maxFrequency: 20 }),
+    ];
+    // 20 round trips of 2 x (120 + 45) minutes
+    assert.equal(estimateWeeklyBudgetMinutes(legs), 6600);
+    assert.equal(estimateWeeklyBudgetMinutes([scoredLeg('CCC', { durationMinutes: 600, frequency: 10 })]), 7 * 24 * 60);
+});
+
+test('planRotations fills an airframe with the legs that earn the most per hour', () => {
+    // Each round trip takes 2 x (75 + 45) = 240 minutes; a 960-minute budget fits 4
+    const legs = [
+        scoredLeg('AAA', { durationMinutes: 75, frequency: 3, contributionPerFlight: 5000 }),
+        scoredLeg('BBB', { durationMinutes: 75, frequency: 5, contributionPerFlight: 3000 }),
+        scoredLeg('CCC', { durationMinutes: 75, frequency: 5, contributionPerFlight: -500 }),
+    ];
+    const plan = planRotations(legs, { budgetMinutes: 960 });
+
+    const [rotation] = plan.rotations;
+    assert.deepEqual(rotation.legs.map(({ route, frequency }) => [route.toIata, frequency]), [['AAA', 3], ['BBB', 1]]);
+    assert.equal(rotation.flightMinutes, 960);
+    assert.equal(rotation.contribution, 3 * 5000 + 3000);
+    assert.equal(rotation.profit, 18000 - 40000);
+});
+
+test('planRotations gives later airframes the frequencies that are left', () => {
+    const legs = [
+        scoredLeg('AAA', { durationMinutes: 75, frequency: 3, contributionPerFlight: 20000 }),
+        scoredLeg('BBB', { durationMinutes: 75, frequency: 3, contributionPerFlight: 15000 }),
+    ];
+    const plan = planRotations(legs, { airframes: 3, budgetMinutes: 960 });
+
+    assert.deepEqual(plan.rotations.map(rotation => rotation.legs.reduce((sum, { frequency }) => sum + frequency, 0)), [4, 2, 0]);
+    assert.equal(plan.rotations[2].profit, -40000);
+    assert.equal(plan.totalProfit, 3 * 20000 + 3 * 15000 - 3 * 40000);
+});
+
+// From base 1: AAA is airport 2 and BBB airport 3, 75 minutes out each; AAA-BBB takes 60 minutes
+const triangleLegs = ({ aaaFrequency = 2, bbbFrequency = 2 } = {}) => [
+    scoredLeg('AAA', { fromAirportId: 1, toAirportId: 2, frequency: aaaFrequency, contributionPerFlight: 4000 }),
+    scoredLeg('BBB', { fromAirportId: 1, toAirportId: 3, frequency: bbbFrequency, contributionPerFlight: 4000 }),
+];
+const connection = scoredLeg('BBB', { fromAirportId: 2, toAirportId: 3, durationMinutes: 60, frequency: 3, contributionPerFlight: 10000 });
+
+test('planRotations flies triangles through two destinations when the route between them pays', () => {
+    const legs = triangleLegs();
+    // A triangle takes 75 + 60 + 75 minutes plus three 45-minute turnarounds, and earns half of each route's round trip
+    const plan = planRotations(legs, { budgetMinutes: 690, connections: [connection] });
+
+    const [rotation] = plan.rotations;
+    assert.deepEqual(rotation.legs.map(({ stops, frequency }) => [stops.map(stop => stop.toIata), frequency]), [[['AAA', 'BBB'], 2]]);
+    assert.equal(rotation.flightMinutes, 690);
+    assert.equal(rotation.contribution, 2 * (4000 + 10000 + 4000) / 2);
+
+    // Without the route between them, only shuttles fit
+    const shuttles = planRotations(legs, { budgetMinutes: 690 }).rotations[0];
+    assert.ok(shuttles.legs.every(({ stops }) => stops.length === 1));
+    assert.equal(shuttles.flightMinutes, 480);
+    assert.equal(shuttles.contribution, 8000);
+});
+
+test('planRotations never books more flights on a route than its shuttles and triangles share', () => {
+    // AAA has one round trip: two one-way flights, which both triangles take. Two BBB flights are left for a shuttle.
+    const legs = triangleLegs({ aaaFrequency: 1, bbbFrequency: 2 });
+    const plan = planRotations(legs, { airframes: 2, budgetMinutes: 2000, connections: [connection] });
+
+    const flown = plan.rotations.flatMap(rotation => rotation.legs.map(({ stops, frequency }) => [stops.map(stop => stop.toIata).join('-'), frequency]));
+    assert.deepEqual(flown, [['AAA-BBB', 2], ['BBB', 1]]);
+    assert.equal(plan.rotations[1].legs.length, 0);
+    assert.equal(plan.rotations[0].contribution, 18000 + 4000);
+});
+
+test('pickConnectionPairs pairs up the destinations that earn the most per minute', () => {
+    const legs = [
+        ...triangleLegs(),
+        scoredLeg('CCC', { fromAirportId: 1, toAirportId: 4, frequency: 2, contributionPerFlight: 6000 }),
+        scoredLeg('DDD', { fromAirportId: 1, toAirportId: 5, frequency: 2, contributionPerFlight: -500 }),
+    ];
+    assert.deepEqual(pickConnectionPairs(legs, 960), [
+        { fromAirportId: 4, toAirportId: 2 },
+        { fromAirportId: 4, toAirportId: 3 },
+        { fromAirportId: 2, toAirportId: 3 },
+    ]);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, getNextRunAt } from '../src/scheduler.js';
+
+const at = (iso) => Date.parse(iso);
+
+test('getNextRunAt finds the next cron match in UTC', () => {
+    const after = at('2026-03-10T10:20:30Z');
+    assert.equal(getNextRunAt({ cron: '*/15 * * * *' }, after), at('2026-03-10T10:30:00Z'));
+    assert.equal(getNextRunAt({ cron: '0 6 * * 1' }, after), at('2026-03-16T06:00:00Z'));
+    assert.equal(getNextRunAt({ cron: '30 2 1 * *' }, after), at('2026-04-01T02:30:00Z'));
+    // Both day fields restricted: a day matching either one counts
+    assert.equal(getNextRunAt({ cron: '0 0 1 * 3' }, after), at('2026-03-11T00:00:00Z'));
+    // A stepped field starting with "*" is unrestricted, so both day fields must match: the next odd-dated Monday
+    assert.equal(getNextRunAt({ cron: '0 0 */2 * 1' }, after), at('2026-03-23T00:00:00Z'));
+    assert.equal(getNextRunAt({ cron: '0 0 29 2 *' }, after), at('2028-02-29T00:00:00Z'));
+    assert.equal(getNextRunAt({ everyHours: 6 }, after), after + 6 * 60 * 60 * 1000);
+});
+
+test('parseCron rejects a day of month that none of the months has', () => {
+    assert.throws(() => parseCron('0 0 31 2 *'), /never matches/);
+    assert.throws(() => parseCron('0 0 30,31 2 *'), /never matches/);
+    assert.doesNotThrow(() => parseCron('0 0 31 1,2 *'));
+    // The day of week alone can still match
+    assert.doesNotThrow(() => parseCron('0 0 31 2 1'));
+});